@@ -1,37 +1,105 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Route, Switch, Link } from 'react-router-dom';
 import ProductList from './components/ProductList';
 import ProductDetailPage from './components/ProductDetailPage';
 import Cart from './components/Cart';
 import Checkout from './components/Checkout';
+import OrderConfirmation from './components/OrderConfirmation';
 import Minicart from './components/Minicart';
+import AccountMenu from './components/AccountMenu';
+import SignIn from './components/SignIn';
+import CreateAccount from './components/CreateAccount';
+import AddressBook from './components/AddressBook';
+import OrderHistory from './components/OrderHistory';
+import OrderDetail from './components/OrderDetail';
+import Wishlist from './components/Wishlist';
+import WishlistLink from './components/WishlistLink';
+import CartLostNotice from './components/CartLostNotice';
+import CartSyncNotice from './components/CartSyncNotice';
+import StoreSwitcher from './components/StoreSwitcher';
+import CurrencySwitcher from './components/CurrencySwitcher';
+import OfflineBanner from './components/OfflineBanner';
+import SearchBar from './components/SearchBar';
+import MegaMenu from './components/MegaMenu';
+import CategoryPage from './components/CategoryPage';
+import UrlResolver from './components/UrlResolver';
+import magentoApi from './services/magentoApi';
+import { t } from './i18n';
 import './App.css';
 
 function App() {
+  // Prices are formatted while rendering, so re-render the whole tree
+  // when the display currency changes instead of refetching anything
+  const [, setDisplayCurrency] = useState(magentoApi.getCurrencySettings().displayCurrency);
+
+  useEffect(() => {
+    const handleCurrencyChange = () => {
+      setDisplayCurrency(magentoApi.getCurrencySettings().displayCurrency);
+    };
+
+    window.addEventListener('currencyChanged', handleCurrencyChange);
+
+    return () => {
+      window.removeEventListener('currencyChanged', handleCurrencyChange);
+    };
+  }, []);
+
+  // Images switch to resized srcsets once the media server is known to resize them
+  const [, setImageResizing] = useState(false);
+
+  useEffect(() => {
+    const handleImageResizing = () => setImageResizing(true);
+
+    window.addEventListener('imageResizingDetected', handleImageResizing);
+
+    return () => {
+      window.removeEventListener('imageResizingDetected', handleImageResizing);
+    };
+  }, []);
+
   return (
     <Router>
       <div className="App">
+        <OfflineBanner />
         <header className="App-header">
           <div className="App-header-content">
             <div className="App-header-text">
               <Link to="/" className="App-header-title">
-                <h1>Magento 2 Product Catalog</h1>
+                <h1>{t('header.title')}</h1>
               </Link>
               <p>
-                Browse products from your Magento 2 store at localhost:8080
+                {t('header.subtitle')}
               </p>
             </div>
             <div className="App-header-actions">
+              <SearchBar />
+              <StoreSwitcher />
+              <CurrencySwitcher />
+              <AccountMenu />
+              <WishlistLink />
               <Minicart />
             </div>
           </div>
+          <MegaMenu />
         </header>
+        <CartLostNotice />
+        <CartSyncNotice />
         <main className="App-main">
           <Switch>
             <Route exact path="/" component={ProductList} />
+            <Route path="/search" component={ProductList} />
+            <Route path="/category/:urlPath+" component={CategoryPage} />
             <Route path="/product/:sku" component={ProductDetailPage} />
             <Route path="/cart" component={Cart} />
             <Route path="/checkout" component={Checkout} />
+            <Route path="/order-confirmation/:orderNumber" component={OrderConfirmation} />
+            <Route path="/sign-in" component={SignIn} />
+            <Route path="/create-account" component={CreateAccount} />
+            <Route path="/account/addresses" component={AddressBook} />
+            <Route path="/account/orders/:number" component={OrderDetail} />
+            <Route path="/account/orders" component={OrderHistory} />
+            <Route path="/wishlist" component={Wishlist} />
+            <Route path="*" component={UrlResolver} />
           </Switch>
         </main>
       </div>
@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useHistory } from 'react-router-dom';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './AccountMenu.css';
+
+const AccountMenu = () => {
+  const history = useHistory();
+  const [customer, setCustomer] = useState(magentoApi.getCurrentCustomer());
+  const [signingOut, setSigningOut] = useState(false);
+
+  useEffect(() => {
+    // Listen for sign-in / sign-out
+    const handleAuthChange = () => {
+      setCustomer(magentoApi.getCurrentCustomer());
+    };
+
+    // Fired by magentoApi when Magento rejects the customer token
+    const handleSessionExpired = () => {
+      history.push({
+        pathname: '/sign-in',
+        state: { from: window.location.pathname, sessionExpired: true },
+      });
+    };
+
+    window.addEventListener('authChanged', handleAuthChange);
+    window.addEventListener('sessionExpired', handleSessionExpired);
+
+    return () => {
+      window.removeEventListener('authChanged', handleAuthChange);
+      window.removeEventListener('sessionExpired', handleSessionExpired);
+    };
+  }, []);
+
+  const handleSignOut = async () => {
+    try {
+      setSigningOut(true);
+      await magentoApi.signOut();
+      history.push('/');
+    } finally {
+      setSigningOut(false);
+    }
+  };
+
+  if (!customer) {
+    return (
+      <div className="account-menu">
+        <Link to="/sign-in" className="account-menu-link">{t('account.signIn')}</Link>
+        <Link to="/create-account" className="account-menu-link">{t('account.createAccount')}</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="account-menu">
+      <span className="account-menu-greeting">{t('account.greeting', { name: customer.firstname })}</span>
+      <Link to="/account/orders" className="account-menu-link">{t('orders.link')}</Link>
+      <Link to="/account/addresses" className="account-menu-link">{t('addressBook.link')}</Link>
+      <button
+        className="account-menu-link"
+        onClick={handleSignOut}
+        disabled={signingOut}
+      >
+        {signingOut ? t('account.signingOut') : t('account.signOut')}
+      </button>
+    </div>
+  );
+};
+
+export default AccountMenu;
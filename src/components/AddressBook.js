@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import { Redirect, useLocation } from 'react-router-dom';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import AddressCard from './AddressCard';
+import AddressFields, {
+  EMPTY_ADDRESS,
+  NEW_ADDRESS,
+  fromCustomerAddress,
+  fetchAddressCountries,
+  isAddressComplete,
+  updateAddressField,
+} from './AddressFields';
+import './AddressBook.css';
+
+const AddressBook = () => {
+  const location = useLocation();
+  const [addresses, setAddresses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_ADDRESS);
+  const [formDefaults, setFormDefaults] = useState({ default_shipping: false, default_billing: false });
+  const [saving, setSaving] = useState(false);
+
+  const isSignedIn = magentoApi.isSignedIn();
+
+  useEffect(() => {
+    if (isSignedIn) {
+      loadAddresses();
+    }
+  }, [isSignedIn]);
+
+  const loadAddresses = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setAddresses(await magentoApi.fetchCustomerAddresses());
+    } catch (err) {
+      setError(err.message);
+      console.error('Error loading addresses:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startEditing = (address) => {
+    setError(null);
+    if (address) {
+      setEditingId(address.id);
+      setForm(fromCustomerAddress(address));
+      setFormDefaults({ default_shipping: address.default_shipping, default_billing: address.default_billing });
+    } else {
+      // The first address becomes the default for both
+      const isFirst = addresses.length === 0;
+      setEditingId(NEW_ADDRESS);
+      setForm(EMPTY_ADDRESS);
+      setFormDefaults({ default_shipping: isFirst, default_billing: isFirst });
+    }
+  };
+
+  const handleFieldChange = (field, value) => {
+    setForm(updateAddressField(form, field, value));
+  };
+
+  // Run an address book change, then reload since defaults move between addresses
+  const runChange = async (change, errorLabel) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await change();
+      await loadAddresses();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      console.error(errorLabel, err);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    if (!isAddressComplete(form, await fetchAddressCountries())) {
+      setError(t('addressBook.missingFields'));
+      return;
+    }
+
+    const saved = await runChange(
+      () => (editingId === NEW_ADDRESS
+        ? magentoApi.createCustomerAddress(form, formDefaults)
+        : magentoApi.updateCustomerAddress(editingId, form, formDefaults)),
+      'Error saving address:'
+    );
+    if (saved) {
+      setEditingId(null);
+    }
+  };
+
+  const handleDelete = (address) => {
+    if (window.confirm(t('addressBook.confirmDelete'))) {
+      runChange(() => magentoApi.deleteCustomerAddress(address.id), 'Error deleting address:');
+    }
+  };
+
+  const handleSetDefault = (address, field) => {
+    runChange(() => magentoApi.updateCustomerAddress(address.id, null, { [field]: true }), 'Error setting default address:');
+  };
+
+  if (!isSignedIn) {
+    return <Redirect to={{ pathname: '/sign-in', state: { from: location.pathname } }} />;
+  }
+
+  const renderForm = () => (
+    <form className="address-book-form" onSubmit={handleSave}>
+      <h2>{editingId === NEW_ADDRESS ? t('addressBook.addTitle') : t('addressBook.editTitle')}</h2>
+      <AddressFields
+        idPrefix="address-book"
+        address={form}
+        onChange={handleFieldChange}
+        disabled={saving}
+      />
+
+      <div className="form-group checkbox-group">
+        <label>
+          <input
+            type="checkbox"
+            checked={formDefaults.default_shipping}
+            onChange={(e) => setFormDefaults({ ...formDefaults, default_shipping: e.target.checked })}
+            disabled={saving}
+          />
+          <span>{t('addressBook.useAsDefaultShipping')}</span>
+        </label>
+      </div>
+      <div className="form-group checkbox-group">
+        <label>
+          <input
+            type="checkbox"
+            checked={formDefaults.default_billing}
+            onChange={(e) => setFormDefaults({ ...formDefaults, default_billing: e.target.checked })}
+            disabled={saving}
+          />
+          <span>{t('addressBook.useAsDefaultBilling')}</span>
+        </label>
+      </div>
+
+      <div className="checkout-actions">
+        <button type="button" className="btn-back" onClick={() => setEditingId(null)} disabled={saving}>
+          {t('common.cancel')}
+        </button>
+        <button type="submit" className="btn-submit" disabled={saving}>
+          {saving ? t('common.processing') : t('addressBook.save')}
+        </button>
+      </div>
+    </form>
+  );
+
+  return (
+    <div className="address-book">
+      <div className="address-book-header">
+        <h1>{t('addressBook.title')}</h1>
+        {editingId === null && (
+          <button type="button" className="btn-submit" onClick={() => startEditing(null)}>
+            {t('addressBook.add')}
+          </button>
+        )}
+      </div>
+
+      {error && <div className="checkout-error">{error}</div>}
+
+      {editingId !== null && renderForm()}
+
+      {loading ? (
+        <p className="address-book-empty">{t('addressBook.loading')}</p>
+      ) : addresses.length === 0 ? (
+        editingId === null && <p className="address-book-empty">{t('addressBook.empty')}</p>
+      ) : (
+        <div className="address-book-list">
+          {addresses.map((address) => (
+            <AddressCard key={address.id} address={address}>
+              <div className="address-card-actions">
+                <button type="button" onClick={() => startEditing(address)} disabled={saving}>
+                  {t('addressBook.edit')}
+                </button>
+                {!address.default_shipping && (
+                  <button type="button" onClick={() => handleSetDefault(address, 'default_shipping')} disabled={saving}>
+                    {t('addressBook.setDefaultShipping')}
+                  </button>
+                )}
+                {!address.default_billing && (
+                  <button type="button" onClick={() => handleSetDefault(address, 'default_billing')} disabled={saving}>
+                    {t('addressBook.setDefaultBilling')}
+                  </button>
+                )}
+                {/* Magento won't delete a default address */}
+                {!address.default_shipping && !address.default_billing && (
+                  <button type="button" className="danger" onClick={() => handleDelete(address)} disabled={saving}>
+                    {t('common.remove')}
+                  </button>
+                )}
+              </div>
+            </AddressCard>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AddressBook;
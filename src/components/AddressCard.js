@@ -0,0 +1,31 @@
+import React from 'react';
+import { t } from '../i18n';
+import './AddressCard.css';
+
+/**
+ * Read-only view of a saved customer address
+ */
+const AddressCard = ({ address, children }) => (
+  <div className="address-card">
+    <address>
+      <strong>{address.firstname} {address.lastname}</strong>
+      {address.street.map((line, index) => <span key={index}>{line}</span>)}
+      <span>
+        {address.city}, {address.region?.region_code || address.region?.region} {address.postcode}
+      </span>
+      <span>{address.country_code}</span>
+      <span>{address.telephone}</span>
+    </address>
+
+    {(address.default_shipping || address.default_billing) && (
+      <div className="address-card-badges">
+        {address.default_shipping && <span className="address-card-badge">{t('addressBook.defaultShipping')}</span>}
+        {address.default_billing && <span className="address-card-badge">{t('addressBook.defaultBilling')}</span>}
+      </div>
+    )}
+
+    {children}
+  </div>
+);
+
+export default AddressCard;
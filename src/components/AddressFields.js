@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './Checkout.css';
+
+// Address picker value for "enter a new address"
+export const NEW_ADDRESS = 'new';
+
+/**
+ * Empty address in the shape Checkout and the address book edit
+ */
+export const EMPTY_ADDRESS = {
+  firstname: '',
+  lastname: '',
+  street: [''],
+  city: '',
+  region_id: null,
+  region: '',
+  postcode: '',
+  country_code: '',
+  telephone: '',
+};
+
+/**
+ * Saved customer address -> the address shape edited here
+ */
+export const fromCustomerAddress = (customerAddress) => ({
+  firstname: customerAddress.firstname,
+  lastname: customerAddress.lastname,
+  street: customerAddress.street?.length ? customerAddress.street : [''],
+  city: customerAddress.city,
+  region_id: customerAddress.region?.region_id || null,
+  region: customerAddress.region?.region || '',
+  postcode: customerAddress.postcode,
+  country_code: customerAddress.country_code,
+  telephone: customerAddress.telephone,
+});
+
+/**
+ * Are all required address fields filled in?
+ * Countries with a region list need one of their regions; saved addresses
+ * skip the form, so this cannot rely on the region select being required.
+ * @param {Object} address - Address to check
+ * @param {Array} countries - Countries from fetchCountries(), for their regions
+ */
+export const isAddressComplete = (address, countries = []) => {
+  const regions = countries.find(country => country.id === address.country_code)?.available_regions || [];
+
+  return Boolean(
+    address.firstname &&
+    address.lastname &&
+    address.street[0] &&
+    address.city &&
+    address.postcode &&
+    address.country_code &&
+    address.telephone &&
+    (regions.length === 0 || regions.some(region => region.id === address.region_id))
+  );
+};
+
+/**
+ * Countries for isAddressComplete
+ * Without them only the other fields are checked; Magento still validates the region.
+ * @returns {Promise<Array>} Countries, or an empty list when they cannot be loaded
+ */
+export const fetchAddressCountries = () => magentoApi.fetchCountries().catch(() => []);
+
+/**
+ * Address with one field changed, as reported by AddressFields' onChange
+ * A new country clears the region, whose ids only apply within one country.
+ */
+export const updateAddressField = (address, field, value) => {
+  if (field === 'street') {
+    return { ...address, street: [value] };
+  }
+  if (field === 'country_code') {
+    return { ...address, country_code: value, region_id: null, region: '' };
+  }
+  return { ...address, [field]: value };
+};
+
+/**
+ * Name, street, city, region, country and phone fields for one address
+ * Shared by the Checkout shipping and billing sections and the address book.
+ * Countries come from the store, with a region list where Magento has one.
+ * @param {string} idPrefix - Prefix for the input ids, e.g. "shipping"
+ * @param {Object} address - Address being edited
+ * @param {Function} onChange - Called with (field, value); street is a single line
+ */
+const AddressFields = ({ idPrefix, address, onChange, disabled }) => {
+  const [countries, setCountries] = useState([]);
+
+  useEffect(() => {
+    fetchAddressCountries().then(setCountries);
+  }, []);
+
+  const regions = countries.find(country => country.id === address.country_code)?.available_regions || [];
+
+  return (
+    <>
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}-firstname`}>{t('checkout.firstName')}</label>
+          <input
+            type="text"
+            id={`${idPrefix}-firstname`}
+            value={address.firstname}
+            onChange={(e) => onChange('firstname', e.target.value)}
+            required
+            disabled={disabled}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}-lastname`}>{t('checkout.lastName')}</label>
+          <input
+            type="text"
+            id={`${idPrefix}-lastname`}
+            value={address.lastname}
+            onChange={(e) => onChange('lastname', e.target.value)}
+            required
+            disabled={disabled}
+          />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor={`${idPrefix}-street`}>{t('checkout.street')}</label>
+        <input
+          type="text"
+          id={`${idPrefix}-street`}
+          value={address.street[0]}
+          onChange={(e) => onChange('street', e.target.value)}
+          required
+          disabled={disabled}
+        />
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}-city`}>{t('checkout.city')}</label>
+          <input
+            type="text"
+            id={`${idPrefix}-city`}
+            value={address.city}
+            onChange={(e) => onChange('city', e.target.value)}
+            required
+            disabled={disabled}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}-region`}>
+            {regions.length > 0 ? t('checkout.regionRequired') : t('checkout.region')}
+          </label>
+          {regions.length > 0 ? (
+            <select
+              id={`${idPrefix}-region`}
+              value={address.region_id || ''}
+              onChange={(e) => onChange('region_id', e.target.value ? parseInt(e.target.value, 10) : null)}
+              required
+              disabled={disabled}
+            >
+              <option value="">{t('checkout.selectRegion')}</option>
+              {regions.map(item => (
+                <option key={item.id} value={item.id}>
+                  {item.name}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type="text"
+              id={`${idPrefix}-region`}
+              value={address.region || ''}
+              onChange={(e) => onChange('region', e.target.value)}
+              disabled={disabled}
+            />
+          )}
+        </div>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}-postcode`}>{t('checkout.postcode')}</label>
+          <input
+            type="text"
+            id={`${idPrefix}-postcode`}
+            value={address.postcode}
+            onChange={(e) => onChange('postcode', e.target.value)}
+            required
+            disabled={disabled}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}-country`}>{t('checkout.country')}</label>
+          <select
+            id={`${idPrefix}-country`}
+            value={address.country_code}
+            onChange={(e) => onChange('country_code', e.target.value)}
+            required
+            disabled={disabled}
+          >
+            <option value="">{t('checkout.selectCountry')}</option>
+            {countries.map(country => (
+              <option key={country.id} value={country.id}>
+                {country.full_name_locale}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor={`${idPrefix}-telephone`}>{t('checkout.telephone')}</label>
+        <input
+          type="tel"
+          id={`${idPrefix}-telephone`}
+          value={address.telephone}
+          onChange={(e) => onChange('telephone', e.target.value)}
+          required
+          disabled={disabled}
+        />
+      </div>
+    </>
+  );
+};
+
+export default AddressFields;
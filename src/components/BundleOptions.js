@@ -0,0 +1,189 @@
+import React from 'react';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './BundleOptions.css';
+
+/**
+ * Magento encodes a bundle selection and its quantity in one option UID
+ */
+export const bundleSelectionUid = (optionId, selectionId, quantity) =>
+  btoa(`bundle/${optionId}/${selectionId}/${quantity}`);
+
+/**
+ * Default selections keyed by option_id, each a map of selection id to quantity
+ */
+export const getDefaultBundleSelections = (items = []) =>
+  items.reduce((selections, item) => {
+    selections[item.option_id] = item.options
+      .filter(selection => selection.is_default)
+      .reduce((chosen, selection) => ({ ...chosen, [selection.id]: selection.quantity || 1 }), {});
+    return selections;
+  }, {});
+
+/**
+ * Unit price of one bundle selection
+ * Dynamic bundles charge each child's own price; fixed bundles charge the
+ * selection's FIXED amount or a PERCENT of the bundle's base price.
+ */
+export const getBundleSelectionPrice = (product, selection) => {
+  if (product.dynamic_price) {
+    return selection.product?.price_range?.minimum_price?.final_price?.value || 0;
+  }
+  if (selection.price_type === 'PERCENT') {
+    return (product.price_details?.main_final_price || 0) * selection.price / 100;
+  }
+  return selection.price || 0;
+};
+
+/**
+ * Price of the bundle as currently configured
+ */
+export const getBundlePrice = (product, selections) => {
+  const basePrice = product.dynamic_price ? 0 : product.price_details?.main_final_price || 0;
+
+  return (product.items || []).reduce((total, item) =>
+    Object.entries(selections[item.option_id] || {}).reduce((sum, [selectionId, quantity]) => {
+      const selection = item.options.find(option => option.id === Number(selectionId));
+      return selection ? sum + getBundleSelectionPrice(product, selection) * quantity : sum;
+    }, total),
+  basePrice);
+};
+
+const isMultiSelect = (item) => item.type === 'checkbox' || item.type === 'multi';
+
+const BundleOptions = ({ product, selections, onChange, disabled }) => {
+  const currency = product.price_range?.minimum_price?.final_price?.currency;
+  const sortedItems = [...(product.items || [])].sort((a, b) => a.position - b.position);
+
+  const selectionLabel = (selection) => {
+    const price = getBundleSelectionPrice(product, selection);
+    return price > 0 ? `${selection.label} (+${magentoApi.formatPrice(price, currency)})` : selection.label;
+  };
+
+  const isUnavailable = (selection) => selection.product?.stock_status === 'OUT_OF_STOCK';
+
+  const handleSingleChange = (item, selectionId) => {
+    const selection = item.options.find(option => option.id === selectionId);
+    onChange({
+      ...selections,
+      [item.option_id]: selection ? { [selection.id]: selection.quantity || 1 } : {},
+    });
+  };
+
+  const handleMultiToggle = (item, selection, checked) => {
+    const chosen = { ...selections[item.option_id] };
+    if (checked) {
+      chosen[selection.id] = selection.quantity || 1;
+    } else {
+      delete chosen[selection.id];
+    }
+    onChange({ ...selections, [item.option_id]: chosen });
+  };
+
+  const handleQuantityChange = (item, selectionId, value) => {
+    const quantity = parseInt(value, 10);
+    if (quantity > 0) {
+      onChange({ ...selections, [item.option_id]: { ...selections[item.option_id], [selectionId]: quantity } });
+    }
+  };
+
+  return (
+    <div className="bundle-options">
+      <h3>{t('bundle.title')}</h3>
+      {sortedItems.map((item) => {
+        const chosen = selections[item.option_id] || {};
+        const chosenIds = Object.keys(chosen).map(Number);
+        const singleSelection = !isMultiSelect(item) && item.options.find(option => option.id === chosenIds[0]);
+
+        return (
+          <fieldset key={item.option_id} className="bundle-option">
+            <legend>
+              {item.title}
+              {item.required && <span className="bundle-required"> *</span>}
+            </legend>
+
+            {item.type === 'select' && (
+              <select
+                value={chosenIds[0] || ''}
+                onChange={(e) => handleSingleChange(item, parseInt(e.target.value, 10))}
+                disabled={disabled}
+              >
+                <option value="">{item.required ? t('product.selectPlaceholder') : t('bundle.none')}</option>
+                {item.options.map((selection) => (
+                  <option key={selection.id} value={selection.id} disabled={isUnavailable(selection)}>
+                    {selectionLabel(selection)}
+                  </option>
+                ))}
+              </select>
+            )}
+
+            {item.type === 'radio' && (
+              <div className="bundle-choices">
+                {!item.required && (
+                  <label>
+                    <input
+                      type="radio"
+                      name={`bundle-${item.option_id}`}
+                      checked={chosenIds.length === 0}
+                      onChange={() => handleSingleChange(item, null)}
+                      disabled={disabled}
+                    />
+                    {t('bundle.none')}
+                  </label>
+                )}
+                {item.options.map((selection) => (
+                  <label key={selection.id} className={isUnavailable(selection) ? 'unavailable' : ''}>
+                    <input
+                      type="radio"
+                      name={`bundle-${item.option_id}`}
+                      checked={chosenIds.includes(selection.id)}
+                      onChange={() => handleSingleChange(item, selection.id)}
+                      disabled={disabled || isUnavailable(selection)}
+                    />
+                    {selectionLabel(selection)}
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {isMultiSelect(item) && (
+              <div className="bundle-choices">
+                {item.options.map((selection) => (
+                  <label key={selection.id} className={isUnavailable(selection) ? 'unavailable' : ''}>
+                    <input
+                      type="checkbox"
+                      checked={chosenIds.includes(selection.id)}
+                      onChange={(e) => handleMultiToggle(item, selection, e.target.checked)}
+                      disabled={disabled || isUnavailable(selection)}
+                    />
+                    {selectionLabel(selection)}
+                    {selection.quantity > 1 && (
+                      <span className="bundle-fixed-qty">{t('bundle.times', { qty: selection.quantity })}</span>
+                    )}
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {/* Single-choice options may let the shopper pick a quantity */}
+            {singleSelection && singleSelection.can_change_quantity && (
+              <div className="bundle-quantity">
+                <label htmlFor={`bundle-qty-${item.option_id}`}>{t('product.quantity')}</label>
+                <input
+                  id={`bundle-qty-${item.option_id}`}
+                  type="number"
+                  min="1"
+                  value={chosen[singleSelection.id]}
+                  onChange={(e) => handleQuantityChange(item, singleSelection.id, e.target.value)}
+                  disabled={disabled}
+                />
+              </div>
+            )}
+          </fieldset>
+        );
+      })}
+    </div>
+  );
+};
+
+export default BundleOptions;
@@ -1,17 +1,71 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import CartItemOptions from './CartItemOptions';
+import CouponForm from './CouponForm';
+import GiftCardForm from './GiftCardForm';
+import PriceSummary from './PriceSummary';
+import ProductCarousel from './ProductCarousel';
+import ShippingEstimator from './ShippingEstimator';
 import './Cart.css';
 
 const Cart = () => {
   const [cartData, setCartData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [updatingItemId, setUpdatingItemId] = useState(null);
+  const [itemError, setItemError] = useState(null);
+  const [crossSells, setCrossSells] = useState([]);
+  // Totals for the shipping estimator's chosen method, valid for the current cart only
+  const [estimate, setEstimate] = useState(null);
 
   useEffect(() => {
     loadCartData();
+
+    // Keep in sync with changes made from the minicart
+    const handleCartUpdate = async () => {
+      const data = await magentoApi.getCartData();
+      setCartData(data);
+    };
+
+    window.addEventListener('cartUpdated', handleCartUpdate);
+
+    return () => {
+      window.removeEventListener('cartUpdated', handleCartUpdate);
+    };
   }, []);
 
+  useEffect(() => {
+    setEstimate(null);
+  }, [cartData]);
+
+  // Refetch suggestions only when the set of products in the cart changes
+  const cartSkusKey = [...new Set((cartData?.items || []).map(item => item.product?.sku).filter(Boolean))]
+    .sort()
+    .join(',');
+
+  useEffect(() => {
+    if (!cartSkusKey) {
+      setCrossSells([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    magentoApi.fetchCrossSellProducts(cartSkusKey.split(','))
+      .then((products) => {
+        if (!cancelled) setCrossSells(products);
+      })
+      .catch(() => {
+        // Suggestions are optional, the cart works without them
+        if (!cancelled) setCrossSells([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [cartSkusKey]);
+
   const loadCartData = async () => {
     try {
       setLoading(true);
@@ -31,10 +85,43 @@ const Cart = () => {
     loadCartData();
   };
 
+  const handleQuantityChange = async (item, quantity) => {
+    if (quantity < 1) {
+      handleRemoveItem(item);
+      return;
+    }
+
+    try {
+      setUpdatingItemId(item.id);
+      setItemError(null);
+      const data = await magentoApi.updateCartItems([{ id: item.id, quantity }]);
+      setCartData(data);
+    } catch (err) {
+      setItemError(err.message);
+      console.error('Error updating cart item:', err);
+    } finally {
+      setUpdatingItemId(null);
+    }
+  };
+
+  const handleRemoveItem = async (item) => {
+    try {
+      setUpdatingItemId(item.id);
+      setItemError(null);
+      const data = await magentoApi.removeItemFromCart(item.id);
+      setCartData(data);
+    } catch (err) {
+      setItemError(err.message);
+      console.error('Error removing cart item:', err);
+    } finally {
+      setUpdatingItemId(null);
+    }
+  };
+
   if (loading) {
     return (
       <div className="cart-container">
-        <div className="cart-loading">Loading cart...</div>
+        <div className="cart-loading">{t('cart.loading')}</div>
       </div>
     );
   }
@@ -43,59 +130,89 @@ const Cart = () => {
     return (
       <div className="cart-container">
         <div className="cart-error">
-          <p>Error loading cart: {error}</p>
-          <button onClick={handleRefresh} className="btn-refresh">Retry</button>
+          <p>{t('cart.loadError', { message: error })}</p>
+          <button onClick={handleRefresh} className="btn-refresh">{t('common.retry')}</button>
         </div>
       </div>
     );
   }
 
   const items = cartData?.items || [];
-  const grandTotal = cartData?.prices?.grand_total || { value: 0, currency: 'USD' };
   const isEmpty = items.length === 0;
+  const shippingAddress = cartData?.shipping_addresses?.[0] || null;
 
   return (
     <div className="cart-container">
       <div className="cart-header">
-        <h1>Shopping Cart</h1>
-        <button onClick={handleRefresh} className="btn-refresh" title="Refresh cart">
-          🔄 Refresh
+        <h1>{t('cart.title')}</h1>
+        <button onClick={handleRefresh} className="btn-refresh" title={t('cart.refreshTitle')}>
+          🔄 {t('common.refresh')}
         </button>
       </div>
 
       {isEmpty ? (
         <div className="cart-empty">
-          <p>Your cart is empty</p>
-          <Link to="/" className="btn-continue-shopping">Continue Shopping</Link>
+          <p>{t('cart.empty')}</p>
+          <Link to="/" className="btn-continue-shopping">{t('common.continueShopping')}</Link>
         </div>
       ) : (
         <>
+          {itemError && (
+            <div className="cart-item-error">{itemError}</div>
+          )}
+
           <div className="cart-items">
             {items.map((item) => {
               const product = item.product;
-              const price = product?.price_range?.minimum_price?.regular_price || { value: 0, currency: 'USD' };
+              // The item price includes custom option surcharges
+              const price = item.prices?.price || product?.price_range?.minimum_price?.regular_price || { value: 0 };
               const imageUrl = product?.small_image?.url || null;
               const itemTotal = price.value * item.quantity;
+              const isUpdating = updatingItemId === item.id;
 
               return (
-                <div key={item.id} className="cart-item">
+                <div key={item.id} className={`cart-item ${isUpdating ? 'updating' : ''}`}>
                   <div className="cart-item-image">
                     {imageUrl ? (
                       <img src={imageUrl} alt={product.name} />
                     ) : (
-                      <div className="cart-item-no-image">No Image</div>
+                      <div className="cart-item-no-image">{t('common.noImage')}</div>
                     )}
                   </div>
                   <div className="cart-item-details">
                     <h3>{product.name}</h3>
-                    <p className="cart-item-sku">SKU: {product.sku}</p>
+                    <p className="cart-item-sku">{t('common.sku', { sku: product.sku })}</p>
+                    <CartItemOptions item={item} />
                     <p className="cart-item-price">
                       {magentoApi.formatPrice(price.value, price.currency)}
                     </p>
                   </div>
                   <div className="cart-item-quantity">
-                    <label>Qty:</label>
-                    <span className="quantity-value">{item.quantity}</span>
+                    <label>{t('common.quantityLabel')}</label>
+                    <div className="quantity-stepper">
+                      <button
+                        onClick={() => handleQuantityChange(item, item.quantity - 1)}
+                        disabled={isUpdating}
+                        aria-label={t('common.decreaseQuantity')}
+                      >
+                        −
+                      </button>
+                      <span className="quantity-value">{item.quantity}</span>
+                      <button
+                        onClick={() => handleQuantityChange(item, item.quantity + 1)}
+                        disabled={isUpdating}
+                        aria-label={t('common.increaseQuantity')}
+                      >
+                        +
+                      </button>
+                    </div>
+                    <button
+                      onClick={() => handleRemoveItem(item)}
+                      disabled={isUpdating}
+                      className="btn-remove-item"
+                    >
+                      {t('common.remove')}
+                    </button>
                   </div>
                   <div className="cart-item-total">
                     {magentoApi.formatPrice(itemTotal, price.currency)}
@@ -107,27 +224,39 @@ const Cart = () => {
 
           <div className="cart-summary">
             <div className="cart-summary-row">
-              <span className="cart-summary-label">Items:</span>
+              <span className="cart-summary-label">{t('cart.items')}</span>
               <span className="cart-summary-value">{items.length}</span>
             </div>
             <div className="cart-summary-row">
-              <span className="cart-summary-label">Total Quantity:</span>
+              <span className="cart-summary-label">{t('cart.totalQuantity')}</span>
               <span className="cart-summary-value">
                 {items.reduce((sum, item) => sum + item.quantity, 0)}
               </span>
             </div>
-            <div className="cart-summary-row cart-summary-total">
-              <span className="cart-summary-label">Grand Total:</span>
-              <span className="cart-summary-value">
-                {magentoApi.formatPrice(grandTotal.value, grandTotal.currency)}
-              </span>
-            </div>
+            <CouponForm
+              appliedCoupons={cartData?.applied_coupons || []}
+              onCartChange={setCartData}
+            />
+            <GiftCardForm onCartChange={setCartData} />
+            {!cartData?.is_virtual && (
+              <ShippingEstimator
+                shippingAddress={shippingAddress}
+                estimate={estimate}
+                onEstimate={setEstimate}
+              />
+            )}
+            <PriceSummary
+              prices={estimate?.prices || cartData?.prices}
+              shipping={estimate?.shipping || shippingAddress?.selected_shipping_method}
+            />
           </div>
 
           <div className="cart-actions">
-            <Link to="/" className="btn-continue-shopping">Continue Shopping</Link>
-            <Link to="/checkout" className="btn-checkout">Proceed to Checkout</Link>
+            <Link to="/" className="btn-continue-shopping">{t('common.continueShopping')}</Link>
+            <Link to="/checkout" className="btn-checkout">{t('cart.proceedToCheckout')}</Link>
           </div>
+
+          <ProductCarousel title={t('carousel.crossSells')} products={crossSells} />
         </>
       )}
     </div>
@@ -0,0 +1,23 @@
+import React from 'react';
+import './CartItemOptions.css';
+
+/**
+ * Custom option values chosen for a cart line, e.g. "Engraving: Happy birthday"
+ */
+const CartItemOptions = ({ item }) => {
+  const options = item.customizable_options || [];
+  if (options.length === 0) return null;
+
+  return (
+    <dl className="cart-item-options">
+      {options.map((option) => (
+        <div key={option.uid || option.label} className="cart-item-option">
+          <dt>{option.label}:</dt>
+          <dd>{option.values.map(value => value.label || value.value).join(', ')}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+};
+
+export default CartItemOptions;
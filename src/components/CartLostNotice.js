@@ -0,0 +1,46 @@
+import React, { useState, useEffect } from 'react';
+import { t } from '../i18n';
+import './CartLostNotice.css';
+
+const CartLostNotice = () => {
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    // Fired by magentoApi when the stored cart had to be replaced
+    const handleCartLost = () => {
+      setMessage(t('cartNotice.lost'));
+    };
+
+    // Fired by magentoApi when the guest cart could not join the customer cart
+    const handleCartMergeFailed = () => {
+      setMessage(t('cartNotice.mergeFailed'));
+    };
+
+    window.addEventListener('cartLost', handleCartLost);
+    window.addEventListener('cartMergeFailed', handleCartMergeFailed);
+
+    return () => {
+      window.removeEventListener('cartLost', handleCartLost);
+      window.removeEventListener('cartMergeFailed', handleCartMergeFailed);
+    };
+  }, []);
+
+  if (!message) {
+    return null;
+  }
+
+  return (
+    <div className="cart-lost-notice" role="alert">
+      <span>{message}</span>
+      <button
+        className="cart-lost-notice-close"
+        onClick={() => setMessage(null)}
+        aria-label={t('common.dismiss')}
+      >
+        ✕
+      </button>
+    </div>
+  );
+};
+
+export default CartLostNotice;
@@ -0,0 +1,68 @@
+import React, { useState, useEffect } from 'react';
+import { t } from '../i18n';
+import './CartSyncNotice.css';
+
+// Describe the queued mutation Magento rejected
+const describeMutation = (mutation) => {
+  switch (mutation.type) {
+    case 'addToCart':
+      return t('cartNotice.adding', { name: mutation.preview?.name || mutation.sku });
+    case 'addProductsToCart':
+      return t('cartNotice.adding', {
+        name: mutation.preview?.name || mutation.cartItems.map(item => item.sku).join(', '),
+      });
+    case 'updateCartItems':
+      return t('cartNotice.updating');
+    case 'removeItemFromCart':
+      return t('cartNotice.removing');
+    default:
+      return t('cartNotice.otherChange');
+  }
+};
+
+const CartSyncNotice = () => {
+  const [conflicts, setConflicts] = useState([]);
+
+  useEffect(() => {
+    // Fired by magentoApi when replaying the offline cart queue
+    const handleConflicts = (event) => {
+      setConflicts(event.detail.conflicts);
+    };
+
+    window.addEventListener('cartSyncConflicts', handleConflicts);
+
+    return () => {
+      window.removeEventListener('cartSyncConflicts', handleConflicts);
+    };
+  }, []);
+
+  if (conflicts.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="cart-sync-notice" role="alert">
+      <div>
+        <p className="cart-sync-notice-title">
+          {t('cartNotice.syncTitle')}
+        </p>
+        <ul>
+          {conflicts.map(({ mutation, message }) => (
+            <li key={mutation.id}>
+              {t('cartNotice.syncFailed', { change: describeMutation(mutation), message })}
+            </li>
+          ))}
+        </ul>
+      </div>
+      <button
+        className="cart-sync-notice-close"
+        onClick={() => setConflicts([])}
+        aria-label={t('common.dismiss')}
+      >
+        ✕
+      </button>
+    </div>
+  );
+};
+
+export default CartSyncNotice;
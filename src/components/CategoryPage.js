@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useHistory } from 'react-router-dom';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import ProductList from './ProductList';
+import './CategoryPage.css';
+
+const CategoryPage = (props) => {
+  // The path comes from /category/:urlPath or from the URL resolver
+  const params = useParams();
+  const urlPath = props.urlPath || params.urlPath;
+  const history = useHistory();
+  const [category, setCategory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchCategory();
+  }, [urlPath]);
+
+  const fetchCategory = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await magentoApi.fetchCategoryByUrlPath(urlPath);
+      setCategory(data);
+    } catch (err) {
+      setError(err.message);
+      console.error('Failed to fetch category:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="category-page">
+        <div className="loading">
+          <div className="loading-spinner"></div>
+          <p>{t('category.loading')}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !category) {
+    return (
+      <div className="category-page">
+        <div className="error">
+          <h3>{t('category.errorTitle')}</h3>
+          <p>{error || t('errors.categoryNotFound')}</p>
+          <button onClick={() => history.push('/')} className="retry-button">
+            {t('product.backToProducts')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const breadcrumbs = category.breadcrumbs || [];
+
+  return (
+    <div className="category-page">
+      <nav className="breadcrumbs" aria-label={t('common.breadcrumb')}>
+        <Link to="/">{t('common.home')}</Link>
+        {breadcrumbs.map((crumb) => (
+          <React.Fragment key={crumb.category_uid}>
+            <span className="breadcrumb-separator">/</span>
+            <Link to={`/category/${crumb.category_url_path}`}>{crumb.category_name}</Link>
+          </React.Fragment>
+        ))}
+        <span className="breadcrumb-separator">/</span>
+        <span className="breadcrumb-current">{category.name}</span>
+      </nav>
+
+      {category.description && (
+        <div
+          className="category-description"
+          dangerouslySetInnerHTML={{ __html: category.description }}
+        />
+      )}
+
+      <ProductList
+        baseFilter={{ category_uid: { eq: category.uid } }}
+        title={category.name}
+      />
+    </div>
+  );
+};
+
+export default CategoryPage;
@@ -1,6 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { useHistory } from 'react-router-dom';
 import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import AddressFields, {
+  EMPTY_ADDRESS,
+  NEW_ADDRESS,
+  fromCustomerAddress,
+  fetchAddressCountries,
+  isAddressComplete,
+  updateAddressField,
+} from './AddressFields';
+import CartItemOptions from './CartItemOptions';
+import CouponForm from './CouponForm';
+import GiftCardForm from './GiftCardForm';
+import PriceSummary from './PriceSummary';
+import SavedAddressPicker from './SavedAddressPicker';
 import './Checkout.css';
 
 const Checkout = () => {
@@ -11,34 +25,45 @@ const Checkout = () => {
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
   const [sameAsShipping, setSameAsShipping] = useState(true);
-
-  const [email, setEmail] = useState('');
-  const [shippingAddress, setShippingAddress] = useState({
-    firstname: '',
-    lastname: '',
-    street: [''],
-    city: '',
-    region_id: 43, // Default to New York
-    postcode: '',
-    country_code: 'US',
-    telephone: '',
-  });
-
-  const [billingAddress, setBillingAddress] = useState({
-    firstname: '',
-    lastname: '',
-    street: [''],
-    city: '',
-    region_id: 43,
-    postcode: '',
-    country_code: 'US',
-    telephone: '',
-  });
+  // Checkout steps: 'information' -> 'shipping' -> 'payment'
+  const [step, setStep] = useState('information');
+  const [shippingMethods, setShippingMethods] = useState([]);
+  const [selectedShippingMethod, setSelectedShippingMethod] = useState('');
+  const [paymentMethods, setPaymentMethods] = useState([]);
+  const [selectedPaymentMethod, setSelectedPaymentMethod] = useState('');
+
+  const isSignedIn = magentoApi.isSignedIn();
+  const [email, setEmail] = useState(magentoApi.getCurrentCustomer()?.email || '');
+  const [shippingAddress, setShippingAddress] = useState(EMPTY_ADDRESS);
+  const [billingAddress, setBillingAddress] = useState(EMPTY_ADDRESS);
+
+  // Signed-in customers can pick from their address book (or NEW_ADDRESS for the form)
+  const [savedAddresses, setSavedAddresses] = useState([]);
+  const [shippingAddressId, setShippingAddressId] = useState(NEW_ADDRESS);
+  const [billingAddressId, setBillingAddressId] = useState(NEW_ADDRESS);
+  const [saveShippingAddress, setSaveShippingAddress] = useState(false);
+  const [saveBillingAddress, setSaveBillingAddress] = useState(false);
 
   useEffect(() => {
     loadCartData();
+    if (isSignedIn) {
+      loadSavedAddresses();
+    }
   }, []);
 
+  const loadSavedAddresses = async () => {
+    try {
+      const addresses = await magentoApi.fetchCustomerAddresses();
+      setSavedAddresses(addresses);
+      // Start from the default addresses
+      setShippingAddressId(addresses.find(a => a.default_shipping)?.id ?? addresses[0]?.id ?? NEW_ADDRESS);
+      setBillingAddressId(addresses.find(a => a.default_billing)?.id ?? addresses[0]?.id ?? NEW_ADDRESS);
+    } catch (err) {
+      // The form still works without the address book
+      console.warn('Saved addresses could not be loaded:', err);
+    }
+  };
+
   const loadCartData = async () => {
     try {
       setLoading(true);
@@ -46,7 +71,7 @@ const Checkout = () => {
       const data = await magentoApi.getCartData();
       
       if (!data || !data.items || data.items.length === 0) {
-        setError('Your cart is empty. Please add items before checkout.');
+        setError(t('checkout.emptyCart'));
         setTimeout(() => history.push('/cart'), 2000);
         return;
       }
@@ -61,19 +86,11 @@ const Checkout = () => {
   };
 
   const handleShippingChange = (field, value) => {
-    if (field === 'street') {
-      setShippingAddress({ ...shippingAddress, street: [value] });
-    } else {
-      setShippingAddress({ ...shippingAddress, [field]: value });
-    }
+    setShippingAddress(updateAddressField(shippingAddress, field, value));
   };
 
   const handleBillingChange = (field, value) => {
-    if (field === 'street') {
-      setBillingAddress({ ...billingAddress, street: [value] });
-    } else {
-      setBillingAddress({ ...billingAddress, [field]: value });
-    }
+    setBillingAddress(updateAddressField(billingAddress, field, value));
   };
 
   const validateEmail = (email) => {
@@ -81,33 +98,62 @@ const Checkout = () => {
     return re.test(email);
   };
 
-  const validateAddress = (address) => {
-    return (
-      address.firstname &&
-      address.lastname &&
-      address.street[0] &&
-      address.city &&
-      address.postcode &&
-      address.telephone
-    );
+  // The saved address picked for a section, or what was typed into its form
+  const resolveAddress = (addressId, formAddress) => {
+    const saved = savedAddresses.find(address => address.id === addressId);
+    return saved ? fromCustomerAddress(saved) : formAddress;
   };
 
+  // Add newly typed addresses to the address book when the customer asked to
+  const saveNewAddresses = async (usesBillingForm) => {
+    const pending = [];
+    if (!isVirtual && shippingAddressId === NEW_ADDRESS && saveShippingAddress) {
+      pending.push({ address: shippingAddress, select: setShippingAddressId, done: () => setSaveShippingAddress(false) });
+    }
+    if (usesBillingForm && billingAddressId === NEW_ADDRESS && saveBillingAddress) {
+      pending.push({ address: billingAddress, select: setBillingAddressId, done: () => setSaveBillingAddress(false) });
+    }
+
+    let addresses = savedAddresses;
+    for (const { address, select, done } of pending) {
+      // A customer's first address becomes their default
+      const defaults = addresses.length === 0 ? { default_shipping: true, default_billing: true } : {};
+      const created = await magentoApi.createCustomerAddress(address, defaults);
+      addresses = [...addresses, created];
+      // Select the saved copy so going back does not save it twice
+      select(created.id);
+      done();
+    }
+    setSavedAddresses(addresses);
+  };
+
+  // Virtual and downloadable items need no shipping address or method
+  const isVirtual = Boolean(cartData?.is_virtual);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    const usesBillingForm = isVirtual || !sameAsShipping;
+    const finalShippingAddress = resolveAddress(shippingAddressId, shippingAddress);
+    const finalBillingAddress = usesBillingForm
+      ? resolveAddress(billingAddressId, billingAddress)
+      : finalShippingAddress;
     
     // Validation
     if (!validateEmail(email)) {
-      setError('Please enter a valid email address');
+      setError(t('checkout.invalidEmail'));
       return;
     }
 
-    if (!validateAddress(shippingAddress)) {
-      setError('Please fill in all shipping address fields');
+    const countries = await fetchAddressCountries();
+
+    if (!isVirtual && !isAddressComplete(finalShippingAddress, countries)) {
+      setError(t('checkout.missingShippingFields'));
       return;
     }
 
-    if (!sameAsShipping && !validateAddress(billingAddress)) {
-      setError('Please fill in all billing address fields');
+    if (usesBillingForm && !isAddressComplete(finalBillingAddress, countries)) {
+      setError(t('checkout.missingBillingFields'));
       return;
     }
 
@@ -115,32 +161,56 @@ const Checkout = () => {
       setSubmitting(true);
       setError(null);
 
-      const cartId = localStorage.getItem('guest_cart_id');
+      const cartId = magentoApi.getStoredCartId();
       if (!cartId) {
-        throw new Error('Cart ID not found');
+        throw new Error(t('checkout.cartNotFound'));
+      }
+
+      // Step 1: Set guest email (customer carts already carry the account email)
+      if (!isSignedIn) {
+        await magentoApi.setGuestEmailOnCart(cartId, email);
+      }
+
+      if (isSignedIn) {
+        await saveNewAddresses(usesBillingForm);
       }
 
-      // Step 1: Set guest email
-      await magentoApi.setGuestEmailOnCart(cartId, email);
-      console.log('Email set successfully');
+      if (isVirtual) {
+        // Billing is the only address, and it goes straight to payment
+        const billingCart = await magentoApi.setBillingAddressOnCart(cartId, finalBillingAddress, false);
+        setCartData(billingCart);
+
+        const methods = billingCart?.available_payment_methods || [];
+        if (methods.length === 0) {
+          throw new Error(t('checkout.noPaymentMethods'));
+        }
+
+        setPaymentMethods(methods);
+        setSelectedPaymentMethod(methods[0].code);
+        setStep('payment');
+        return;
+      }
 
       // Step 2: Set shipping address
-      await magentoApi.setShippingAddressOnCart(cartId, shippingAddress);
-      console.log('Shipping address set successfully');
+      const shippingCart = await magentoApi.setShippingAddressOnCart(cartId, finalShippingAddress);
 
       // Step 3: Set billing address
-      const finalBillingAddress = sameAsShipping ? shippingAddress : billingAddress;
-      await magentoApi.setBillingAddressOnCart(cartId, finalBillingAddress, sameAsShipping);
-      console.log('Billing address set successfully');
+      const billingCart = await magentoApi.setBillingAddressOnCart(cartId, finalBillingAddress, sameAsShipping);
+      // Totals without the shipping method Magento dropped with the new address
+      setCartData(billingCart);
+
+      const methods = (shippingCart?.shipping_addresses?.[0]?.available_shipping_methods || [])
+        .filter(method => method.available);
 
+      if (methods.length === 0) {
+        throw new Error(t('checkout.noShippingMethods'));
+      }
+
+      setShippingMethods(methods);
+      setSelectedShippingMethod(getShippingMethodKey(methods[0]));
       setSuccess(true);
       setError(null);
-      
-      // Redirect to success page or next step after 2 seconds
-      setTimeout(() => {
-        alert('Checkout information saved! In a real application, this would proceed to payment.');
-        history.push('/cart');
-      }, 2000);
+      setStep('shipping');
 
     } catch (err) {
       setError(err.message);
@@ -150,10 +220,74 @@ const Checkout = () => {
     }
   };
 
+  const getShippingMethodKey = (method) => `${method.carrier_code}|${method.method_code}`;
+
+  const handleShippingMethodSubmit = async () => {
+    const method = shippingMethods.find(m => getShippingMethodKey(m) === selectedShippingMethod);
+    if (!method) {
+      setError(t('checkout.selectShippingMethod'));
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      const cartId = magentoApi.getStoredCartId();
+      const cart = await magentoApi.setShippingMethodsOnCart(cartId, method.carrier_code, method.method_code);
+
+      const methods = cart?.available_payment_methods || [];
+      if (methods.length === 0) {
+        throw new Error(t('checkout.noPaymentMethods'));
+      }
+
+      setCartData(cart);
+      setPaymentMethods(methods);
+      setSelectedPaymentMethod(methods[0].code);
+      setStep('payment');
+    } catch (err) {
+      setError(err.message);
+      console.error('Error setting shipping method:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handlePlaceOrder = async () => {
+    if (!selectedPaymentMethod) {
+      setError(t('checkout.selectPaymentMethod'));
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      const cartId = magentoApi.getStoredCartId();
+      await magentoApi.setPaymentMethodOnCart(cartId, selectedPaymentMethod);
+
+      const order = await magentoApi.placeOrder(cartId);
+
+      history.push(`/order-confirmation/${encodeURIComponent(order.order_number)}`, { email });
+    } catch (err) {
+      setError(err.message);
+      console.error('Error placing order:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleEditInformation = () => {
+    setStep('information');
+    setSuccess(false);
+    setShippingMethods([]);
+    setPaymentMethods([]);
+  };
+
   if (loading) {
     return (
       <div className="checkout-container">
-        <div className="checkout-loading">Loading checkout...</div>
+        <div className="checkout-loading">{t('checkout.loading')}</div>
       </div>
     );
   }
@@ -164,7 +298,7 @@ const Checkout = () => {
         <div className="checkout-error">
           <p>{error}</p>
           <button onClick={() => history.push('/cart')} className="btn-back">
-            Back to Cart
+            {t('common.backToCart')}
           </button>
         </div>
       </div>
@@ -172,15 +306,15 @@ const Checkout = () => {
   }
 
   const items = cartData?.items || [];
-  const grandTotal = cartData?.prices?.grand_total || { value: 0, currency: 'USD' };
+  const addressLocked = submitting || step !== 'information';
 
   return (
     <div className="checkout-container">
-      <h1>Checkout</h1>
+      <h1>{t('checkout.title')}</h1>
 
-      {success && (
+      {success && step === 'shipping' && (
         <div className="checkout-success">
-          ✓ Checkout information saved successfully!
+          {t('checkout.saved')}
         </div>
       )}
 
@@ -195,297 +329,251 @@ const Checkout = () => {
           <form onSubmit={handleSubmit}>
             {/* Email Section */}
             <section className="checkout-section">
-              <h2>Contact Information</h2>
+              <h2>{t('checkout.contactInformation')}</h2>
               <div className="form-group">
-                <label htmlFor="email">Email Address *</label>
+                <label htmlFor="email">{t('checkout.email')}</label>
                 <input
                   type="email"
                   id="email"
                   value={email}
                   onChange={(e) => setEmail(e.target.value)}
                   required
-                  placeholder="guest@example.com"
-                  disabled={submitting}
+                  disabled={addressLocked || isSignedIn}
                 />
               </div>
             </section>
 
             {/* Shipping Address Section */}
-            <section className="checkout-section">
-              <h2>Shipping Address</h2>
-              <div className="form-row">
-                <div className="form-group">
-                  <label htmlFor="shipping-firstname">First Name *</label>
-                  <input
-                    type="text"
-                    id="shipping-firstname"
-                    value={shippingAddress.firstname}
-                    onChange={(e) => handleShippingChange('firstname', e.target.value)}
-                    required
-                    placeholder="John"
-                    disabled={submitting}
-                  />
-                </div>
-                <div className="form-group">
-                  <label htmlFor="shipping-lastname">Last Name *</label>
-                  <input
-                    type="text"
-                    id="shipping-lastname"
-                    value={shippingAddress.lastname}
-                    onChange={(e) => handleShippingChange('lastname', e.target.value)}
-                    required
-                    placeholder="Doe"
-                    disabled={submitting}
+            {!isVirtual && (
+              <section className="checkout-section">
+                <h2>{t('checkout.shippingAddress')}</h2>
+                {savedAddresses.length > 0 && (
+                  <SavedAddressPicker
+                    name="shipping-address"
+                    addresses={savedAddresses}
+                    selectedId={shippingAddressId}
+                    onSelect={setShippingAddressId}
+                    disabled={addressLocked}
                   />
-                </div>
-              </div>
-
-              <div className="form-group">
-                <label htmlFor="shipping-street">Street Address *</label>
-                <input
-                  type="text"
-                  id="shipping-street"
-                  value={shippingAddress.street[0]}
-                  onChange={(e) => handleShippingChange('street', e.target.value)}
-                  required
-                  placeholder="123 Main Street"
-                  disabled={submitting}
-                />
-              </div>
-
-              <div className="form-row">
-                <div className="form-group">
-                  <label htmlFor="shipping-city">City *</label>
-                  <input
-                    type="text"
-                    id="shipping-city"
-                    value={shippingAddress.city}
-                    onChange={(e) => handleShippingChange('city', e.target.value)}
-                    required
-                    placeholder="New York"
-                    disabled={submitting}
-                  />
-                </div>
-                <div className="form-group">
-                  <label htmlFor="shipping-region">State *</label>
-                  <input
-                    type="number"
-                    id="shipping-region"
-                    value={shippingAddress.region_id}
-                    onChange={(e) => handleShippingChange('region_id', parseInt(e.target.value))}
-                    required
-                    placeholder="43"
-                    disabled={submitting}
-                  />
-                  <small>Region ID (e.g., 43 for New York)</small>
-                </div>
-              </div>
-
-              <div className="form-row">
-                <div className="form-group">
-                  <label htmlFor="shipping-postcode">ZIP Code *</label>
-                  <input
-                    type="text"
-                    id="shipping-postcode"
-                    value={shippingAddress.postcode}
-                    onChange={(e) => handleShippingChange('postcode', e.target.value)}
-                    required
-                    placeholder="10001"
-                    disabled={submitting}
-                  />
-                </div>
-                <div className="form-group">
-                  <label htmlFor="shipping-country">Country *</label>
-                  <select
-                    id="shipping-country"
-                    value={shippingAddress.country_code}
-                    onChange={(e) => handleShippingChange('country_code', e.target.value)}
-                    required
-                    disabled={submitting}
-                  >
-                    <option value="US">United States</option>
-                  </select>
-                </div>
-              </div>
-
-              <div className="form-group">
-                <label htmlFor="shipping-telephone">Phone Number *</label>
-                <input
-                  type="tel"
-                  id="shipping-telephone"
-                  value={shippingAddress.telephone}
-                  onChange={(e) => handleShippingChange('telephone', e.target.value)}
-                  required
-                  placeholder="1234567890"
-                  disabled={submitting}
-                />
-              </div>
-            </section>
+                )}
+
+                {shippingAddressId === NEW_ADDRESS && (
+                  <>
+                    <AddressFields
+                      idPrefix="shipping"
+                      address={shippingAddress}
+                      onChange={handleShippingChange}
+                      disabled={addressLocked}
+                    />
+                    {isSignedIn && (
+                      <div className="form-group checkbox-group">
+                        <label>
+                          <input
+                            type="checkbox"
+                            checked={saveShippingAddress}
+                            onChange={(e) => setSaveShippingAddress(e.target.checked)}
+                            disabled={addressLocked}
+                          />
+                          <span>{t('addressBook.saveAddress')}</span>
+                        </label>
+                      </div>
+                    )}
+                  </>
+                )}
+              </section>
+            )}
 
             {/* Billing Address Section */}
             <section className="checkout-section">
-              <h2>Billing Address</h2>
+              <h2>{t('checkout.billingAddress')}</h2>
               
-              <div className="form-group checkbox-group">
-                <label>
-                  <input
-                    type="checkbox"
-                    checked={sameAsShipping}
-                    onChange={(e) => setSameAsShipping(e.target.checked)}
-                    disabled={submitting}
-                  />
-                  <span>Same as shipping address</span>
-                </label>
-              </div>
+              {!isVirtual && (
+                <div className="form-group checkbox-group">
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={sameAsShipping}
+                      onChange={(e) => setSameAsShipping(e.target.checked)}
+                      disabled={addressLocked}
+                    />
+                    <span>{t('checkout.sameAsShipping')}</span>
+                  </label>
+                </div>
+              )}
 
-              {!sameAsShipping && (
+              {(isVirtual || !sameAsShipping) && (
                 <>
-                  <div className="form-row">
-                    <div className="form-group">
-                      <label htmlFor="billing-firstname">First Name *</label>
-                      <input
-                        type="text"
-                        id="billing-firstname"
-                        value={billingAddress.firstname}
-                        onChange={(e) => handleBillingChange('firstname', e.target.value)}
-                        required
-                        placeholder="John"
-                        disabled={submitting}
-                      />
-                    </div>
-                    <div className="form-group">
-                      <label htmlFor="billing-lastname">Last Name *</label>
-                      <input
-                        type="text"
-                        id="billing-lastname"
-                        value={billingAddress.lastname}
-                        onChange={(e) => handleBillingChange('lastname', e.target.value)}
-                        required
-                        placeholder="Doe"
-                        disabled={submitting}
+                  {savedAddresses.length > 0 && (
+                    <SavedAddressPicker
+                      name="billing-address"
+                      addresses={savedAddresses}
+                      selectedId={billingAddressId}
+                      onSelect={setBillingAddressId}
+                      disabled={addressLocked}
+                    />
+                  )}
+
+                  {billingAddressId === NEW_ADDRESS && (
+                    <>
+                      <AddressFields
+                        idPrefix="billing"
+                        address={billingAddress}
+                        onChange={handleBillingChange}
+                        disabled={addressLocked}
                       />
-                    </div>
-                  </div>
+                      {isSignedIn && (
+                        <div className="form-group checkbox-group">
+                          <label>
+                            <input
+                              type="checkbox"
+                              checked={saveBillingAddress}
+                              onChange={(e) => setSaveBillingAddress(e.target.checked)}
+                              disabled={addressLocked}
+                            />
+                            <span>{t('addressBook.saveAddress')}</span>
+                          </label>
+                        </div>
+                      )}
+                    </>
+                  )}
+                </>
+              )}
+            </section>
 
-                  <div className="form-group">
-                    <label htmlFor="billing-street">Street Address *</label>
-                    <input
-                      type="text"
-                      id="billing-street"
-                      value={billingAddress.street[0]}
-                      onChange={(e) => handleBillingChange('street', e.target.value)}
-                      required
-                      placeholder="123 Main Street"
-                      disabled={submitting}
-                    />
-                  </div>
+            {/* Submit Button */}
+            {step === 'information' ? (
+              <div className="checkout-actions">
+                <button
+                  type="button"
+                  onClick={() => history.push('/cart')}
+                  className="btn-back"
+                  disabled={submitting}
+                >
+                  {t('common.backToCart')}
+                </button>
+                <button
+                  type="submit"
+                  className="btn-submit"
+                  disabled={submitting}
+                >
+                  {submitting ? t('common.processing') : isVirtual ? t('checkout.continueToPayment') : t('checkout.continueToShipping')}
+                </button>
+              </div>
+            ) : (
+              <div className="checkout-actions">
+                <button
+                  type="button"
+                  onClick={handleEditInformation}
+                  className="btn-back"
+                  disabled={submitting}
+                >
+                  {t('checkout.editInformation')}
+                </button>
+              </div>
+            )}
+          </form>
 
-                  <div className="form-row">
-                    <div className="form-group">
-                      <label htmlFor="billing-city">City *</label>
-                      <input
-                        type="text"
-                        id="billing-city"
-                        value={billingAddress.city}
-                        onChange={(e) => handleBillingChange('city', e.target.value)}
-                        required
-                        placeholder="New York"
-                        disabled={submitting}
-                      />
-                    </div>
-                    <div className="form-group">
-                      <label htmlFor="billing-region">State *</label>
+          {/* Shipping Method Section */}
+          {step !== 'information' && !isVirtual && (
+            <section className="checkout-section">
+              <h2>{t('checkout.shippingMethod')}</h2>
+              <div className="method-list">
+                {shippingMethods.map((method) => {
+                  const key = getShippingMethodKey(method);
+                  return (
+                    <label key={key} className="method-option">
                       <input
-                        type="number"
-                        id="billing-region"
-                        value={billingAddress.region_id}
-                        onChange={(e) => handleBillingChange('region_id', parseInt(e.target.value))}
-                        required
-                        placeholder="43"
-                        disabled={submitting}
+                        type="radio"
+                        name="shipping-method"
+                        value={key}
+                        checked={selectedShippingMethod === key}
+                        onChange={(e) => setSelectedShippingMethod(e.target.value)}
+                        disabled={submitting || step !== 'shipping'}
                       />
-                      <small>Region ID (e.g., 43 for New York)</small>
-                    </div>
-                  </div>
+                      <span className="method-title">
+                        {method.carrier_title} - {method.method_title}
+                      </span>
+                      <span className="method-price">
+                        {magentoApi.formatPrice(method.amount.value, method.amount.currency)}
+                      </span>
+                    </label>
+                  );
+                })}
+              </div>
 
-                  <div className="form-row">
-                    <div className="form-group">
-                      <label htmlFor="billing-postcode">ZIP Code *</label>
-                      <input
-                        type="text"
-                        id="billing-postcode"
-                        value={billingAddress.postcode}
-                        onChange={(e) => handleBillingChange('postcode', e.target.value)}
-                        required
-                        placeholder="10001"
-                        disabled={submitting}
-                      />
-                    </div>
-                    <div className="form-group">
-                      <label htmlFor="billing-country">Country *</label>
-                      <select
-                        id="billing-country"
-                        value={billingAddress.country_code}
-                        onChange={(e) => handleBillingChange('country_code', e.target.value)}
-                        required
-                        disabled={submitting}
-                      >
-                        <option value="US">United States</option>
-                      </select>
-                    </div>
-                  </div>
+              {step === 'shipping' && (
+                <div className="checkout-actions">
+                  <button
+                    type="button"
+                    onClick={handleShippingMethodSubmit}
+                    className="btn-submit"
+                    disabled={submitting || !selectedShippingMethod}
+                  >
+                    {submitting ? t('common.processing') : t('checkout.continueToPayment')}
+                  </button>
+                </div>
+              )}
+            </section>
+          )}
 
-                  <div className="form-group">
-                    <label htmlFor="billing-telephone">Phone Number *</label>
+          {/* Payment Method Section */}
+          {step === 'payment' && (
+            <section className="checkout-section">
+              <h2>{t('checkout.paymentMethod')}</h2>
+              <div className="method-list">
+                {paymentMethods.map((method) => (
+                  <label key={method.code} className="method-option">
                     <input
-                      type="tel"
-                      id="billing-telephone"
-                      value={billingAddress.telephone}
-                      onChange={(e) => handleBillingChange('telephone', e.target.value)}
-                      required
-                      placeholder="1234567890"
+                      type="radio"
+                      name="payment-method"
+                      value={method.code}
+                      checked={selectedPaymentMethod === method.code}
+                      onChange={(e) => setSelectedPaymentMethod(e.target.value)}
                       disabled={submitting}
                     />
-                  </div>
-                </>
-              )}
-            </section>
+                    <span className="method-title">{method.title}</span>
+                  </label>
+                ))}
+              </div>
 
-            {/* Submit Button */}
-            <div className="checkout-actions">
-              <button
-                type="button"
-                onClick={() => history.push('/cart')}
-                className="btn-back"
-                disabled={submitting}
-              >
-                Back to Cart
-              </button>
-              <button
-                type="submit"
-                className="btn-submit"
-                disabled={submitting}
-              >
-                {submitting ? 'Processing...' : 'Continue to Payment'}
-              </button>
-            </div>
-          </form>
+              <div className="checkout-actions">
+                <button
+                  type="button"
+                  onClick={isVirtual ? handleEditInformation : () => setStep('shipping')}
+                  className="btn-back"
+                  disabled={submitting}
+                >
+                  {isVirtual ? t('checkout.editInformation') : t('checkout.changeShipping')}
+                </button>
+                <button
+                  type="button"
+                  onClick={handlePlaceOrder}
+                  className="btn-submit"
+                  disabled={submitting || !selectedPaymentMethod}
+                >
+                  {submitting ? t('checkout.placingOrder') : t('checkout.placeOrder')}
+                </button>
+              </div>
+            </section>
+          )}
         </div>
 
         {/* Order Summary */}
         <div className="checkout-summary">
-          <h2>Order Summary</h2>
+          <h2>{t('checkout.orderSummary')}</h2>
           <div className="summary-items">
             {items.map((item) => {
               const product = item.product;
-              const price = product?.price_range?.minimum_price?.regular_price || { value: 0, currency: 'USD' };
+              // The item price includes custom option surcharges
+              const price = item.prices?.price || product?.price_range?.minimum_price?.regular_price || { value: 0 };
               const itemTotal = price.value * item.quantity;
 
               return (
                 <div key={item.id} className="summary-item">
                   <div className="summary-item-details">
                     <h4>{product.name}</h4>
-                    <p>Qty: {item.quantity}</p>
+                    <CartItemOptions item={item} />
+                    <p>{t('common.quantity', { quantity: item.quantity })}</p>
                   </div>
                   <div className="summary-item-price">
                     {magentoApi.formatPrice(itemTotal, price.currency)}
@@ -494,12 +582,16 @@ const Checkout = () => {
               );
             })}
           </div>
-          <div className="summary-total">
-            <span>Grand Total:</span>
-            <span className="total-amount">
-              {magentoApi.formatPrice(grandTotal.value, grandTotal.currency)}
-            </span>
-          </div>
+          <CouponForm
+            appliedCoupons={cartData?.applied_coupons || []}
+            onCartChange={setCartData}
+          />
+          <GiftCardForm onCartChange={setCartData} />
+          <PriceSummary
+            prices={cartData?.prices}
+            shipping={cartData?.shipping_addresses?.[0]?.selected_shipping_method}
+            showChargedTotal
+          />
         </div>
       </div>
     </div>
@@ -0,0 +1,27 @@
+import React, { useEffect } from 'react';
+import './CmsPage.css';
+
+const CmsPage = ({ page }) => {
+  useEffect(() => {
+    const previousTitle = document.title;
+    document.title = page.meta_title || page.title || previousTitle;
+
+    return () => {
+      document.title = previousTitle;
+    };
+  }, [page]);
+
+  const heading = page.content_heading || page.title;
+
+  return (
+    <div className="cms-page">
+      {heading && <h1 className="cms-page-heading">{heading}</h1>}
+      <div
+        className="cms-page-content"
+        dangerouslySetInnerHTML={{ __html: page.content }}
+      />
+    </div>
+  );
+};
+
+export default CmsPage;
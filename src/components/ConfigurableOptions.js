@@ -0,0 +1,129 @@
+import React from 'react';
+import { t } from '../i18n';
+import './ConfigurableOptions.css';
+
+/**
+ * Does a variant carry every selected option value?
+ * @param {Object} product - Configurable product with configurable_options and variants
+ * @param {Object} variant - One of product.variants
+ * @param {Object} selections - Selected value_index keyed by option id
+ */
+const variantMatches = (product, variant, selections) =>
+  product.configurable_options.every(option => {
+    const selected = selections[option.id];
+    if (selected == null) return true;
+    const attribute = variant.attributes.find(attr => attr.code === option.attribute_code);
+    return attribute?.value_index === selected;
+  });
+
+const isVariantInStock = (variant) => variant.product?.stock_status !== 'OUT_OF_STOCK';
+
+/**
+ * The variant for a complete selection, or undefined while options are missing
+ */
+export const findVariant = (product, selections) => {
+  const complete = product.configurable_options?.every(option => selections[option.id] != null);
+  return complete ? product.variants?.find(variant => variantMatches(product, variant, selections)) : undefined;
+};
+
+/**
+ * Can this value, together with the other selected options, form an in-stock variant?
+ */
+export const isValueAvailable = (product, selections, option, valueIndex) =>
+  (product.variants || []).some(variant =>
+    isVariantInStock(variant) &&
+    variantMatches(product, variant, { ...selections, [option.id]: valueIndex })
+  );
+
+const swatchStyle = (swatch) => {
+  switch (swatch?.__typename) {
+    case 'ColorSwatchData':
+      return { backgroundColor: swatch.value };
+    case 'ImageSwatchData':
+      return { backgroundImage: `url(${swatch.thumbnail || swatch.value})` };
+    default:
+      return undefined;
+  }
+};
+
+const swatchType = (swatch) => {
+  switch (swatch?.__typename) {
+    case 'ColorSwatchData':
+      return 'color';
+    case 'ImageSwatchData':
+      return 'image';
+    default:
+      return 'text';
+  }
+};
+
+const ConfigurableOptions = ({ product, selections, onChange, disabled }) => (
+  <div className="pdp-configurable-options">
+    <h3>{t('product.options')}</h3>
+    {product.configurable_options.map((option) => {
+      const selectedValue = option.values.find(value => value.value_index === selections[option.id]);
+      const hasSwatches = option.values.some(value => value.swatch_data);
+      // A value no in-stock variant carries can never be bought
+      const isSoldOut = (value) => !isValueAvailable(product, {}, option, value.value_index);
+
+      return (
+        <div key={option.id} className="configurable-option">
+          {hasSwatches ? (
+            <>
+              <span className="configurable-option-label">
+                {option.label}:
+                {selectedValue && <span className="swatch-selected-label">{selectedValue.label}</span>}
+              </span>
+              <div className="swatch-list" role="radiogroup" aria-label={option.label}>
+                {option.values.map((value) => {
+                  const type = swatchType(value.swatch_data);
+                  const isSelected = value === selectedValue;
+                  const isAvailable = isValueAvailable(product, selections, option, value.value_index);
+
+                  return (
+                    <button
+                      key={value.value_index}
+                      type="button"
+                      role="radio"
+                      aria-checked={isSelected}
+                      aria-label={value.label}
+                      title={isAvailable ? value.label : t('product.unavailableOption', { label: value.label })}
+                      className={`swatch swatch-${type}${isSelected ? ' selected' : ''}${isAvailable ? '' : ' unavailable'}`}
+                      style={swatchStyle(value.swatch_data)}
+                      onClick={() => onChange(option.id, isSelected ? null : value.value_index)}
+                      disabled={disabled || isSoldOut(value)}
+                    >
+                      {type === 'text' && (value.swatch_data?.value || value.label)}
+                    </button>
+                  );
+                })}
+              </div>
+            </>
+          ) : (
+            <>
+              <label htmlFor={`option-${option.id}`}>{option.label}:</label>
+              <select
+                id={`option-${option.id}`}
+                value={selections[option.id] ?? ''}
+                onChange={(e) => onChange(option.id, e.target.value === '' ? null : parseInt(e.target.value, 10))}
+                disabled={disabled}
+              >
+                <option value="">{t('product.selectPlaceholder')}</option>
+                {option.values.map((value) => {
+                  const isAvailable = isValueAvailable(product, selections, option, value.value_index);
+                  return (
+                    <option key={value.value_index} value={value.value_index} disabled={isSoldOut(value)}>
+                      {isAvailable ? value.label : t('product.unavailableOption', { label: value.label })}
+                    </option>
+                  );
+                })}
+              </select>
+            </>
+          )}
+        </div>
+      );
+    })}
+  </div>
+);
+
+export default ConfigurableOptions;
@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './CouponForm.css';
+
+const CouponForm = ({ appliedCoupons = [], onCartChange }) => {
+  const [couponCode, setCouponCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleApply = async (e) => {
+    e.preventDefault();
+    const code = couponCode.trim();
+    if (!code) return;
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      const cart = await magentoApi.applyCouponToCart(code);
+      setCouponCode('');
+      onCartChange(cart);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    try {
+      setSubmitting(true);
+      setError(null);
+      const cart = await magentoApi.removeCouponFromCart();
+      onCartChange(cart);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="coupon-form">
+      <h3>{t('coupon.title')}</h3>
+
+      {appliedCoupons.length > 0 ? (
+        <ul className="coupon-applied">
+          {appliedCoupons.map(({ code }) => (
+            <li key={code}>
+              <span className="coupon-code">{code}</span>
+              <button
+                type="button"
+                className="coupon-remove"
+                onClick={handleRemove}
+                disabled={submitting}
+              >
+                {t('common.remove')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        // Magento accepts one coupon per cart
+        <form className="coupon-input" onSubmit={handleApply}>
+          <input
+            type="text"
+            value={couponCode}
+            onChange={(e) => setCouponCode(e.target.value)}
+            placeholder={t('coupon.placeholder')}
+            aria-label={t('coupon.placeholder')}
+            disabled={submitting}
+          />
+          <button type="submit" disabled={submitting || !couponCode.trim()}>
+            {submitting ? t('coupon.applying') : t('coupon.apply')}
+          </button>
+        </form>
+      )}
+
+      {error && <p className="coupon-error">{error}</p>}
+    </div>
+  );
+};
+
+export default CouponForm;
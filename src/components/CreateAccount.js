@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { Link, useHistory } from 'react-router-dom';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './AccountForms.css';
+
+const CreateAccount = () => {
+  const history = useHistory();
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [customer, setCustomer] = useState({
+    firstname: '',
+    lastname: '',
+    email: '',
+    password: '',
+    is_subscribed: false,
+  });
+
+  const handleChange = (field, value) => {
+    setCustomer({ ...customer, [field]: value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!customer.firstname || !customer.lastname || !customer.email || !customer.password) {
+      setError(t('createAccount.missingFields'));
+      return;
+    }
+
+    if (customer.password !== confirmPassword) {
+      setError(t('createAccount.passwordMismatch'));
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      await magentoApi.createCustomer(customer);
+      // Sign the new customer in right away so the guest cart is kept
+      await magentoApi.signIn(customer.email, customer.password);
+      history.push('/');
+    } catch (err) {
+      setError(err.message);
+      console.error('Error creating account:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="account-form-container">
+      <div className="account-form">
+        <h1>{t('createAccount.title')}</h1>
+
+        {error && (
+          <div className="account-form-error">{error}</div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="create-firstname">{t('createAccount.firstname')}</label>
+              <input
+                type="text"
+                id="create-firstname"
+                value={customer.firstname}
+                onChange={(e) => handleChange('firstname', e.target.value)}
+                required
+                autoComplete="given-name"
+                disabled={submitting}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="create-lastname">{t('createAccount.lastname')}</label>
+              <input
+                type="text"
+                id="create-lastname"
+                value={customer.lastname}
+                onChange={(e) => handleChange('lastname', e.target.value)}
+                required
+                autoComplete="family-name"
+                disabled={submitting}
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="create-email">{t('createAccount.email')}</label>
+            <input
+              type="email"
+              id="create-email"
+              value={customer.email}
+              onChange={(e) => handleChange('email', e.target.value)}
+              required
+              autoComplete="email"
+              disabled={submitting}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="create-password">{t('createAccount.password')}</label>
+            <input
+              type="password"
+              id="create-password"
+              value={customer.password}
+              onChange={(e) => handleChange('password', e.target.value)}
+              required
+              autoComplete="new-password"
+              disabled={submitting}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="create-confirm-password">{t('createAccount.confirmPassword')}</label>
+            <input
+              type="password"
+              id="create-confirm-password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              required
+              autoComplete="new-password"
+              disabled={submitting}
+            />
+          </div>
+
+          <div className="form-group checkbox-group">
+            <label>
+              <input
+                type="checkbox"
+                checked={customer.is_subscribed}
+                onChange={(e) => handleChange('is_subscribed', e.target.checked)}
+                disabled={submitting}
+              />
+              <span>{t('createAccount.newsletter')}</span>
+            </label>
+          </div>
+
+          <button type="submit" className="btn-submit" disabled={submitting}>
+            {submitting ? t('createAccount.submitting') : t('createAccount.submit')}
+          </button>
+        </form>
+
+        <p className="account-form-switch">
+          {t('createAccount.haveAccount')} <Link to="/sign-in">{t('createAccount.signIn')}</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default CreateAccount;
@@ -0,0 +1,39 @@
+import React, { useState } from 'react';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './StoreSwitcher.css';
+
+const CurrencySwitcher = () => {
+  const [settings, setSettings] = useState(magentoApi.getCurrencySettings());
+
+  if (settings.availableCurrencies.length < 2) {
+    return null;
+  }
+
+  const handleChange = (e) => {
+    magentoApi.setDisplayCurrency(e.target.value);
+    setSettings(magentoApi.getCurrencySettings());
+  };
+
+  return (
+    <div className="store-switcher">
+      <label htmlFor="currency-switcher-select" className="store-switcher-label">
+        {t('header.currency')}
+      </label>
+      <select
+        id="currency-switcher-select"
+        className="store-switcher-select"
+        value={settings.displayCurrency}
+        onChange={handleChange}
+      >
+        {settings.availableCurrencies.map(code => (
+          <option key={code} value={code}>
+            {code}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default CurrencySwitcher;
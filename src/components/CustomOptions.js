@@ -0,0 +1,208 @@
+import React from 'react';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './CustomOptions.css';
+
+// Options the shopper types into; the rest pick from a list of values
+const TEXT_OPTION_TYPES = ['CustomizableFieldOption', 'CustomizableAreaOption', 'CustomizableDateOption'];
+const MULTI_OPTION_TYPES = ['CustomizableCheckboxOption', 'CustomizableMultipleOption'];
+// The GraphQL cart API has no way to upload files
+const FILE_OPTION_TYPE = 'CustomizableFileOption';
+
+const hasValue = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+/**
+ * Surcharge for one option value: a FIXED amount or a PERCENT of the product price
+ */
+const getValuePrice = (value, basePrice) =>
+  value?.price_type === 'PERCENT' ? basePrice * value.price / 100 : value?.price || 0;
+
+/**
+ * Price the entered custom options add to the product
+ * @param {Array} options - Normalized product options
+ * @param {Object} values - Entered values keyed by option uid
+ * @param {number} basePrice - Product price PERCENT surcharges apply to
+ */
+export const getCustomOptionsPrice = (options = [], values, basePrice) =>
+  options.reduce((total, option) => {
+    const entered = values[option.uid];
+    if (!hasValue(entered)) return total;
+
+    if (option.values) {
+      const chosen = [].concat(entered);
+      return option.values
+        .filter(value => chosen.includes(value.uid))
+        .reduce((sum, value) => sum + getValuePrice(value, basePrice), total);
+    }
+    return total + getValuePrice(option.value, basePrice);
+  }, 0);
+
+/**
+ * Required options that still have no value
+ * File options are left out: they cannot be filled in, see requiresFileUpload.
+ */
+export const getMissingCustomOptions = (options = [], values) =>
+  options.filter(option =>
+    option.required && option.__typename !== FILE_OPTION_TYPE && !hasValue(values[option.uid])
+  );
+
+/**
+ * Whether the product needs a file upload, so it cannot be ordered online
+ */
+export const requiresFileUpload = (options = []) =>
+  options.some(option => option.required && option.__typename === FILE_OPTION_TYPE);
+
+/**
+ * Turn entered values into addProductsToCart option input
+ * Choices are sent as value UIDs; typed values as entered_options.
+ */
+export const buildCustomOptionsInput = (options = [], values) =>
+  options.reduce((input, option) => {
+    const entered = values[option.uid];
+    if (!hasValue(entered)) return input;
+
+    if (option.values) {
+      input.selected_options.push(...[].concat(entered));
+    } else if (option.__typename === 'CustomizableDateOption') {
+      // Magento stores dates with a time part
+      input.entered_options.push({ uid: option.uid, value: `${entered} 00:00:00` });
+    } else if (TEXT_OPTION_TYPES.includes(option.__typename)) {
+      input.entered_options.push({ uid: option.uid, value: entered });
+    }
+    return input;
+  }, { selected_options: [], entered_options: [] });
+
+const CustomOptions = ({ options = [], values, basePrice, currency, onChange, disabled }) => {
+  const priceLabel = (value) => {
+    const price = getValuePrice(value, basePrice);
+    return price > 0 ? `+${magentoApi.formatPrice(price, currency)}` : '';
+  };
+
+  const setValue = (option, value) => {
+    onChange({ ...values, [option.uid]: value });
+  };
+
+  const toggleValue = (option, uid, checked) => {
+    const chosen = values[option.uid] || [];
+    setValue(option, checked ? [...chosen, uid] : chosen.filter(selected => selected !== uid));
+  };
+
+  const renderInput = (option) => {
+    const id = `custom-option-${option.uid}`;
+    const entered = values[option.uid];
+
+    switch (option.__typename) {
+      case 'CustomizableFieldOption':
+      case 'CustomizableAreaOption': {
+        const maxLength = option.value?.max_characters || undefined;
+        const InputTag = option.__typename === 'CustomizableAreaOption' ? 'textarea' : 'input';
+        return (
+          <>
+            <InputTag
+              id={id}
+              type={InputTag === 'input' ? 'text' : undefined}
+              value={entered || ''}
+              maxLength={maxLength}
+              onChange={(e) => setValue(option, e.target.value)}
+              disabled={disabled}
+            />
+            {maxLength && (
+              <span className="custom-option-hint">
+                {t('customOptions.charactersLeft', { count: maxLength - (entered || '').length })}
+              </span>
+            )}
+          </>
+        );
+      }
+      case 'CustomizableDateOption':
+        return (
+          <input
+            id={id}
+            type="date"
+            value={entered || ''}
+            onChange={(e) => setValue(option, e.target.value)}
+            disabled={disabled}
+          />
+        );
+      case FILE_OPTION_TYPE:
+        return (
+          <p className="custom-option-hint">
+            {option.required ? t('customOptions.fileRequired') : t('customOptions.fileUnsupported')}
+          </p>
+        );
+      case 'CustomizableDropDownOption':
+        return (
+          <select
+            id={id}
+            value={entered || ''}
+            onChange={(e) => setValue(option, e.target.value)}
+            disabled={disabled}
+          >
+            <option value="">{t('product.selectPlaceholder')}</option>
+            {option.values.map((value) => (
+              <option key={value.uid} value={value.uid}>
+                {value.title} {priceLabel(value)}
+              </option>
+            ))}
+          </select>
+        );
+      case 'CustomizableMultipleOption':
+        return (
+          <select
+            id={id}
+            multiple
+            value={entered || []}
+            onChange={(e) => setValue(option, Array.from(e.target.selectedOptions, selected => selected.value))}
+            disabled={disabled}
+          >
+            {option.values.map((value) => (
+              <option key={value.uid} value={value.uid}>
+                {value.title} {priceLabel(value)}
+              </option>
+            ))}
+          </select>
+        );
+      case 'CustomizableRadioOption':
+      case 'CustomizableCheckboxOption': {
+        const multi = MULTI_OPTION_TYPES.includes(option.__typename);
+        return (
+          <div className="custom-option-choices">
+            {option.values.map((value) => (
+              <label key={value.uid}>
+                <input
+                  type={multi ? 'checkbox' : 'radio'}
+                  name={id}
+                  checked={multi ? (entered || []).includes(value.uid) : entered === value.uid}
+                  onChange={(e) => (multi ? toggleValue(option, value.uid, e.target.checked) : setValue(option, value.uid))}
+                  disabled={disabled}
+                />
+                {value.title}
+                <span className="custom-option-price">{priceLabel(value)}</span>
+              </label>
+            ))}
+          </div>
+        );
+      }
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="custom-options">
+      <h3>{t('customOptions.title')}</h3>
+      {options.map((option) => (
+        <div key={option.uid} className="custom-option">
+          <label htmlFor={`custom-option-${option.uid}`}>
+            {option.title}
+            {option.required && <span className="custom-option-required"> *</span>}
+            {!option.values && <span className="custom-option-price"> {priceLabel(option.value)}</span>}
+          </label>
+          {renderInput(option)}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default CustomOptions;
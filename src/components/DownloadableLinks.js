@@ -0,0 +1,81 @@
+import React from 'react';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './DownloadableLinks.css';
+
+const bySortOrder = (a, b) => a.sort_order - b.sort_order;
+
+/**
+ * Price of the selected links, charged on top of the product price
+ */
+export const getDownloadableLinksPrice = (product, selectedLinks) =>
+  (product.downloadable_product_links || [])
+    .filter(link => selectedLinks.includes(link.uid))
+    .reduce((sum, link) => sum + (link.price || 0), 0);
+
+const DownloadableLinks = ({ product, selectedLinks, onChange, disabled }) => {
+  const currency = product.price_range?.minimum_price?.final_price?.currency;
+  const links = [...(product.downloadable_product_links || [])].sort(bySortOrder);
+  const samples = [...(product.downloadable_product_samples || [])].sort(bySortOrder);
+
+  const handleToggle = (uid, checked) => {
+    onChange(checked ? [...selectedLinks, uid] : selectedLinks.filter(selected => selected !== uid));
+  };
+
+  return (
+    <div className="downloadable-links">
+      {links.length > 0 && (
+        <>
+          <h3>{product.links_title || t('downloadable.links')}</h3>
+          <ul>
+            {links.map((link) => (
+              <li key={link.uid}>
+                {/* Links bought together are all included, so there is nothing to pick */}
+                {product.links_purchased_separately ? (
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={selectedLinks.includes(link.uid)}
+                      onChange={(e) => handleToggle(link.uid, e.target.checked)}
+                      disabled={disabled}
+                    />
+                    {link.title}
+                    {link.price > 0 && (
+                      <span className="downloadable-link-price">
+                        +{magentoApi.formatPrice(link.price, currency)}
+                      </span>
+                    )}
+                  </label>
+                ) : (
+                  <span>{link.title}</span>
+                )}
+                {link.sample_url && (
+                  <a href={link.sample_url} target="_blank" rel="noopener noreferrer" className="downloadable-sample">
+                    {t('downloadable.sample')}
+                  </a>
+                )}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {samples.length > 0 && (
+        <>
+          <h3>{t('downloadable.samples')}</h3>
+          <ul>
+            {samples.map((sample) => (
+              <li key={sample.sample_url}>
+                <a href={sample.sample_url} target="_blank" rel="noopener noreferrer">
+                  {sample.title}
+                </a>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DownloadableLinks;
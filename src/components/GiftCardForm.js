@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './CouponForm.css';
+
+// Gift cards are an Adobe Commerce feature; the form stays hidden on Magento Open Source
+const GiftCardForm = ({ onCartChange }) => {
+  const [supported, setSupported] = useState(false);
+  const [appliedGiftCards, setAppliedGiftCards] = useState([]);
+  const [giftCardCode, setGiftCardCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    magentoApi.supportsGiftCards()
+      .then(async (isSupported) => {
+        if (cancelled || !isSupported) return;
+        setSupported(true);
+        const giftCards = await magentoApi.fetchAppliedGiftCards();
+        if (!cancelled) {
+          setAppliedGiftCards(giftCards);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err.message);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const runChange = async (change) => {
+    try {
+      setSubmitting(true);
+      setError(null);
+      const cart = await change();
+      setAppliedGiftCards(cart?.applied_gift_cards || []);
+      onCartChange(cart);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleApply = async (e) => {
+    e.preventDefault();
+    const code = giftCardCode.trim();
+    if (!code) return;
+
+    if (await runChange(() => magentoApi.applyGiftCardToCart(code))) {
+      setGiftCardCode('');
+    }
+  };
+
+  if (!supported) {
+    return null;
+  }
+
+  return (
+    <div className="coupon-form gift-card-form">
+      <h3>{t('giftCard.title')}</h3>
+
+      {appliedGiftCards.length > 0 && (
+        <ul className="coupon-applied">
+          {appliedGiftCards.map(({ code, applied_balance: balance }) => (
+            <li key={code}>
+              <span className="coupon-code">
+                {code}
+                {balance && ` (−${magentoApi.formatPrice(balance.value, balance.currency)})`}
+              </span>
+              <button
+                type="button"
+                className="coupon-remove"
+                onClick={() => runChange(() => magentoApi.removeGiftCardFromCart(code))}
+                disabled={submitting}
+              >
+                {t('common.remove')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Several gift cards can pay for one cart */}
+      <form className="coupon-input" onSubmit={handleApply}>
+        <input
+          type="text"
+          value={giftCardCode}
+          onChange={(e) => setGiftCardCode(e.target.value)}
+          placeholder={t('giftCard.placeholder')}
+          aria-label={t('giftCard.placeholder')}
+          disabled={submitting}
+        />
+        <button type="submit" disabled={submitting || !giftCardCode.trim()}>
+          {submitting ? t('coupon.applying') : t('coupon.apply')}
+        </button>
+      </form>
+
+      {error && <p className="coupon-error">{error}</p>}
+    </div>
+  );
+};
+
+export default GiftCardForm;
@@ -0,0 +1,67 @@
+import React from 'react';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './GroupedProductItems.css';
+
+/**
+ * Starting quantities keyed by child SKU, from the admin's default qty
+ */
+export const getDefaultGroupedQuantities = (items = []) =>
+  items.reduce((quantities, item) => ({ ...quantities, [item.product.sku]: item.qty || 0 }), {});
+
+const GroupedProductItems = ({ items = [], quantities, onChange, disabled }) => {
+  const sortedItems = [...items].sort((a, b) => a.position - b.position);
+
+  const handleQuantityChange = (sku, value) => {
+    const quantity = parseInt(value, 10);
+    onChange({ ...quantities, [sku]: quantity > 0 ? quantity : 0 });
+  };
+
+  return (
+    <table className="grouped-items">
+      <thead>
+        <tr>
+          <th>{t('grouped.product')}</th>
+          <th>{t('grouped.price')}</th>
+          <th>{t('grouped.quantity')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {sortedItems.map(({ product }) => {
+          const price = product.price_range?.minimum_price?.final_price;
+          const inStock = product.stock_status === 'IN_STOCK';
+
+          return (
+            <tr key={product.sku}>
+              <td className="grouped-item-name">
+                {product.small_image?.url && (
+                  <img src={product.small_image.url} alt={product.name} />
+                )}
+                <span>{product.name}</span>
+              </td>
+              <td className="grouped-item-price">
+                {price && magentoApi.formatPrice(price.value, price.currency)}
+              </td>
+              <td>
+                {inStock ? (
+                  <input
+                    type="number"
+                    min="0"
+                    value={quantities[product.sku] || 0}
+                    onChange={(e) => handleQuantityChange(product.sku, e.target.value)}
+                    aria-label={t('grouped.quantityFor', { name: product.name })}
+                    disabled={disabled}
+                  />
+                ) : (
+                  <span className="grouped-item-oos">{t('product.outOfStock')}</span>
+                )}
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+};
+
+export default GroupedProductItems;
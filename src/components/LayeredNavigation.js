@@ -0,0 +1,75 @@
+import React from 'react';
+import { t } from '../i18n';
+import './LayeredNavigation.css';
+
+const LayeredNavigation = ({ aggregations = [], filters = {}, onToggle, onClearAll }) => {
+  // Only show facets that offer a choice, or that are currently applied
+  const facets = aggregations.filter(aggregation =>
+    (aggregation.options && aggregation.options.length > 1) || filters[aggregation.attribute_code]
+  );
+
+  if (facets.length === 0) {
+    return null;
+  }
+
+  const hasActiveFilters = Object.keys(filters).length > 0;
+
+  const getOptionLabel = (aggregation, value) => {
+    const option = aggregation?.options?.find(o => o.value === value);
+    return option ? option.label : value;
+  };
+
+  return (
+    <aside className="layered-navigation">
+      <div className="layered-navigation-header">
+        <h3>{t('layeredNavigation.title')}</h3>
+        {hasActiveFilters && (
+          <button className="layered-navigation-clear" onClick={onClearAll}>
+            {t('layeredNavigation.clearAll')}
+          </button>
+        )}
+      </div>
+
+      {hasActiveFilters && (
+        <div className="layered-navigation-active">
+          {Object.entries(filters).map(([code, values]) => {
+            const aggregation = aggregations.find(a => a.attribute_code === code);
+            return values.map((value) => (
+              <button
+                key={`${code}-${value}`}
+                className="active-filter"
+                onClick={() => onToggle(code, value)}
+                aria-label={t('layeredNavigation.removeFilter', { label: getOptionLabel(aggregation, value) })}
+              >
+                {aggregation ? `${aggregation.label}: ` : ''}
+                {getOptionLabel(aggregation, value)} ✕
+              </button>
+            ));
+          })}
+        </div>
+      )}
+
+      {facets.map((aggregation) => {
+        const selected = filters[aggregation.attribute_code] || [];
+        return (
+          <fieldset key={aggregation.attribute_code} className="filter-group">
+            <legend>{aggregation.label}</legend>
+            {aggregation.options.map((option) => (
+              <label key={option.value} className="filter-option">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(option.value)}
+                  onChange={() => onToggle(aggregation.attribute_code, option.value)}
+                />
+                <span className="filter-option-label">{option.label}</span>
+                <span className="filter-option-count">({option.count})</span>
+              </label>
+            ))}
+          </fieldset>
+        );
+      })}
+    </aside>
+  );
+};
+
+export default LayeredNavigation;
@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './MegaMenu.css';
+
+const MegaMenu = () => {
+  const [categories, setCategories] = useState([]);
+  const [openCategory, setOpenCategory] = useState(null);
+
+  useEffect(() => {
+    loadCategories();
+  }, []);
+
+  const loadCategories = async () => {
+    try {
+      const tree = await magentoApi.fetchCategoryTree();
+      setCategories(tree);
+    } catch (err) {
+      // The menu is optional, the rest of the page still works without it
+      console.error('Error loading category menu:', err);
+    }
+  };
+
+  const closeMenu = () => {
+    setOpenCategory(null);
+  };
+
+  if (categories.length === 0) {
+    return null;
+  }
+
+  return (
+    <nav className="mega-menu" onMouseLeave={closeMenu} aria-label={t('header.categories')}>
+      <ul className="mega-menu-list">
+        {categories.map((category) => (
+          <li
+            key={category.uid}
+            className={`mega-menu-item ${openCategory === category.uid ? 'open' : ''}`}
+            onMouseEnter={() => setOpenCategory(category.uid)}
+          >
+            <Link
+              to={`/category/${category.url_path}`}
+              className="mega-menu-link"
+              onClick={closeMenu}
+              onFocus={() => setOpenCategory(category.uid)}
+            >
+              {category.name}
+            </Link>
+
+            {openCategory === category.uid && category.children.length > 0 && (
+              <div className="mega-menu-panel">
+                {category.children.map((child) => (
+                  <div key={child.uid} className="mega-menu-column">
+                    <Link
+                      to={`/category/${child.url_path}`}
+                      className="mega-menu-heading"
+                      onClick={closeMenu}
+                    >
+                      {child.name}
+                    </Link>
+                    {child.children.length > 0 && (
+                      <ul>
+                        {child.children.map((grandchild) => (
+                          <li key={grandchild.uid}>
+                            <Link
+                              to={`/category/${grandchild.url_path}`}
+                              onClick={closeMenu}
+                            >
+                              {grandchild.name}
+                            </Link>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </nav>
+  );
+};
+
+export default MegaMenu;
@@ -1,31 +1,38 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import CartItemOptions from './CartItemOptions';
 import './Minicart.css';
 
 const Minicart = () => {
   const [cartData, setCartData] = useState(null);
   const [isOpen, setIsOpen] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [updatingItemId, setUpdatingItemId] = useState(null);
+  const [pendingItems, setPendingItems] = useState([]);
 
   useEffect(() => {
     loadCartData();
+    loadPendingItems();
     
     // Listen for cart updates
     const handleCartUpdate = () => {
-      loadCartData();
+      loadCartData(true);
     };
     
     window.addEventListener('cartUpdated', handleCartUpdate);
+    window.addEventListener('cartQueueChanged', loadPendingItems);
     
     return () => {
       window.removeEventListener('cartUpdated', handleCartUpdate);
+      window.removeEventListener('cartQueueChanged', loadPendingItems);
     };
   }, []);
 
-  const loadCartData = async () => {
+  const loadCartData = async (silent = false) => {
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       const data = await magentoApi.getCartData();
       setCartData(data);
     } catch (err) {
@@ -35,6 +42,14 @@ const Minicart = () => {
     }
   };
 
+  // Products added while offline that are waiting to be sent to Magento
+  const loadPendingItems = async () => {
+    const queued = await magentoApi.getQueuedCartMutations();
+    setPendingItems(queued.filter(mutation =>
+      mutation.type === 'addToCart' || mutation.type === 'addProductsToCart'
+    ));
+  };
+
   const toggleMinicart = () => {
     setIsOpen(!isOpen);
   };
@@ -43,18 +58,44 @@ const Minicart = () => {
     setIsOpen(false);
   };
 
+  const handleQuantityChange = async (item, quantity) => {
+    try {
+      setUpdatingItemId(item.id);
+      const data = quantity < 1
+        ? await magentoApi.removeItemFromCart(item.id)
+        : await magentoApi.updateCartItems([{ id: item.id, quantity }]);
+      setCartData(data);
+    } catch (err) {
+      console.error('Error updating cart in minicart:', err);
+    } finally {
+      setUpdatingItemId(null);
+    }
+  };
+
+  const handleRemoveItem = async (item) => {
+    try {
+      setUpdatingItemId(item.id);
+      const data = await magentoApi.removeItemFromCart(item.id);
+      setCartData(data);
+    } catch (err) {
+      console.error('Error removing item in minicart:', err);
+    } finally {
+      setUpdatingItemId(null);
+    }
+  };
+
   const items = cartData?.items || [];
-  const itemCount = items.reduce((sum, item) => sum + item.quantity, 0);
-  const grandTotal = cartData?.prices?.grand_total || { value: 0, currency: 'USD' };
+  const itemCount = [...items, ...pendingItems].reduce((sum, item) => sum + item.quantity, 0);
+  const grandTotal = cartData?.prices?.grand_total || { value: 0 };
 
   return (
     <div className="minicart">
       <button 
         className="minicart-trigger" 
         onClick={toggleMinicart}
-        aria-label="Shopping cart"
+        aria-label={`${t('minicart.label')}, ${t('minicart.itemCount', { count: itemCount })}`}
       >
-        🛒 Cart
+        🛒 {t('minicart.trigger')}
         {itemCount > 0 && (
           <span className="minicart-badge">{itemCount}</span>
         )}
@@ -65,11 +106,11 @@ const Minicart = () => {
           <div className="minicart-overlay" onClick={closeMinicart}></div>
           <div className="minicart-dropdown">
             <div className="minicart-header">
-              <h3>Shopping Cart</h3>
+              <h3>{t('cart.title')}</h3>
               <button 
                 className="minicart-close" 
                 onClick={closeMinicart}
-                aria-label="Close cart"
+                aria-label={t('minicart.close')}
               >
                 ✕
               </button>
@@ -77,21 +118,23 @@ const Minicart = () => {
 
             <div className="minicart-content">
               {loading ? (
-                <div className="minicart-loading">Loading...</div>
-              ) : items.length === 0 ? (
+                <div className="minicart-loading">{t('common.loading')}</div>
+              ) : items.length === 0 && pendingItems.length === 0 ? (
                 <div className="minicart-empty">
-                  <p>Your cart is empty</p>
+                  <p>{t('cart.empty')}</p>
                 </div>
               ) : (
                 <>
                   <div className="minicart-items">
                     {items.map((item) => {
                       const product = item.product;
-                      const price = product?.price_range?.minimum_price?.regular_price || { value: 0, currency: 'USD' };
+                      // The item price includes custom option surcharges
+                      const price = item.prices?.price || product?.price_range?.minimum_price?.regular_price || { value: 0 };
                       const imageUrl = product?.small_image?.url || null;
+                      const isUpdating = updatingItemId === item.id;
 
                       return (
-                        <div key={item.id} className="minicart-item">
+                        <div key={item.id} className={`minicart-item ${isUpdating ? 'updating' : ''}`}>
                           <div className="minicart-item-image">
                             {imageUrl ? (
                               <img src={imageUrl} alt={product.name} />
@@ -101,18 +144,65 @@ const Minicart = () => {
                           </div>
                           <div className="minicart-item-details">
                             <p className="minicart-item-name">{product.name}</p>
+                            <CartItemOptions item={item} />
                             <p className="minicart-item-price">
                               {item.quantity} × {magentoApi.formatPrice(price.value, price.currency)}
                             </p>
+                            <div className="minicart-item-actions">
+                              <div className="minicart-quantity-stepper">
+                                <button
+                                  onClick={() => handleQuantityChange(item, item.quantity - 1)}
+                                  disabled={isUpdating}
+                                  aria-label={t('common.decreaseQuantity')}
+                                >
+                                  −
+                                </button>
+                                <span>{item.quantity}</span>
+                                <button
+                                  onClick={() => handleQuantityChange(item, item.quantity + 1)}
+                                  disabled={isUpdating}
+                                  aria-label={t('common.increaseQuantity')}
+                                >
+                                  +
+                                </button>
+                              </div>
+                              <button
+                                className="minicart-item-remove"
+                                onClick={() => handleRemoveItem(item)}
+                                disabled={isUpdating}
+                                aria-label={t('common.removeItem', { name: product.name })}
+                              >
+                                {t('common.remove')}
+                              </button>
+                            </div>
                           </div>
                         </div>
                       );
                     })}
+                    {pendingItems.map((pending) => (
+                      <div key={`pending-${pending.id}`} className="minicart-item pending">
+                        <div className="minicart-item-image">
+                          {pending.preview?.image ? (
+                            <img src={pending.preview.image} alt={pending.preview.name} />
+                          ) : (
+                            <div className="minicart-item-no-image">?</div>
+                          )}
+                        </div>
+                        <div className="minicart-item-details">
+                          <p className="minicart-item-name">{pending.preview?.name || pending.sku || pending.cartItems?.[0]?.sku}</p>
+                          <p className="minicart-item-price">
+                            {pending.quantity}
+                            {pending.preview?.price && ` × ${magentoApi.formatPrice(pending.preview.price.value, pending.preview.price.currency)}`}
+                          </p>
+                          <p className="minicart-item-pending">{t('minicart.pending')}</p>
+                        </div>
+                      </div>
+                    ))}
                   </div>
 
                   <div className="minicart-footer">
                     <div className="minicart-subtotal">
-                      <span>Subtotal:</span>
+                      <span>{t('minicart.subtotal')}</span>
                       <span className="minicart-subtotal-amount">
                         {magentoApi.formatPrice(grandTotal.value, grandTotal.currency)}
                       </span>
@@ -122,10 +212,10 @@ const Minicart = () => {
                       className="minicart-view-cart"
                       onClick={closeMinicart}
                     >
-                      View Cart
+                      {t('minicart.viewCart')}
                     </Link>
                     <button className="minicart-checkout">
-                      Checkout
+                      {t('minicart.checkout')}
                     </button>
                   </div>
                 </>
@@ -0,0 +1,17 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { t } from '../i18n';
+import './NotFound.css';
+
+const NotFound = () => {
+  return (
+    <div className="not-found">
+      <div className="not-found-code">404</div>
+      <h1>{t('page.notFoundTitle')}</h1>
+      <p>{t('page.notFoundMessage')}</p>
+      <Link to="/" className="not-found-home">{t('product.backToProducts')}</Link>
+    </div>
+  );
+};
+
+export default NotFound;
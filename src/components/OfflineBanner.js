@@ -0,0 +1,32 @@
+import React, { useState, useEffect } from 'react';
+import { t } from '../i18n';
+import './OfflineBanner.css';
+
+const OfflineBanner = () => {
+  const [offline, setOffline] = useState(!navigator.onLine);
+
+  useEffect(() => {
+    const handleOnline = () => setOffline(false);
+    const handleOffline = () => setOffline(true);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  if (!offline) {
+    return null;
+  }
+
+  return (
+    <div className="offline-banner" role="status">
+      {t('offline.message')}
+    </div>
+  );
+};
+
+export default OfflineBanner;
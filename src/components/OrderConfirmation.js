@@ -0,0 +1,36 @@
+import React from 'react';
+import { Link, useParams, useLocation } from 'react-router-dom';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './OrderConfirmation.css';
+
+const OrderConfirmation = () => {
+  const { orderNumber } = useParams();
+  const location = useLocation();
+  const email = location.state?.email;
+
+  return (
+    <div className="order-confirmation-container">
+      <div className="order-confirmation">
+        <div className="order-confirmation-icon">✓</div>
+        <h1>{t('orderConfirmation.title')}</h1>
+        <p className="order-confirmation-number">
+          {t('orderConfirmation.number')} <strong>#{orderNumber}</strong>
+        </p>
+        {email && (
+          <p className="order-confirmation-email">
+            {t('orderConfirmation.email', { email })}
+          </p>
+        )}
+        {magentoApi.isSignedIn() && (
+          <p className="order-confirmation-email">
+            <Link to={`/account/orders/${encodeURIComponent(orderNumber)}`}>{t('orders.viewOrder')}</Link>
+          </p>
+        )}
+        <Link to="/" className="btn-continue-shopping">{t('common.continueShopping')}</Link>
+      </div>
+    </div>
+  );
+};
+
+export default OrderConfirmation;
@@ -0,0 +1,250 @@
+import React, { useState, useEffect } from 'react';
+import { Link, Redirect, useHistory, useLocation, useParams } from 'react-router-dom';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import { formatOrderAmount, formatOrderDate } from './OrderHistory';
+import './OrderHistory.css';
+import './PriceSummary.css';
+import './OrderDetail.css';
+
+const OrderAddress = ({ title, address }) => (
+  <div className="order-detail-box">
+    <h3>{title}</h3>
+    <address>
+      {address.firstname} {address.lastname}<br />
+      {address.street.map((line, index) => <React.Fragment key={index}>{line}<br /></React.Fragment>)}
+      {address.city}, {address.region} {address.postcode}<br />
+      {address.country_code}<br />
+      {address.telephone}
+    </address>
+  </div>
+);
+
+const OrderDetail = () => {
+  const { number } = useParams();
+  const history = useHistory();
+  const location = useLocation();
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reordering, setReordering] = useState(false);
+  const [reorderErrors, setReorderErrors] = useState([]);
+
+  const isSignedIn = magentoApi.isSignedIn();
+
+  useEffect(() => {
+    if (isSignedIn) {
+      loadOrder();
+    }
+  }, [isSignedIn, number]);
+
+  const loadOrder = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await magentoApi.fetchCustomerOrder(number);
+      if (!data) {
+        setError(t('orders.notFound', { number }));
+      }
+      setOrder(data);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error loading order:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReorder = async () => {
+    try {
+      setReordering(true);
+      setReorderErrors([]);
+      const { userInputErrors } = await magentoApi.reorderItems(order.number);
+
+      // Stay here to explain what could not be added
+      if (userInputErrors.length > 0) {
+        setReorderErrors(userInputErrors);
+      } else {
+        history.push('/cart');
+      }
+    } catch (err) {
+      setReorderErrors([{ message: err.message }]);
+    } finally {
+      setReordering(false);
+    }
+  };
+
+  if (!isSignedIn) {
+    return <Redirect to={{ pathname: '/sign-in', state: { from: location.pathname } }} />;
+  }
+
+  if (loading) {
+    return (
+      <div className="order-detail">
+        <p className="order-history-empty">{t('orders.loadingOrder')}</p>
+      </div>
+    );
+  }
+
+  if (error || !order) {
+    return (
+      <div className="order-detail">
+        <div className="order-history-error">
+          <p>{error}</p>
+        </div>
+        <Link to="/account/orders" className="order-detail-back">← {t('orders.backToOrders')}</Link>
+      </div>
+    );
+  }
+
+  const { total } = order;
+
+  return (
+    <div className="order-detail">
+      <Link to="/account/orders" className="order-detail-back">← {t('orders.backToOrders')}</Link>
+
+      <div className="order-detail-header">
+        <div>
+          <h1>{t('orders.orderNumber', { number: order.number })}</h1>
+          <p className="order-detail-meta">
+            {t('orders.placedOn', { date: formatOrderDate(order.order_date) })}
+            <span className="order-status">{order.status}</span>
+          </p>
+        </div>
+        <button className="order-detail-reorder" onClick={handleReorder} disabled={reordering}>
+          {reordering ? t('orders.reordering') : t('orders.reorder')}
+        </button>
+      </div>
+
+      {reorderErrors.length > 0 && (
+        <div className="order-history-error">
+          <p>{t('orders.reorderPartial')}</p>
+          <ul>
+            {reorderErrors.map((reorderError, index) => <li key={index}>{reorderError.message}</li>)}
+          </ul>
+          <Link to="/cart">{t('minicart.viewCart')}</Link>
+        </div>
+      )}
+
+      <section className="order-detail-section">
+        <h2>{t('orders.items')}</h2>
+        <table className="order-history-table">
+          <thead>
+            <tr>
+              <th>{t('orders.product')}</th>
+              <th>{t('orders.price')}</th>
+              <th>{t('orders.ordered')}</th>
+              <th>{t('orders.shipped')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {order.items.map((item) => (
+              <tr key={item.id}>
+                <td>
+                  <strong>{item.product_name}</strong>
+                  <div className="order-detail-sku">{t('common.sku', { sku: item.product_sku })}</div>
+                  {item.selected_options?.map((option) => (
+                    <div key={option.label} className="order-detail-option">{option.label}: {option.value}</div>
+                  ))}
+                </td>
+                <td>{formatOrderAmount(item.product_sale_price)}</td>
+                <td>{item.quantity_ordered}</td>
+                <td>{item.quantity_shipped}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section className="order-detail-section price-summary order-detail-totals">
+        <div className="price-summary-row">
+          <span>{t('priceSummary.subtotal')}</span>
+          <span>{formatOrderAmount(total.subtotal)}</span>
+        </div>
+        {total.discounts?.map((discount) => (
+          <div key={discount.label} className="price-summary-row price-summary-discount">
+            <span>{discount.label}</span>
+            <span>−{formatOrderAmount(discount.amount)}</span>
+          </div>
+        ))}
+        <div className="price-summary-row">
+          <span>{t('orders.shippingTotal')}</span>
+          <span>{formatOrderAmount(total.total_shipping)}</span>
+        </div>
+        <div className="price-summary-row">
+          <span>{t('priceSummary.tax')}</span>
+          <span>{formatOrderAmount(total.total_tax)}</span>
+        </div>
+        <div className="price-summary-row price-summary-total">
+          <span>{t('priceSummary.grandTotal')}</span>
+          <span className="price-summary-total-amount">{formatOrderAmount(total.grand_total)}</span>
+        </div>
+      </section>
+
+      <section className="order-detail-section order-detail-grid">
+        {order.shipping_address && (
+          <OrderAddress title={t('checkout.shippingAddress')} address={order.shipping_address} />
+        )}
+        {order.shipping_method && (
+          <div className="order-detail-box">
+            <h3>{t('checkout.shippingMethod')}</h3>
+            <p>{order.shipping_method}</p>
+          </div>
+        )}
+        {order.billing_address && (
+          <OrderAddress title={t('checkout.billingAddress')} address={order.billing_address} />
+        )}
+        <div className="order-detail-box">
+          <h3>{t('checkout.paymentMethod')}</h3>
+          <p>{order.payment_methods.map(method => method.name).join(', ')}</p>
+        </div>
+      </section>
+
+      {order.shipments?.length > 0 && (
+        <section className="order-detail-section">
+          <h2>{t('orders.shipments')}</h2>
+          {order.shipments.map((shipment) => (
+            <div key={shipment.id} className="order-detail-box">
+              <h3>{t('orders.shipmentNumber', { number: shipment.number })}</h3>
+              {shipment.tracking?.length > 0 && (
+                <ul className="order-detail-tracking">
+                  {shipment.tracking.map((track) => (
+                    <li key={track.number}>
+                      {track.title || track.carrier}: <strong>{track.number}</strong>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <ul>
+                {shipment.items.map((item) => (
+                  <li key={item.id}>{item.product_name} × {item.quantity_shipped}</li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </section>
+      )}
+
+      {order.invoices?.length > 0 && (
+        <section className="order-detail-section">
+          <h2>{t('orders.invoices')}</h2>
+          {order.invoices.map((invoice) => (
+            <div key={invoice.id} className="order-detail-box">
+              <h3>
+                {t('orders.invoiceNumber', { number: invoice.number })}
+                <span className="order-detail-invoice-total">{formatOrderAmount(invoice.total?.grand_total)}</span>
+              </h3>
+              <ul>
+                {invoice.items.map((item) => (
+                  <li key={item.id}>{item.product_name} × {item.quantity_invoiced}</li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default OrderDetail;
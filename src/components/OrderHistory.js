@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import { Link, Redirect, useHistory, useLocation } from 'react-router-dom';
+import magentoApi from '../services/magentoApi';
+import { t, getLocale } from '../i18n';
+import './OrderHistory.css';
+
+const PAGE_SIZE = 10;
+
+/**
+ * Format a Magento order date ("2024-05-01 14:03:22", UTC) for the store locale
+ */
+export const formatOrderDate = (orderDate) => {
+  const date = new Date(`${orderDate.replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime())
+    ? orderDate
+    : new Intl.DateTimeFormat(getLocale(), { dateStyle: 'medium' }).format(date);
+};
+
+/**
+ * Format an amount already charged on an order, in the order's own currency
+ */
+export const formatOrderAmount = (money) =>
+  (money ? magentoApi.formatPrice(money.value, money.currency, { convert: false }) : '');
+
+const OrderHistory = () => {
+  const history = useHistory();
+  const location = useLocation();
+  const currentPage = Math.max(1, parseInt(new URLSearchParams(location.search).get('page'), 10) || 1);
+  const [orders, setOrders] = useState([]);
+  const [totalPages, setTotalPages] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const isSignedIn = magentoApi.isSignedIn();
+
+  useEffect(() => {
+    if (isSignedIn) {
+      loadOrders();
+    }
+  }, [isSignedIn, currentPage]);
+
+  const loadOrders = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const { items, pageInfo } = await magentoApi.fetchCustomerOrders({ currentPage, pageSize: PAGE_SIZE });
+      setOrders(items);
+      setTotalPages(pageInfo.total_pages);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error loading orders:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const goToPage = (page) => {
+    history.push({ pathname: location.pathname, search: page > 1 ? `?page=${page}` : '' });
+  };
+
+  if (!isSignedIn) {
+    return <Redirect to={{ pathname: '/sign-in', state: { from: location.pathname } }} />;
+  }
+
+  return (
+    <div className="order-history">
+      <h1>{t('orders.title')}</h1>
+
+      {error && (
+        <div className="order-history-error">
+          <p>{error}</p>
+          <button onClick={loadOrders} className="order-history-retry">{t('common.tryAgain')}</button>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="order-history-empty">{t('orders.loading')}</p>
+      ) : orders.length === 0 ? (
+        !error && (
+          <div className="order-history-empty">
+            <p>{t('orders.empty')}</p>
+            <Link to="/">{t('common.continueShopping')}</Link>
+          </div>
+        )
+      ) : (
+        <>
+          <table className="order-history-table">
+            <thead>
+              <tr>
+                <th>{t('orders.number')}</th>
+                <th>{t('orders.date')}</th>
+                <th>{t('orders.status')}</th>
+                <th>{t('orders.total')}</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {orders.map((order) => (
+                <tr key={order.number}>
+                  <td>#{order.number}</td>
+                  <td>{formatOrderDate(order.order_date)}</td>
+                  <td><span className="order-status">{order.status}</span></td>
+                  <td>{formatOrderAmount(order.total?.grand_total)}</td>
+                  <td>
+                    <Link to={`/account/orders/${encodeURIComponent(order.number)}`}>{t('orders.view')}</Link>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {totalPages > 1 && (
+            <nav className="order-history-pagination" aria-label={t('orders.pagination')}>
+              <button onClick={() => goToPage(currentPage - 1)} disabled={currentPage <= 1}>
+                {t('orders.previous')}
+              </button>
+              <span>{t('orders.pageInfo', { page: currentPage, pages: totalPages })}</span>
+              <button onClick={() => goToPage(currentPage + 1)} disabled={currentPage >= totalPages}>
+                {t('orders.next')}
+              </button>
+            </nav>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OrderHistory;
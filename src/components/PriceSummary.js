@@ -0,0 +1,61 @@
+import React from 'react';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './PriceSummary.css';
+
+// Cart totals breakdown: subtotal, discounts, shipping, taxes and grand total.
+// With `showChargedTotal`, a grand total shown converted to the display currency
+// is followed by the amount Magento charges in the cart currency.
+const PriceSummary = ({ prices, shipping = null, showChargedTotal = false }) => {
+  const subtotal = prices?.subtotal_excluding_tax;
+  const discounts = prices?.discounts || [];
+  const taxes = prices?.applied_taxes || [];
+  const grandTotal = prices?.grand_total || { value: 0 };
+  const { displayCurrency } = magentoApi.getCurrencySettings();
+  const isConverted = Boolean(grandTotal.currency) && grandTotal.currency !== displayCurrency;
+
+  return (
+    <div className="price-summary">
+      {subtotal && (
+        <div className="price-summary-row">
+          <span>{t('priceSummary.subtotal')}</span>
+          <span>{magentoApi.formatPrice(subtotal.value, subtotal.currency)}</span>
+        </div>
+      )}
+      {discounts.map((discount, index) => (
+        <div key={`discount-${index}`} className="price-summary-row price-summary-discount">
+          <span>{discount.label || t('priceSummary.discount')}</span>
+          <span>−{magentoApi.formatPrice(discount.amount.value, discount.amount.currency)}</span>
+        </div>
+      ))}
+      {shipping && (
+        <div className="price-summary-row">
+          <span>{t('priceSummary.shipping', { carrier: shipping.carrier_title })}</span>
+          <span>{magentoApi.formatPrice(shipping.amount.value, shipping.amount.currency)}</span>
+        </div>
+      )}
+      {taxes.map((tax, index) => (
+        <div key={`tax-${index}`} className="price-summary-row">
+          <span>{tax.label || t('priceSummary.tax')}</span>
+          <span>{magentoApi.formatPrice(tax.amount.value, tax.amount.currency)}</span>
+        </div>
+      ))}
+      <div className="price-summary-row price-summary-total">
+        <span>{t('priceSummary.grandTotal')}</span>
+        <span className="price-summary-total-amount">
+          {magentoApi.formatPrice(grandTotal.value, grandTotal.currency)}
+        </span>
+      </div>
+      {showChargedTotal && isConverted && (
+        <p className="price-summary-charged">
+          {t('priceSummary.chargedIn', {
+            amount: magentoApi.formatPrice(grandTotal.value, grandTotal.currency, { convert: false }),
+            currency: grandTotal.currency,
+          })}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PriceSummary;
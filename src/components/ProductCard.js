@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useHistory } from 'react-router-dom';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import WishlistButton from './WishlistButton';
+import RatingStars from './RatingStars';
+import { getImageSrcSet, resizeImageUrl } from '../utils/imageUrl';
+import { getProductUrl } from '../utils/productUrl';
+import './ProductCard.css';
+
+// Types that can go to the cart without choosing options first
+const QUICK_ADD_TYPES = ['SimpleProduct', 'VirtualProduct'];
+
+const getProductImage = (product) => {
+  // Try to get the first media gallery entry or use a placeholder
+  if (product.media_gallery_entries && product.media_gallery_entries.length > 0) {
+    const mainImage = product.media_gallery_entries.find(entry => 
+      entry.types && entry.types.includes('image')
+    ) || product.media_gallery_entries[0];
+    
+    if (mainImage && mainImage.file) {
+      return magentoApi.getImageUrl(mainImage.file);
+    }
+    return  false;
+  }
+  
+  // Fallback to placeholder image
+  return 'http://localhost:3000/e-commerce.webp';
+};
+
+const getProductPrice = (product) => {
+  if (product.final_price && product.final_price !== product.price) {
+    return (
+      <div className="price-container">
+        <span className="regular-price">{magentoApi.formatPrice(product.price, product.price_currency)}</span>
+        <span className="final-price">{magentoApi.formatPrice(product.final_price, product.price_currency)}</span>
+      </div>
+    );
+  }
+  return product.price ? magentoApi.formatPrice(product.price, product.price_currency) : t('productList.priceUnavailable');
+};
+
+const toWishlistProduct = (product) => ({
+  sku: product.sku,
+  name: product.name,
+  productType: product.type,
+  url: product.url,
+  image: product.media_gallery_entries?.length > 0 ? getProductImage(product) : null,
+  price: product.final_price != null ? { value: product.final_price, currency: product.price_currency } : null,
+});
+
+const getProductTypeLabel = (product) => {
+  if (product.type === 'ConfigurableProduct') {
+    return <span className="product-type configurable">{t('productList.typeConfigurable')}</span>;
+  }
+  return <span className="product-type simple">{t('productList.typeSimple')}</span>;
+};
+
+/**
+ * Product tile used by listings and product carousels
+ * `product` is a list product as returned by magentoApi.fetchProducts().
+ * With `quickAdd`, simple and virtual products get an add-to-cart button.
+ */
+const ProductCard = ({ product, quickAdd = false }) => {
+  const history = useHistory();
+  const [adding, setAdding] = useState(false);
+  const [message, setMessage] = useState(null);
+  const messageTimer = useRef(null);
+
+  useEffect(() => () => clearTimeout(messageTimer.current), []);
+
+  const handleProductClick = () => {
+    history.push(product.url || getProductUrl(product));
+  };
+
+  const handleQuickAdd = async (e) => {
+    // The card itself navigates to the product page
+    e.stopPropagation();
+
+    try {
+      setAdding(true);
+      setMessage(null);
+      const price = product.final_price ?? product.price;
+      const preview = {
+        name: product.name,
+        image: product.media_gallery_entries?.length > 0 ? getProductImage(product) : null,
+        price: price != null ? { value: price, currency: product.price_currency } : null,
+      };
+      const result = await magentoApi.addToGuestCart(product.sku, 1, product.type, [], null, preview);
+      setMessage({ type: 'success', text: result?.queued ? t('productCard.queued') : t('productCard.added') });
+    } catch (err) {
+      setMessage({ type: 'error', text: t('product.addFailed', { message: err.message }) });
+      console.error('Error adding to cart:', err);
+    } finally {
+      setAdding(false);
+      clearTimeout(messageTimer.current);
+      messageTimer.current = setTimeout(() => setMessage(null), 5000);
+    }
+  };
+
+  const imageUrl = getProductImage(product);
+
+  return (
+    <div 
+      className="product-card"
+      onClick={handleProductClick}
+    >
+      <div className="product-image">
+        <img
+          src={resizeImageUrl(imageUrl, 320)}
+          srcSet={getImageSrcSet(imageUrl, [160, 320, 640])}
+          sizes="(max-width: 480px) 100vw, (max-width: 768px) 50vw, 320px"
+          alt={product.name}
+          onError={(e) => {
+            e.target.srcset = '';
+            e.target.src = 'e-commerce.webp';
+          }}
+        />
+        <WishlistButton
+          product={toWishlistProduct(product)}
+          className="product-card-wishlist"
+        />
+      </div>
+      <div className="product-info">
+        <h3 className="product-name">{product.name}</h3>
+        <p className="product-sku">{t('common.sku', { sku: product.sku })}</p>
+        <div className="product-price">{getProductPrice(product)}</div>
+        {product.review_count > 0 && (
+          <div className="product-rating">
+            <RatingStars rating={product.rating_summary} />
+            <span className="product-review-count">
+              {t('reviews.count', { count: product.review_count })}
+            </span>
+          </div>
+        )}
+        <div className="product-meta">
+          {getProductTypeLabel(product)}
+          {product.status === 1 && (
+            <span className="product-status available">{t('productList.available')}</span>
+          )}
+          {product.status !== 1 && (
+            <span className="product-status unavailable">{t('productList.unavailable')}</span>
+          )}
+        </div>
+        {quickAdd && QUICK_ADD_TYPES.includes(product.type) && (
+          <button
+            type="button"
+            className="product-card-add"
+            onClick={handleQuickAdd}
+            disabled={adding}
+          >
+            {adding ? t('product.adding') : t('product.addToCart')}
+          </button>
+        )}
+        {message && (
+          <p className={`product-card-message ${message.type}`} role="status">{message.text}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProductCard;
@@ -0,0 +1,45 @@
+import React, { useRef } from 'react';
+import { t } from '../i18n';
+import ProductCard from './ProductCard';
+import './ProductCarousel.css';
+
+/**
+ * Horizontally scrollable row of product cards
+ * Renders nothing when there are no products.
+ */
+const ProductCarousel = ({ title, products = [], quickAdd = true }) => {
+  const trackRef = useRef(null);
+
+  if (products.length === 0) {
+    return null;
+  }
+
+  // Scroll by roughly one visible page of cards
+  const scroll = (direction) => {
+    const track = trackRef.current;
+    if (track) {
+      track.scrollBy({ left: direction * track.clientWidth * 0.9, behavior: 'smooth' });
+    }
+  };
+
+  return (
+    <section className="product-carousel" aria-label={title}>
+      <div className="product-carousel-header">
+        <h2>{title}</h2>
+        <div className="product-carousel-controls">
+          <button type="button" onClick={() => scroll(-1)} aria-label={t('carousel.previous')}>‹</button>
+          <button type="button" onClick={() => scroll(1)} aria-label={t('carousel.next')}>›</button>
+        </div>
+      </div>
+      <div className="product-carousel-track" ref={trackRef}>
+        {products.map((product) => (
+          <div key={product.sku} className="product-carousel-item">
+            <ProductCard product={product} quickAdd={quickAdd} />
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+};
+
+export default ProductCarousel;
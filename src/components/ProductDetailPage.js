@@ -1,11 +1,31 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useHistory } from 'react-router-dom';
+import { useParams, useHistory, useLocation } from 'react-router-dom';
 import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import ProductGallery from './ProductGallery';
+import ConfigurableOptions, { findVariant, isValueAvailable } from './ConfigurableOptions';
+import BundleOptions, { bundleSelectionUid, getBundlePrice, getDefaultBundleSelections } from './BundleOptions';
+import GroupedProductItems, { getDefaultGroupedQuantities } from './GroupedProductItems';
+import DownloadableLinks, { getDownloadableLinksPrice } from './DownloadableLinks';
+import CustomOptions, {
+  buildCustomOptionsInput,
+  getCustomOptionsPrice,
+  getMissingCustomOptions,
+  requiresFileUpload,
+} from './CustomOptions';
+import WishlistButton from './WishlistButton';
+import RatingStars from './RatingStars';
+import ProductReviews from './ProductReviews';
+import ProductCarousel from './ProductCarousel';
+import { getProductUrl } from '../utils/productUrl';
 import './ProductDetailPage.css';
 
-const ProductDetailPage = () => {
-  const { sku } = useParams();
+const ProductDetailPage = (props) => {
+  // The SKU comes from /product/:sku or from the URL resolver
+  const params = useParams();
+  const sku = props.sku || params.sku;
   const history = useHistory();
+  const location = useLocation();
   const [product, setProduct] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -14,10 +34,15 @@ const ProductDetailPage = () => {
   const [cartMessage, setCartMessage] = useState(null);
   const [selectedOptions, setSelectedOptions] = useState({});
   const [selectedVariant, setSelectedVariant] = useState(null);
-  const [variants, setVariants] = useState([]);
+  const [bundleSelections, setBundleSelections] = useState({});
+  const [groupedQuantities, setGroupedQuantities] = useState({});
+  const [selectedLinks, setSelectedLinks] = useState([]);
+  const [customOptionValues, setCustomOptionValues] = useState({});
 
   useEffect(() => {
     fetchProductDetails();
+    // Products opened from a carousel would otherwise open scrolled to the bottom
+    window.scrollTo(0, 0);
   }, [sku]);
 
   const fetchProductDetails = async () => {
@@ -26,12 +51,15 @@ const ProductDetailPage = () => {
       setError(null);
       const data = await magentoApi.getProductDetails(sku);
       setProduct(data);
-      
-      // If it's a configurable product, fetch variants
-      if (data.__typename === 'ConfigurableProduct' || data.configurable_options) {
-        const productVariants = await magentoApi.getConfigurableProductVariants(sku);
-        setVariants(productVariants);
-      }
+      setBundleSelections(data.__typename === 'BundleProduct' ? getDefaultBundleSelections(data.items) : {});
+      setGroupedQuantities(data.__typename === 'GroupedProduct' ? getDefaultGroupedQuantities(data.items) : {});
+      setSelectedLinks([]);
+      setCustomOptionValues({});
+
+      // Restore a linked variant, e.g. ?color=49&size=168
+      const initialOptions = data.__typename === 'ConfigurableProduct' ? getOptionsFromUrl(data) : {};
+      setSelectedOptions(initialOptions);
+      setSelectedVariant(data.__typename === 'ConfigurableProduct' ? findVariant(data, initialOptions) : null);
     } catch (err) {
       setError(err.message);
       console.error('Failed to fetch product details:', err);
@@ -40,6 +68,73 @@ const ProductDetailPage = () => {
     }
   };
 
+  // Selected configurable options live in the query string, keyed by
+  // attribute code, so a specific variant can be linked to
+  const getOptionsFromUrl = (data) => {
+    const searchParams = new URLSearchParams(location.search);
+    return data.configurable_options.reduce((options, option) => {
+      const valueIndex = parseInt(searchParams.get(option.attribute_code), 10);
+      if (option.values.some(value => value.value_index === valueIndex)) {
+        options[option.id] = valueIndex;
+      }
+      return options;
+    }, {});
+  };
+
+  const updateOptionsInUrl = (options) => {
+    const searchParams = new URLSearchParams(location.search);
+    product.configurable_options.forEach(option => {
+      if (options[option.id] != null) {
+        searchParams.set(option.attribute_code, options[option.id]);
+      } else {
+        searchParams.delete(option.attribute_code);
+      }
+    });
+    const search = searchParams.toString();
+    history.replace({ pathname: location.pathname, search: search ? `?${search}` : '' });
+  };
+
+  // Bundle, grouped and downloadable products, and any product with custom
+  // options, are added through addProductsToCart with the option UIDs the shopper picked
+  const buildCartItems = (skuToAdd, parentSku) => {
+    const optionsInput = buildCustomOptionsInput(product.options, customOptionValues);
+
+    switch (product.__typename) {
+      case 'BundleProduct':
+        return [{
+          sku: product.sku,
+          quantity,
+          selected_options: [
+            ...product.items.flatMap(item =>
+              Object.entries(bundleSelections[item.option_id] || {}).map(([selectionId, qty]) =>
+                bundleSelectionUid(item.option_id, selectionId, qty)
+              )
+            ),
+            ...optionsInput.selected_options,
+          ],
+          entered_options: optionsInput.entered_options,
+        }];
+      case 'GroupedProduct':
+        // Each child is its own cart line
+        return Object.entries(groupedQuantities)
+          .filter(([, qty]) => qty > 0)
+          .map(([childSku, qty]) => ({ sku: childSku, quantity: qty }));
+      case 'DownloadableProduct':
+        return [{
+          sku: product.sku,
+          quantity,
+          selected_options: [...selectedLinks, ...optionsInput.selected_options],
+          entered_options: optionsInput.entered_options,
+        }];
+      default:
+        // Simple and configurable products keep their own mutations unless customized
+        if (optionsInput.selected_options.length === 0 && optionsInput.entered_options.length === 0) {
+          return null;
+        }
+        return [{ sku: skuToAdd, quantity, ...(parentSku && { parent_sku: parentSku }), ...optionsInput }];
+    }
+  };
+
   const handleAddToCart = async () => {
     try {
       setAddingToCart(true);
@@ -54,11 +149,20 @@ const ProductDetailPage = () => {
         if (missingOptions && missingOptions.length > 0) {
           setCartMessage({
             type: 'error',
-            text: `Please select all options: ${missingOptions.map(opt => opt.label).join(', ')}`
+            text: t('product.missingOptions', { options: missingOptions.map(opt => opt.label).join(', ') })
           });
           return;
         }
       }
+
+      const missingCustomOptions = getMissingCustomOptions(product.options, customOptionValues);
+      if (missingCustomOptions.length > 0) {
+        setCartMessage({
+          type: 'error',
+          text: t('product.missingOptions', { options: missingCustomOptions.map(opt => opt.title).join(', ') })
+        });
+        return;
+      }
       
       const productType = product.__typename || 'SimpleProduct';
       let skuToAdd = product.sku;
@@ -79,16 +183,11 @@ const ProductDetailPage = () => {
           );
           
           if (!allOptionsSelected) {
-            throw new Error('Please select all product options');
+            throw new Error(t('product.selectAllOptions'));
           }
           
           // Find the variant that matches the selected options
-          const matchingVariant = variants.find(v => 
-            v.attributes.every(attr => {
-              const option = product.configurable_options.find(opt => opt.attribute_code === attr.code);
-              return option && selectedOptions[option.id] === attr.value_index;
-            })
-          );
+          const matchingVariant = findVariant(product, selectedOptions);
           
           if (matchingVariant && matchingVariant.product) {
             skuToAdd = matchingVariant.product.sku;
@@ -102,11 +201,27 @@ const ProductDetailPage = () => {
         }));
       }
       
-      await magentoApi.addToGuestCart(skuToAdd, quantity, productType, options, parentSku);
+      // Shown in the minicart if the add has to wait for the network
+      const variantProduct = selectedVariant?.product;
+      const price = getPrice();
+      const preview = {
+        name: product.name,
+        image: variantProduct?.small_image?.url || product.small_image?.url || null,
+        // A grouped product's children each have their own price
+        price: price && productType !== 'GroupedProduct' ? { value: price.final, currency: price.currency } : null,
+      };
+
+      const cartItems = buildCartItems(skuToAdd, parentSku);
+      const result = cartItems
+        ? await magentoApi.addProductsToCart(cartItems, preview)
+        : await magentoApi.addToGuestCart(skuToAdd, quantity, productType, options, parentSku, preview);
       
-      setCartMessage({
+      setCartMessage(result?.queued ? {
+        type: 'success',
+        text: t('product.queued', { name: product.name })
+      } : {
         type: 'success',
-        text: `${product.name} has been added to your cart!`
+        text: t('product.added', { name: product.name })
       });
       
       // Clear message after 5 seconds
@@ -114,7 +229,7 @@ const ProductDetailPage = () => {
     } catch (err) {
       setCartMessage({
         type: 'error',
-        text: `Failed to add to cart: ${err.message}`
+        text: t('product.addFailed', { message: err.message })
       });
       console.error('Error adding to cart:', err);
     } finally {
@@ -130,22 +245,23 @@ const ProductDetailPage = () => {
   };
 
   const handleOptionChange = (optionId, valueIndex) => {
-    const newSelectedOptions = {
-      ...selectedOptions,
-      [optionId]: valueIndex
-    };
-    setSelectedOptions(newSelectedOptions);
-    
-    // Find the selected variant
-    if (product.variants) {
-      const variant = product.variants.find(v => 
-        v.attributes.every(attr => {
-          const option = product.configurable_options.find(opt => opt.attribute_code === attr.code);
-          return option && newSelectedOptions[option.id] === attr.value_index;
-        })
-      );
-      setSelectedVariant(variant);
+    const newSelectedOptions = { [optionId]: valueIndex };
+
+    // Keep the other choices only while they still form an in-stock variant
+    product.configurable_options.forEach(option => {
+      const selected = selectedOptions[option.id];
+      if (option.id !== optionId && selected != null &&
+          isValueAvailable(product, newSelectedOptions, option, selected)) {
+        newSelectedOptions[option.id] = selected;
+      }
+    });
+    if (valueIndex == null) {
+      delete newSelectedOptions[optionId];
     }
+
+    setSelectedOptions(newSelectedOptions);
+    setSelectedVariant(findVariant(product, newSelectedOptions));
+    updateOptionsInUrl(newSelectedOptions);
   };
 
   const isConfigurableProduct = () => {
@@ -154,27 +270,63 @@ const ProductDetailPage = () => {
 
   const canAddToCart = () => {
     if (!isInStock()) return false;
-    if (!isConfigurableProduct()) return true;
-    
-    // For configurable products, check if all options are selected
-    return product.configurable_options?.every(option => 
-      selectedOptions[option.id]
-    );
+    if (getMissingCustomOptions(product.options, customOptionValues).length > 0) return false;
+
+    switch (product.__typename) {
+      case 'ConfigurableProduct':
+        // Every option needs a value, and the variant must be in stock
+        return product.configurable_options?.every(option => 
+          selectedOptions[option.id]
+        ) && selectedVariant?.product?.stock_status !== 'OUT_OF_STOCK';
+      case 'BundleProduct':
+        return product.items?.every(item =>
+          !item.required || Object.keys(bundleSelections[item.option_id] || {}).length > 0
+        );
+      case 'GroupedProduct':
+        return Object.values(groupedQuantities).some(qty => qty > 0);
+      case 'DownloadableProduct':
+        return !product.links_purchased_separately || selectedLinks.length > 0;
+      default:
+        return true;
+    }
   };
 
-  const getProductImage = () => {
-    if (product?.image?.url) {
-      return product.image.url;
+  const getImageFor = (source) => {
+    if (source?.image?.url) {
+      return source.image.url;
     }
-    if (product?.small_image?.url) {
-      return product.small_image.url;
+    if (source?.small_image?.url) {
+      return source.small_image.url;
     }
-    if (product?.media_gallery && product.media_gallery.length > 0) {
-      return product.media_gallery[0].url;
+    if (source?.media_gallery && source.media_gallery.length > 0) {
+      return source.media_gallery[0].url;
     }
-    return '/e-commerce.webp';
+    return null;
   };
 
+  // The selected variant's own media replaces the parent's
+  const getGalleryItems = () => {
+    const variantProduct = selectedVariant?.product;
+    if (variantProduct?.media_gallery?.length > 0) {
+      return variantProduct.media_gallery;
+    }
+    if (product?.media_gallery?.length > 0) {
+      return product.media_gallery;
+    }
+    const image = getImageFor(variantProduct) || getImageFor(product);
+    return image ? [{ url: image, label: product.name }] : [];
+  };
+
+  // The wishlist keeps the product itself; options are chosen when moving it to the cart
+  const getWishlistProduct = () => ({
+    sku: product.sku,
+    name: product.name,
+    productType: product.__typename,
+    url: getProductUrl(product),
+    image: getImageFor(product),
+    price: product.price_range?.minimum_price?.final_price || null,
+  });
+
   const getCurrentPrice = () => {
     if (selectedVariant && selectedVariant.product) {
       return selectedVariant.product.price_range?.minimum_price;
@@ -182,13 +334,28 @@ const ProductDetailPage = () => {
     return product?.price_range?.minimum_price;
   };
 
-  const getPrice = () => {
+  const getBasePrice = () => {
     const priceData = getCurrentPrice();
     if (!priceData) return null;
 
     const regularPrice = priceData.regular_price;
     const finalPrice = priceData.final_price;
-    const currency = regularPrice?.currency || 'USD';
+    const currency = regularPrice?.currency;
+
+    // Bundle and downloadable prices follow the shopper's choices
+    if (product.__typename === 'BundleProduct') {
+      const bundlePrice = getBundlePrice(product, bundleSelections);
+      return { regular: bundlePrice, final: bundlePrice, currency, hasDiscount: false };
+    }
+    if (product.__typename === 'DownloadableProduct') {
+      const linksPrice = getDownloadableLinksPrice(product, selectedLinks);
+      return {
+        regular: regularPrice?.value + linksPrice,
+        final: finalPrice?.value + linksPrice,
+        currency,
+        hasDiscount: regularPrice?.value > finalPrice?.value
+      };
+    }
 
     return {
       regular: regularPrice?.value,
@@ -198,6 +365,15 @@ const ProductDetailPage = () => {
     };
   };
 
+  const getPrice = () => {
+    const price = getBasePrice();
+    if (!price || !product.options?.length) return price;
+
+    // Custom option surcharges come on top of the configured price
+    const optionsPrice = getCustomOptionsPrice(product.options, customOptionValues, price.final);
+    return { ...price, regular: price.regular + optionsPrice, final: price.final + optionsPrice };
+  };
+
   const isInStock = () => {
     return product?.stock_status === 'IN_STOCK';
   };
@@ -207,7 +383,7 @@ const ProductDetailPage = () => {
       <div className="pdp-container">
         <div className="loading">
           <div className="loading-spinner"></div>
-          <p>Loading product details...</p>
+          <p>{t('product.loading')}</p>
         </div>
       </div>
     );
@@ -217,10 +393,10 @@ const ProductDetailPage = () => {
     return (
       <div className="pdp-container">
         <div className="error">
-          <h3>Error Loading Product</h3>
+          <h3>{t('product.errorTitle')}</h3>
           <p>{error}</p>
           <button onClick={() => history.push('/')} className="back-button">
-            Back to Products
+            {t('product.backToProducts')}
           </button>
         </div>
       </div>
@@ -231,9 +407,9 @@ const ProductDetailPage = () => {
     return (
       <div className="pdp-container">
         <div className="error">
-          <h3>Product Not Found</h3>
+          <h3>{t('product.notFound')}</h3>
           <button onClick={() => history.push('/')} className="back-button">
-            Back to Products
+            {t('product.backToProducts')}
           </button>
         </div>
       </div>
@@ -245,7 +421,7 @@ const ProductDetailPage = () => {
   return (
     <div className="pdp-container">
       <button onClick={() => history.push('/')} className="back-button">
-        ← Back to Products
+        ← {t('product.backToProducts')}
       </button>
 
       {cartMessage && (
@@ -256,18 +432,35 @@ const ProductDetailPage = () => {
 
       <div className="pdp-content">
         <div className="pdp-image-section">
-          <img
-            src={getProductImage()}
+          {/* Remount per variant so the gallery starts at its first image */}
+          <ProductGallery
+            key={selectedVariant?.product?.sku || product.sku}
+            items={getGalleryItems()}
             alt={product.name}
-            onError={(e) => {
-              e.target.src = '/e-commerce.webp';
-            }}
           />
         </div>
 
         <div className="pdp-info-section">
-          <h1 className="pdp-title">{product.name}</h1>
-          <p className="pdp-sku">SKU: {product.sku}</p>
+          <div className="pdp-title-row">
+            <h1 className="pdp-title">{product.name}</h1>
+            <WishlistButton product={getWishlistProduct()} />
+          </div>
+          <p className="pdp-sku">{t('common.sku', { sku: product.sku })}</p>
+
+          <button
+            type="button"
+            className="pdp-rating"
+            onClick={() => document.getElementById('reviews')?.scrollIntoView({ behavior: 'smooth' })}
+          >
+            {product.review_count > 0 ? (
+              <>
+                <RatingStars rating={product.rating_summary} />
+                <span>{t('reviews.count', { count: product.review_count })}</span>
+              </>
+            ) : (
+              <span>{t('reviews.beFirst')}</span>
+            )}
+          </button>
 
           {price && (
             <div className="pdp-price">
@@ -281,7 +474,7 @@ const ProductDetailPage = () => {
               </span>
               {price.hasDiscount && (
                 <span className="discount-badge">
-                  Save {magentoApi.formatPrice(price.regular - price.final, price.currency)}
+                  {t('product.save', { amount: magentoApi.formatPrice(price.regular - price.final, price.currency) })}
                 </span>
               )}
             </div>
@@ -290,11 +483,11 @@ const ProductDetailPage = () => {
           <div className="pdp-stock">
             {isInStock() ? (
               <span className="stock-status in-stock">
-                ✓ In Stock
+                {t('product.inStock')}
               </span>
             ) : (
               <span className="stock-status out-of-stock">
-                ✗ Out of Stock
+                {t('product.outOfStock')}
               </span>
             )}
           </div>
@@ -307,58 +500,90 @@ const ProductDetailPage = () => {
           )}
 
           {isConfigurableProduct() && product.configurable_options && (
-            <div className="pdp-configurable-options">
-              <h3>Product Options</h3>
-              {product.configurable_options.map((option) => (
-                <div key={option.id} className="configurable-option">
-                  <label htmlFor={`option-${option.id}`}>{option.label}:</label>
-                  <select
-                    id={`option-${option.id}`}
-                    value={selectedOptions[option.id] || ''}
-                    onChange={(e) => handleOptionChange(option.id, parseInt(e.target.value))}
-                    disabled={addingToCart}
-                  >
-                    <option value="">Please select...</option>
-                    {option.values.map((value) => (
-                      <option key={value.value_index} value={value.value_index}>
-                        {value.label}
-                      </option>
-                    ))}
-                  </select>
-                </div>
-              ))}
+            <ConfigurableOptions
+              product={product}
+              selections={selectedOptions}
+              onChange={handleOptionChange}
+              disabled={addingToCart}
+            />
+          )}
+
+          {product.options?.length > 0 && (
+            <CustomOptions
+              options={product.options}
+              values={customOptionValues}
+              basePrice={getBasePrice()?.final || 0}
+              currency={price?.currency}
+              onChange={setCustomOptionValues}
+              disabled={addingToCart}
+            />
+          )}
+
+          {product.__typename === 'BundleProduct' && (
+            <BundleOptions
+              product={product}
+              selections={bundleSelections}
+              onChange={setBundleSelections}
+              disabled={addingToCart}
+            />
+          )}
+
+          {product.__typename === 'GroupedProduct' && (
+            <GroupedProductItems
+              items={product.items}
+              quantities={groupedQuantities}
+              onChange={setGroupedQuantities}
+              disabled={addingToCart}
+            />
+          )}
+
+          {product.__typename === 'DownloadableProduct' && (
+            <DownloadableLinks
+              product={product}
+              selectedLinks={selectedLinks}
+              onChange={setSelectedLinks}
+              disabled={addingToCart}
+            />
+          )}
+
+          {isInStock() && requiresFileUpload(product.options) && (
+            <div className="out-of-stock-message">
+              <p>{t('product.fileUploadRequired')}</p>
             </div>
           )}
 
-          {isInStock() && (
+          {isInStock() && !requiresFileUpload(product.options) && (
             <div className="pdp-add-to-cart">
-              <div className="quantity-selector">
-                <label htmlFor="quantity">Quantity:</label>
-                <input
-                  id="quantity"
-                  type="number"
-                  min="1"
-                  value={quantity}
-                  onChange={handleQuantityChange}
-                  disabled={addingToCart}
-                />
-              </div>
+              {/* Grouped products take a quantity per child instead */}
+              {product.__typename !== 'GroupedProduct' && (
+                <div className="quantity-selector">
+                  <label htmlFor="quantity">{t('product.quantity')}</label>
+                  <input
+                    id="quantity"
+                    type="number"
+                    min="1"
+                    value={quantity}
+                    onChange={handleQuantityChange}
+                    disabled={addingToCart}
+                  />
+                </div>
+              )}
 
               <button
                 onClick={handleAddToCart}
                 disabled={addingToCart || !canAddToCart()}
                 className="add-to-cart-button"
               >
-                {addingToCart ? 'Adding...' : 
-                 isConfigurableProduct() && !canAddToCart() ? 'Select Options' : 
-                 'Add to Cart'}
+                {addingToCart ? t('product.adding') : 
+                 !canAddToCart() ? t('product.selectOptions') : 
+                 t('product.addToCart')}
               </button>
             </div>
           )}
 
           {!isInStock() && (
             <div className="out-of-stock-message">
-              <p>This product is currently out of stock.</p>
+              <p>{t('product.outOfStockMessage')}</p>
             </div>
           )}
         </div>
@@ -366,10 +591,16 @@ const ProductDetailPage = () => {
 
       {product.description?.html && (
         <div className="pdp-description">
-          <h2>Product Description</h2>
+          <h2>{t('product.description')}</h2>
           <div dangerouslySetInnerHTML={{ __html: product.description.html }} />
         </div>
       )}
+
+      <ProductCarousel title={t('carousel.upsells')} products={product.upsell_products} />
+      <ProductCarousel title={t('carousel.related')} products={product.related_products} />
+      <ProductCarousel title={t('carousel.crossSells')} products={product.crosssell_products} />
+
+      <ProductReviews key={product.sku} product={product} />
     </div>
   );
 };
@@ -0,0 +1,282 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { t } from '../i18n';
+import { getImageSrcSet, resizeImageUrl } from '../utils/imageUrl';
+import './ProductGallery.css';
+
+// Horizontal travel, in pixels, that counts as a swipe
+const SWIPE_THRESHOLD = 50;
+const MAX_ZOOM = 4;
+const HOVER_ZOOM = 2.5;
+
+const FALLBACK_IMAGE = '/e-commerce.webp';
+
+const isVideo = (item) => item.__typename === 'ProductVideo' && item.video_content?.video_url;
+
+/**
+ * Embeddable player URL for a YouTube or Vimeo link
+ * Other URLs are assumed to be embeddable already.
+ * @param {string} url - video_content.video_url from Magento
+ * @returns {string} iframe src
+ */
+export const getVideoEmbedUrl = (url) => {
+  const youtube = url.match(/(?:youtube\.com\/(?:watch\?v=|embed\/)|youtu\.be\/)([\w-]+)/);
+  if (youtube) {
+    return `https://www.youtube.com/embed/${youtube[1]}`;
+  }
+  const vimeo = url.match(/vimeo\.com\/(?:video\/)?(\d+)/);
+  if (vimeo) {
+    return `https://player.vimeo.com/video/${vimeo[1]}`;
+  }
+  return url;
+};
+
+const touchDistance = (touches) =>
+  Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+
+// Calls onPrevious/onNext for a one-finger horizontal swipe
+const useSwipe = (onPrevious, onNext) => {
+  const startX = useRef(null);
+
+  return {
+    onTouchStart: (e) => {
+      startX.current = e.touches.length === 1 ? e.touches[0].clientX : null;
+    },
+    onTouchEnd: (e) => {
+      if (startX.current == null) return;
+      const deltaX = e.changedTouches[0].clientX - startX.current;
+      startX.current = null;
+      if (deltaX > SWIPE_THRESHOLD) onPrevious();
+      if (deltaX < -SWIPE_THRESHOLD) onNext();
+    },
+  };
+};
+
+const GalleryMedia = ({ item, alt, sizes, onImageClick }) => {
+  if (isVideo(item)) {
+    return (
+      <iframe
+        className="gallery-video"
+        src={getVideoEmbedUrl(item.video_content.video_url)}
+        title={item.video_content.video_title || item.label || alt}
+        allow="accelerometer; autoplay; encrypted-media; picture-in-picture"
+        allowFullScreen
+      />
+    );
+  }
+
+  return (
+    <img
+      src={resizeImageUrl(item.url, 960)}
+      srcSet={getImageSrcSet(item.url)}
+      sizes={sizes}
+      alt={item.label || alt}
+      onClick={onImageClick}
+      onError={(e) => {
+        e.target.srcset = '';
+        e.target.src = FALLBACK_IMAGE;
+      }}
+    />
+  );
+};
+
+const GalleryLightbox = ({ item, alt, hasMultiple, onPrevious, onNext, onClose }) => {
+  const [zoom, setZoom] = useState(1);
+  const [origin, setOrigin] = useState('50% 50%');
+  const pinch = useRef(null);
+  const closeButton = useRef(null);
+  const swipe = useSwipe(onPrevious, onNext);
+
+  useEffect(() => {
+    closeButton.current?.focus();
+    // Keep the page behind the lightbox from scrolling
+    const overflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    return () => {
+      document.body.style.overflow = overflow;
+    };
+  }, []);
+
+  useEffect(() => {
+    setZoom(1);
+  }, [item.url]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+      if (e.key === 'ArrowLeft') onPrevious();
+      if (e.key === 'ArrowRight') onNext();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, onPrevious, onNext]);
+
+  // Hover zoom: a mouse over the image magnifies it around the pointer.
+  // Touch pointers are left to pinch zoom.
+  const handlePointerEnter = (e) => {
+    if (e.pointerType === 'mouse') setZoom(HOVER_ZOOM);
+  };
+
+  const handlePointerLeave = (e) => {
+    if (e.pointerType === 'mouse') setZoom(1);
+  };
+
+  const handleMouseMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * 100;
+    const y = ((e.clientY - rect.top) / rect.height) * 100;
+    setOrigin(`${x}% ${y}%`);
+  };
+
+  const handleTouchStart = (e) => {
+    if (e.touches.length === 2) {
+      pinch.current = { distance: touchDistance(e.touches), zoom };
+    } else if (zoom === 1) {
+      swipe.onTouchStart(e);
+    }
+  };
+
+  const handleTouchMove = (e) => {
+    if (e.touches.length === 2 && pinch.current) {
+      const scale = pinch.current.zoom * touchDistance(e.touches) / pinch.current.distance;
+      setZoom(Math.min(MAX_ZOOM, Math.max(1, scale)));
+    }
+  };
+
+  const handleTouchEnd = (e) => {
+    if (pinch.current) {
+      if (e.touches.length < 2) pinch.current = null;
+      return;
+    }
+    swipe.onTouchEnd(e);
+  };
+
+  return (
+    <div className="gallery-lightbox" role="dialog" aria-modal="true" aria-label={alt}>
+      <button ref={closeButton} type="button" className="gallery-lightbox-close" onClick={onClose} aria-label={t('gallery.close')}>
+        ×
+      </button>
+
+      <div
+        className={`gallery-lightbox-stage${zoom > 1 ? ' zoomed' : ''}`}
+        onMouseMove={handleMouseMove}
+        onTouchStart={handleTouchStart}
+        onTouchMove={handleTouchMove}
+        onTouchEnd={handleTouchEnd}
+      >
+        {isVideo(item) ? (
+          <GalleryMedia item={item} alt={alt} />
+        ) : (
+          <img
+            src={item.url}
+            alt={item.label || alt}
+            style={{ transform: `scale(${zoom})`, transformOrigin: origin }}
+            onPointerEnter={handlePointerEnter}
+            onPointerLeave={handlePointerLeave}
+          />
+        )}
+      </div>
+
+      {hasMultiple && (
+        <>
+          <button type="button" className="gallery-nav previous" onClick={onPrevious} aria-label={t('gallery.previous')}>
+            ‹
+          </button>
+          <button type="button" className="gallery-nav next" onClick={onNext} aria-label={t('gallery.next')}>
+            ›
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Product media gallery: main image or video, thumbnail strip and lightbox
+ * @param {Array} items - media_gallery entries (ProductImage or ProductVideo)
+ * @param {string} alt - Fallback alt text, usually the product name
+ */
+const ProductGallery = ({ items = [], alt }) => {
+  const media = items
+    .filter(item => !item.disabled)
+    .sort((a, b) => (a.position || 0) - (b.position || 0));
+  if (media.length === 0) {
+    media.push({ url: FALLBACK_IMAGE, label: alt });
+  }
+
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [lightboxOpen, setLightboxOpen] = useState(false);
+  const count = media.length;
+  const activeItem = media[Math.min(activeIndex, count - 1)];
+
+  const showPrevious = () => setActiveIndex(index => (index - 1 + count) % count);
+  const showNext = () => setActiveIndex(index => (index + 1) % count);
+  const swipe = useSwipe(showPrevious, showNext);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowLeft') showPrevious();
+    if (e.key === 'ArrowRight') showNext();
+  };
+
+  return (
+    <div className="product-gallery">
+      <div
+        className="gallery-stage"
+        tabIndex={0}
+        role="region"
+        aria-roledescription={t('gallery.label')}
+        aria-label={alt}
+        onKeyDown={handleKeyDown}
+        {...swipe}
+      >
+        <GalleryMedia
+          item={activeItem}
+          alt={alt}
+          sizes="(max-width: 768px) 100vw, 50vw"
+          onImageClick={() => setLightboxOpen(true)}
+        />
+
+        {count > 1 && (
+          <>
+            <button type="button" className="gallery-nav previous" onClick={showPrevious} aria-label={t('gallery.previous')}>
+              ‹
+            </button>
+            <button type="button" className="gallery-nav next" onClick={showNext} aria-label={t('gallery.next')}>
+              ›
+            </button>
+          </>
+        )}
+      </div>
+
+      {count > 1 && (
+        <ul className="gallery-thumbnails">
+          {media.map((item, index) => (
+            <li key={`${item.url}-${index}`}>
+              <button
+                type="button"
+                className={`gallery-thumbnail${item === activeItem ? ' active' : ''}${isVideo(item) ? ' video' : ''}`}
+                onClick={() => setActiveIndex(index)}
+                aria-label={t('gallery.show', { index: index + 1, count })}
+                aria-current={item === activeItem}
+              >
+                <img src={resizeImageUrl(item.url, 160)} alt="" loading="lazy" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {lightboxOpen && (
+        <GalleryLightbox
+          item={activeItem}
+          alt={alt}
+          hasMultiple={count > 1}
+          onPrevious={showPrevious}
+          onNext={showNext}
+          onClose={() => setLightboxOpen(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ProductGallery;
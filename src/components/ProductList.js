@@ -1,38 +1,95 @@
-import React, { useState, useEffect } from 'react';
-import { useHistory } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useHistory, useLocation } from 'react-router-dom';
 import magentoApi from '../services/magentoApi';
+import { NetworkError } from '../services/errors';
+import {
+  getSortOptions,
+  parseProductListParams,
+  buildProductListQuery,
+  toggleFilterValue,
+  toMagentoFilter,
+  toMagentoSort,
+} from '../utils/productListParams';
+import LayeredNavigation from './LayeredNavigation';
+import ProductCard from './ProductCard';
+import { t } from '../i18n';
 import './ProductList.css';
 
-const ProductList = () => {
+const ProductList = ({ baseFilter = null, title = null }) => {
   const history = useHistory();
+  const location = useLocation();
+  // Attribute codes URL parameters may filter on; null until known
+  const [filterableCodes, setFilterableCodes] = useState(null);
+  // Search, page, sort and filters all come from the query string
+  const listParams = parseProductListParams(location.search, filterableCodes || []);
+  const { search: searchTerm, page: currentPage, sort, filters } = listParams;
+  const filtersKey = JSON.stringify(filters);
   const [products, setProducts] = useState([]);
+  const [aggregations, setAggregations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [currentPage, setCurrentPage] = useState(1);
   const [totalCount, setTotalCount] = useState(0);
   const [pageSize] = useState(12);
+  const latestRequest = useRef(0);
+  // Fixed filter from the parent page (e.g. a category), applied on top of the URL filters
+  const baseFilterKey = JSON.stringify(baseFilter || {});
 
   useEffect(() => {
-    fetchProducts();
-  }, [currentPage]);
+    let cancelled = false;
+
+    magentoApi.fetchFilterableAttributeCodes().then((codes) => {
+      if (!cancelled) setFilterableCodes(codes);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Filters only change when the URL does or a new attribute code is learned
+  useEffect(() => {
+    if (filterableCodes) {
+      fetchProducts();
+    }
+  }, [location.pathname, location.search, filtersKey, baseFilterKey, filterableCodes !== null]);
 
   const fetchProducts = async () => {
+    // Ignore responses for a search or page the user has already left
+    const requestId = ++latestRequest.current;
+
     try {
       setLoading(true);
       setError(null);
       
       const response = await magentoApi.fetchProducts({
         pageSize,
-        currentPage
+        currentPage,
+        search: searchTerm,
+        filter: { ...toMagentoFilter(filters), ...baseFilter },
+        sort: toMagentoSort(sort)
       });
       
+      if (requestId !== latestRequest.current) return;
       setProducts(response.items);
+      setAggregations(response.aggregations);
+      // Every aggregated attribute can be filtered on, even when the schema could not be read
+      setFilterableCodes((codes) => {
+        const learned = response.aggregations
+          .map(aggregation => aggregation.attribute_code)
+          .filter(code => !codes.includes(code));
+        return learned.length > 0 ? [...codes, ...learned] : codes;
+      });
       setTotalCount(response.totalCount);
     } catch (err) {
-      setError(err.message);
+      if (requestId !== latestRequest.current) return;
+      setError(err instanceof NetworkError
+        ? t('productList.networkError')
+        : err.message);
       console.error('Failed to fetch products:', err);
     } finally {
-      setLoading(false);
+      if (requestId === latestRequest.current) {
+        setLoading(false);
+      }
     }
   };
 
@@ -40,50 +97,31 @@ const ProductList = () => {
     fetchProducts();
   };
 
+  const updateListParams = (changes) => {
+    history.push({
+      pathname: location.pathname,
+      search: buildProductListQuery({ ...listParams, ...changes }),
+    });
+  };
+
   const handlePageChange = (newPage) => {
-    setCurrentPage(newPage);
+    updateListParams({ page: newPage });
     window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
-  const getProductImage = (product) => {
-    // Try to get the first media gallery entry or use a placeholder
-    if (product.media_gallery_entries && product.media_gallery_entries.length > 0) {
-      const mainImage = product.media_gallery_entries.find(entry => 
-        entry.types && entry.types.includes('image')
-      ) || product.media_gallery_entries[0];
-      
-      if (mainImage && mainImage.file) {
-        return magentoApi.getImageUrl(mainImage.file);
-      }
-      return  false;
-    }
-    
-    // Fallback to placeholder image
-    return 'http://localhost:3000/e-commerce.webp';
+  const handleSortChange = (e) => {
+    updateListParams({ sort: e.target.value, page: 1 });
   };
 
-  const getProductPrice = (product) => {
-    if (product.final_price && product.final_price !== product.price) {
-      return (
-        <div className="price-container">
-          <span className="regular-price">{magentoApi.formatPrice(product.price, product.price_currency)}</span>
-          <span className="final-price">{magentoApi.formatPrice(product.final_price, product.price_currency)}</span>
-        </div>
-      );
-    }
-    return product.price ? magentoApi.formatPrice(product.price, product.price_currency) : 'Price not available';
+  const handleFilterToggle = (code, value) => {
+    updateListParams({ filters: toggleFilterValue(filters, code, value), page: 1 });
   };
 
-  const getProductTypeLabel = (product) => {
-    if (product.type === 'ConfigurableProduct') {
-      return <span className="product-type configurable">Configurable</span>;
-    }
-    return <span className="product-type simple">Simple</span>;
+  const handleClearFilters = () => {
+    updateListParams({ filters: {}, page: 1 });
   };
 
-  const handleProductClick = (sku) => {
-    history.push(`/product/${sku}`);
-  };
+  const hasActiveFilters = Object.keys(filters).length > 0;
 
   const totalPages = Math.ceil(totalCount / pageSize);
 
@@ -92,7 +130,7 @@ const ProductList = () => {
       <div className="product-list-container">
         <div className="loading">
           <div className="loading-spinner"></div>
-          <p>Loading products from Magento...</p>
+          <p>{t('productList.loading')}</p>
         </div>
       </div>
     );
@@ -102,10 +140,10 @@ const ProductList = () => {
     return (
       <div className="product-list-container">
         <div className="error">
-          <h3>Error Loading Products</h3>
+          <h3>{t('productList.errorTitle')}</h3>
           <p>{error}</p>
           <button onClick={handleRetry} className="retry-button">
-            Try Again
+            {t('common.tryAgain')}
           </button>
         </div>
       </div>
@@ -116,11 +154,25 @@ const ProductList = () => {
     return (
       <div className="product-list-container">
         <div className="no-products">
-          <h3>No Products Found</h3>
-          <p>No products are currently available in the catalog.</p>
-          <button onClick={handleRetry} className="retry-button">
-            Refresh
-          </button>
+          <h3>{t('productList.emptyTitle')}</h3>
+          <p>
+            {hasActiveFilters
+              ? t('productList.emptyFiltered')
+              : searchTerm
+                ? t('productList.emptySearch', { search: searchTerm })
+                : baseFilter
+                  ? t('productList.emptyCategory')
+                  : t('productList.emptyCatalog')}
+          </p>
+          {hasActiveFilters ? (
+            <button onClick={handleClearFilters} className="retry-button">
+              {t('productList.clearFilters')}
+            </button>
+          ) : (
+            <button onClick={handleRetry} className="retry-button">
+              {t('common.refresh')}
+            </button>
+          )}
         </div>
       </div>
     );
@@ -129,69 +181,63 @@ const ProductList = () => {
   return (
     <div className="product-list-container">
       <div className="product-list-header">
-        <h2>Products from Magento 2</h2>
+        <h2>{searchTerm ? t('productList.searchTitle', { search: searchTerm }) : title || t('productList.title')}</h2>
         <p className="product-count">
-          Showing {products.length} of {totalCount} products
+          {t('productList.count', { shown: products.length, count: totalCount })}
         </p>
       </div>
 
-      <div className="product-grid">
-        {products.map((product) => (
-          <div 
-            key={product.id} 
-            className="product-card"
-            onClick={() => handleProductClick(product.sku)}
-          >
-            <div className="product-image">
-              <img
-                src={getProductImage(product)}
-                alt={product.name}
-                onError={(e) => {
-                  e.target.src = 'e-commerce.webp';
-                }}
-              />
-            </div>
-            <div className="product-info">
-              <h3 className="product-name">{product.name}</h3>
-              <p className="product-sku">SKU: {product.sku}</p>
-              <div className="product-price">{getProductPrice(product)}</div>
-              <div className="product-meta">
-                {getProductTypeLabel(product)}
-                {product.status === 1 && (
-                  <span className="product-status available">Available</span>
-                )}
-                {product.status !== 1 && (
-                  <span className="product-status unavailable">Unavailable</span>
-                )}
-              </div>
-            </div>
-          </div>
-        ))}
+      <div className="product-list-toolbar">
+        <label htmlFor="product-sort">{t('productList.sortBy')}</label>
+        <select id="product-sort" value={sort} onChange={handleSortChange}>
+          {getSortOptions(!!searchTerm).map((option) => (
+            <option key={option.value} value={option.value}>
+              {t(`productList.sort.${option.value}`)}
+            </option>
+          ))}
+        </select>
       </div>
 
-      {totalPages > 1 && (
-        <div className="pagination">
-          <button
-            onClick={() => handlePageChange(currentPage - 1)}
-            disabled={currentPage === 1}
-            className="pagination-button"
-          >
-            Previous
-          </button>
+      <div className="product-list-layout">
+        <LayeredNavigation
+          aggregations={aggregations}
+          filters={filters}
+          onToggle={handleFilterToggle}
+          onClearAll={handleClearFilters}
+        />
+
+        <div className="product-list-results">
+          <div className="product-grid">
+            {products.map((product) => (
+              <ProductCard key={product.id} product={product} />
+            ))}
+          </div>
+
+          {totalPages > 1 && (
+            <div className="pagination">
+              <button
+                onClick={() => handlePageChange(currentPage - 1)}
+                disabled={currentPage === 1}
+                className="pagination-button"
+              >
+                {t('productList.previous')}
+              </button>
           
-          <span className="pagination-info">
-            Page {currentPage} of {totalPages}
-          </span>
+              <span className="pagination-info">
+                {t('productList.pageInfo', { page: currentPage, pages: totalPages })}
+              </span>
           
-          <button
-            onClick={() => handlePageChange(currentPage + 1)}
-            disabled={currentPage === totalPages}
-            className="pagination-button"
-          >
-            Next
-          </button>
+              <button
+                onClick={() => handlePageChange(currentPage + 1)}
+                disabled={currentPage === totalPages}
+                className="pagination-button"
+              >
+                {t('productList.next')}
+              </button>
+            </div>
+          )}
         </div>
-      )}
+      </div>
     </div>
   );
 };
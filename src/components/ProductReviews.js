@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from 'react';
+import magentoApi from '../services/magentoApi';
+import { t, getLocale } from '../i18n';
+import RatingStars from './RatingStars';
+import ReviewForm from './ReviewForm';
+import './ProductReviews.css';
+
+const PAGE_SIZE = 5;
+
+// Review dates come from Magento as "2024-05-01 14:03:22" in UTC
+const formatReviewDate = (createdAt) => {
+  const date = new Date(`${createdAt.replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime())
+    ? createdAt
+    : new Intl.DateTimeFormat(getLocale(), { dateStyle: 'medium' }).format(date);
+};
+
+const ProductReviews = ({ product }) => {
+  const [reviews, setReviews] = useState([]);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+
+  useEffect(() => {
+    loadReviews();
+  }, [currentPage]);
+
+  const loadReviews = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const { items, pageInfo } = await magentoApi.fetchProductReviews(product.sku, { currentPage, pageSize: PAGE_SIZE });
+      setReviews(items);
+      setTotalPages(pageInfo.total_pages);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error loading reviews:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <section id="reviews" className="product-reviews">
+      <div className="product-reviews-header">
+        <div>
+          <h2>{t('reviews.title')}</h2>
+          {product.review_count > 0 && (
+            <div className="product-reviews-summary">
+              <RatingStars rating={product.rating_summary} />
+              <span>{t('reviews.count', { count: product.review_count })}</span>
+            </div>
+          )}
+        </div>
+        {!showForm && (
+          <button
+            className="product-reviews-write"
+            onClick={() => {
+              setShowForm(true);
+              setSubmitted(false);
+            }}
+          >
+            {t('reviews.write')}
+          </button>
+        )}
+      </div>
+
+      {submitted && (
+        <p className="product-reviews-submitted" role="status">{t('reviews.submitted')}</p>
+      )}
+
+      {showForm && (
+        <ReviewForm
+          sku={product.sku}
+          onSubmitted={() => {
+            setShowForm(false);
+            setSubmitted(true);
+          }}
+          onCancel={() => setShowForm(false)}
+        />
+      )}
+
+      {error && (
+        <div className="product-reviews-error">
+          <p>{error}</p>
+          <button onClick={loadReviews} className="product-reviews-retry">{t('common.tryAgain')}</button>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="product-reviews-empty">{t('reviews.loading')}</p>
+      ) : reviews.length === 0 ? (
+        !error && <p className="product-reviews-empty">{t('reviews.empty')}</p>
+      ) : (
+        <>
+          <ul className="product-reviews-list">
+            {reviews.map((review, index) => (
+              <li key={`${review.created_at}-${index}`} className="product-review">
+                <div className="product-review-heading">
+                  <RatingStars rating={review.average_rating} />
+                  <h3>{review.summary}</h3>
+                </div>
+                <p className="product-review-meta">
+                  {t('reviews.byline', { nickname: review.nickname, date: formatReviewDate(review.created_at) })}
+                </p>
+                {review.ratings_breakdown?.length > 1 && (
+                  <dl className="product-review-breakdown">
+                    {review.ratings_breakdown.map((rating) => (
+                      <div key={rating.name}>
+                        <dt>{rating.name}</dt>
+                        <dd><RatingStars rating={Number(rating.value) * 20} /></dd>
+                      </div>
+                    ))}
+                  </dl>
+                )}
+                <p className="product-review-text">{review.text}</p>
+              </li>
+            ))}
+          </ul>
+
+          {totalPages > 1 && (
+            <nav className="product-reviews-pagination" aria-label={t('reviews.pagination')}>
+              <button onClick={() => setCurrentPage(currentPage - 1)} disabled={currentPage <= 1}>
+                {t('reviews.previous')}
+              </button>
+              <span>{t('reviews.pageInfo', { page: currentPage, pages: totalPages })}</span>
+              <button onClick={() => setCurrentPage(currentPage + 1)} disabled={currentPage >= totalPages}>
+                {t('reviews.next')}
+              </button>
+            </nav>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default ProductReviews;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { t, getLocale } from '../i18n';
+import './RatingStars.css';
+
+/**
+ * Read-only five-star rating
+ * `rating` is a percentage (0-100), the scale Magento uses for rating_summary
+ * and average_rating.
+ */
+const RatingStars = ({ rating = 0 }) => {
+  const stars = (Math.round(rating / 2) / 10).toLocaleString(getLocale());
+
+  return (
+    <span className="rating-stars" role="img" aria-label={t('reviews.starsLabel', { stars })}>
+      <span className="rating-stars-empty" aria-hidden="true">★★★★★</span>
+      <span className="rating-stars-filled" style={{ width: `${rating}%` }} aria-hidden="true">★★★★★</span>
+    </span>
+  );
+};
+
+export default RatingStars;
@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './ReviewForm.css';
+
+const ReviewForm = ({ sku, onSubmitted, onCancel }) => {
+  const [ratings, setRatings] = useState([]);
+  const [ratingsError, setRatingsError] = useState(null);
+  const [values, setValues] = useState({
+    nickname: magentoApi.getCurrentCustomer()?.firstname || '',
+    summary: '',
+    text: '',
+  });
+  // Chosen value_id per rating id
+  const [selectedRatings, setSelectedRatings] = useState({});
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    magentoApi.fetchReviewRatingsMetadata()
+      .then((items) => {
+        if (!cancelled) setRatings(items);
+      })
+      .catch((err) => {
+        if (!cancelled) setRatingsError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setValues({ ...values, [name]: value });
+    setFieldErrors({ ...fieldErrors, [name]: null });
+  };
+
+  const handleRatingChange = (ratingId, valueId) => {
+    setSelectedRatings({ ...selectedRatings, [ratingId]: valueId });
+    setFieldErrors({ ...fieldErrors, [ratingId]: null });
+  };
+
+  const validate = () => {
+    const errors = {};
+    ['nickname', 'summary', 'text'].forEach((field) => {
+      if (!values[field].trim()) {
+        errors[field] = t('reviews.required');
+      }
+    });
+    // Magento requires a value for every active rating
+    ratings.forEach((rating) => {
+      if (!selectedRatings[rating.id]) {
+        errors[rating.id] = t('reviews.ratingRequired', { name: rating.name });
+      }
+    });
+    return errors;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = validate();
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      await magentoApi.createProductReview({
+        sku,
+        nickname: values.nickname.trim(),
+        summary: values.summary.trim(),
+        text: values.text.trim(),
+        ratings: ratings.map((rating) => ({ id: rating.id, value_id: selectedRatings[rating.id] })),
+      });
+      onSubmitted();
+    } catch (err) {
+      setError(t('reviews.submitFailed', { message: err.message }));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="review-form" onSubmit={handleSubmit} noValidate>
+      <h3>{t('reviews.formTitle')}</h3>
+
+      {ratingsError && <p className="review-form-error">{ratingsError}</p>}
+
+      {ratings.map((rating) => {
+        // Light up every star up to the chosen one
+        const selectedValue = Number(rating.values.find(({ value_id }) => value_id === selectedRatings[rating.id])?.value || 0);
+
+        return (
+          <fieldset key={rating.id} className="review-form-rating">
+            <legend>{rating.name}</legend>
+            <div className="review-form-stars">
+              {rating.values.map((ratingValue) => (
+                <label
+                  key={ratingValue.value_id}
+                  className={Number(ratingValue.value) <= selectedValue ? 'filled' : ''}
+                  title={t('reviews.starsLabel', { stars: ratingValue.value })}
+                >
+                  <input
+                    type="radio"
+                    name={`rating-${rating.id}`}
+                    value={ratingValue.value_id}
+                    checked={selectedRatings[rating.id] === ratingValue.value_id}
+                    onChange={() => handleRatingChange(rating.id, ratingValue.value_id)}
+                    aria-label={t('reviews.starsLabel', { stars: ratingValue.value })}
+                    disabled={submitting}
+                  />
+                  <span aria-hidden="true">★</span>
+                </label>
+              ))}
+            </div>
+            {fieldErrors[rating.id] && <small className="review-form-field-error">{fieldErrors[rating.id]}</small>}
+          </fieldset>
+        );
+      })}
+
+      <div className="review-form-field">
+        <label htmlFor="review-nickname">{t('reviews.nickname')}</label>
+        <input
+          id="review-nickname"
+          name="nickname"
+          type="text"
+          value={values.nickname}
+          onChange={handleChange}
+          disabled={submitting}
+        />
+        {fieldErrors.nickname && <small className="review-form-field-error">{fieldErrors.nickname}</small>}
+      </div>
+
+      <div className="review-form-field">
+        <label htmlFor="review-summary">{t('reviews.summary')}</label>
+        <input
+          id="review-summary"
+          name="summary"
+          type="text"
+          value={values.summary}
+          onChange={handleChange}
+          disabled={submitting}
+        />
+        {fieldErrors.summary && <small className="review-form-field-error">{fieldErrors.summary}</small>}
+      </div>
+
+      <div className="review-form-field">
+        <label htmlFor="review-text">{t('reviews.text')}</label>
+        <textarea
+          id="review-text"
+          name="text"
+          rows="5"
+          value={values.text}
+          onChange={handleChange}
+          disabled={submitting}
+        />
+        {fieldErrors.text && <small className="review-form-field-error">{fieldErrors.text}</small>}
+      </div>
+
+      {error && <p className="review-form-error">{error}</p>}
+
+      <div className="review-form-actions">
+        <button type="submit" className="review-form-submit" disabled={submitting}>
+          {submitting ? t('reviews.submitting') : t('reviews.submit')}
+        </button>
+        <button type="button" className="review-form-cancel" onClick={onCancel} disabled={submitting}>
+          {t('common.cancel')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ReviewForm;
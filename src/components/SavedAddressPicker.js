@@ -0,0 +1,41 @@
+import React from 'react';
+import { t } from '../i18n';
+import AddressCard from './AddressCard';
+import { NEW_ADDRESS } from './AddressFields';
+import './SavedAddressPicker.css';
+
+/**
+ * Choose one of the customer's saved addresses or a new one
+ * @param {string} name - Radio group name
+ * @param {Array} addresses - Saved customer addresses
+ * @param {number|string} selectedId - Selected address ID, or NEW_ADDRESS
+ * @param {Function} onSelect - Called with the address ID or NEW_ADDRESS
+ */
+const SavedAddressPicker = ({ name, addresses, selectedId, onSelect, disabled }) => (
+  <div className="saved-address-picker" role="radiogroup">
+    {addresses.map((address) => (
+      <label key={address.id} className={`saved-address-option${selectedId === address.id ? ' selected' : ''}`}>
+        <input
+          type="radio"
+          name={name}
+          checked={selectedId === address.id}
+          onChange={() => onSelect(address.id)}
+          disabled={disabled}
+        />
+        <AddressCard address={address} />
+      </label>
+    ))}
+    <label className={`saved-address-option new${selectedId === NEW_ADDRESS ? ' selected' : ''}`}>
+      <input
+        type="radio"
+        name={name}
+        checked={selectedId === NEW_ADDRESS}
+        onChange={() => onSelect(NEW_ADDRESS)}
+        disabled={disabled}
+      />
+      <span>{t('addressBook.useNewAddress')}</span>
+    </label>
+  </div>
+);
+
+export default SavedAddressPicker;
@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useHistory, useLocation } from 'react-router-dom';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './SearchBar.css';
+
+const MIN_SEARCH_LENGTH = 2;
+const DEBOUNCE_DELAY = 300;
+
+const SearchBar = () => {
+  const history = useHistory();
+  const location = useLocation();
+  const [term, setTerm] = useState(new URLSearchParams(location.search).get('q') || '');
+  const [suggestions, setSuggestions] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [isOpen, setIsOpen] = useState(false);
+  const latestRequest = useRef(0);
+
+  useEffect(() => {
+    const trimmed = term.trim();
+
+    if (trimmed.length < MIN_SEARCH_LENGTH) {
+      setSuggestions([]);
+      setTotalCount(0);
+      setLoading(false);
+      return undefined;
+    }
+
+    // Debounce typing and ignore responses that arrive out of order
+    const requestId = ++latestRequest.current;
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const result = await magentoApi.fetchSearchSuggestions(trimmed);
+        if (requestId === latestRequest.current) {
+          setSuggestions(result.items);
+          setTotalCount(result.totalCount);
+        }
+      } catch (err) {
+        console.error('Error fetching search suggestions:', err);
+        if (requestId === latestRequest.current) {
+          setSuggestions([]);
+          setTotalCount(0);
+        }
+      } finally {
+        if (requestId === latestRequest.current) {
+          setLoading(false);
+        }
+      }
+    }, DEBOUNCE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [term]);
+
+  const closeSuggestions = () => {
+    setIsOpen(false);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = term.trim();
+    if (!trimmed) return;
+
+    closeSuggestions();
+    history.push(`/search?q=${encodeURIComponent(trimmed)}`);
+  };
+
+  const handleSuggestionClick = (item) => {
+    closeSuggestions();
+    setTerm('');
+    history.push(item.url);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      closeSuggestions();
+    }
+  };
+
+  const showDropdown = isOpen && term.trim().length >= MIN_SEARCH_LENGTH;
+
+  return (
+    <div className="search-bar">
+      <form onSubmit={handleSubmit} role="search">
+        <input
+          type="search"
+          className="search-bar-input"
+          placeholder={t('search.placeholder')}
+          value={term}
+          onChange={(e) => {
+            setTerm(e.target.value);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onKeyDown={handleKeyDown}
+          aria-label={t('search.label')}
+          autoComplete="off"
+        />
+      </form>
+
+      {showDropdown && (
+        <>
+          <div className="search-bar-overlay" onClick={closeSuggestions}></div>
+          <div className="search-suggestions">
+            {loading && suggestions.length === 0 ? (
+              <div className="search-suggestions-status">{t('search.searching')}</div>
+            ) : suggestions.length === 0 ? (
+              <div className="search-suggestions-status">{t('search.noResults')}</div>
+            ) : (
+              <>
+                {suggestions.map((item) => {
+                  const price = item.price_range?.minimum_price?.final_price;
+                  return (
+                    <button
+                      key={item.id}
+                      className="search-suggestion"
+                      onClick={() => handleSuggestionClick(item)}
+                    >
+                      <img
+                        src={item.small_image?.url || '/e-commerce.webp'}
+                        alt={item.name}
+                        onError={(e) => {
+                          e.target.src = '/e-commerce.webp';
+                        }}
+                      />
+                      <span className="search-suggestion-name">{item.name}</span>
+                      {price && (
+                        <span className="search-suggestion-price">
+                          {magentoApi.formatPrice(price.value, price.currency)}
+                        </span>
+                      )}
+                    </button>
+                  );
+                })}
+                <button className="search-suggestions-all" onClick={handleSubmit}>
+                  {t('search.viewAll', { count: totalCount })}
+                </button>
+              </>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SearchBar;
@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './ShippingEstimator.css';
+
+const getMethodKey = (method) => `${method.carrier_code}_${method.method_code}`;
+
+// Rates and totals are only estimated; the cart keeps no address until checkout
+const ShippingEstimator = ({ shippingAddress = null, estimate = null, onEstimate }) => {
+  const selectedMethod = estimate?.shipping || shippingAddress?.selected_shipping_method || null;
+  const [countries, setCountries] = useState([]);
+  const [countryCode, setCountryCode] = useState(shippingAddress?.country?.code || '');
+  const [regionId, setRegionId] = useState(shippingAddress?.region?.region_id || '');
+  const [region, setRegion] = useState(shippingAddress?.region?.code || '');
+  const [postcode, setPostcode] = useState(shippingAddress?.postcode || '');
+  const [shippingMethods, setShippingMethods] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    magentoApi.fetchCountries()
+      .then(setCountries)
+      .catch((err) => setError(err.message));
+  }, []);
+
+  const regions = countries.find(country => country.id === countryCode)?.available_regions || [];
+
+  const handleCountryChange = (e) => {
+    setCountryCode(e.target.value);
+    setRegionId('');
+    setRegion('');
+    setShippingMethods(null);
+    onEstimate(null);
+  };
+
+  const destination = {
+    countryCode,
+    regionId: regionId ? parseInt(regionId, 10) : null,
+    region,
+    postcode,
+  };
+
+  const handleEstimate = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setError(null);
+      const methods = await magentoApi.estimateShippingMethods(destination);
+      setShippingMethods(methods);
+      onEstimate(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleMethodChange = async (method) => {
+    try {
+      setSubmitting(true);
+      setError(null);
+      const prices = await magentoApi.estimateTotals(destination, method.carrier_code, method.method_code);
+      onEstimate({ prices, shipping: method });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="shipping-estimator">
+      <h3>{t('shippingEstimator.title')}</h3>
+
+      <form onSubmit={handleEstimate}>
+        <div className="shipping-estimator-field">
+          <label htmlFor="estimate-country">{t('shippingEstimator.country')}</label>
+          <select
+            id="estimate-country"
+            value={countryCode}
+            onChange={handleCountryChange}
+            disabled={submitting}
+            required
+          >
+            <option value="">{t('shippingEstimator.selectCountry')}</option>
+            {countries.map(country => (
+              <option key={country.id} value={country.id}>
+                {country.full_name_locale}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="shipping-estimator-field">
+          <label htmlFor="estimate-region">{t('shippingEstimator.region')}</label>
+          {regions.length > 0 ? (
+            <select
+              id="estimate-region"
+              value={regionId}
+              onChange={(e) => setRegionId(e.target.value)}
+              disabled={submitting}
+            >
+              <option value="">{t('shippingEstimator.selectRegion')}</option>
+              {regions.map(item => (
+                <option key={item.id} value={item.id}>
+                  {item.name}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              id="estimate-region"
+              type="text"
+              value={region}
+              onChange={(e) => setRegion(e.target.value)}
+              disabled={submitting}
+            />
+          )}
+        </div>
+
+        <div className="shipping-estimator-field">
+          <label htmlFor="estimate-postcode">{t('shippingEstimator.postcode')}</label>
+          <input
+            id="estimate-postcode"
+            type="text"
+            value={postcode}
+            onChange={(e) => setPostcode(e.target.value)}
+            disabled={submitting}
+          />
+        </div>
+
+        <button type="submit" className="shipping-estimator-submit" disabled={submitting || !countryCode}>
+          {submitting ? t('shippingEstimator.estimating') : t('shippingEstimator.estimate')}
+        </button>
+      </form>
+
+      {error && <p className="shipping-estimator-error">{error}</p>}
+
+      {shippingMethods && (
+        shippingMethods.length === 0 ? (
+          <p className="shipping-estimator-empty">{t('shippingEstimator.noMethods')}</p>
+        ) : (
+          <div className="shipping-estimator-methods">
+            {shippingMethods.map(method => (
+              <label
+                key={getMethodKey(method)}
+                className={`shipping-estimator-method ${method.available ? '' : 'unavailable'}`}
+              >
+                <input
+                  type="radio"
+                  name="estimate-shipping-method"
+                  checked={selectedMethod ? getMethodKey(selectedMethod) === getMethodKey(method) : false}
+                  onChange={() => handleMethodChange(method)}
+                  disabled={submitting || !method.available}
+                />
+                <span className="shipping-estimator-method-title">
+                  {method.carrier_title} - {method.method_title}
+                  {method.error_message && (
+                    <small>{method.error_message}</small>
+                  )}
+                </span>
+                {method.available && (
+                  <span className="shipping-estimator-method-price">
+                    {magentoApi.formatPrice(method.amount.value, method.amount.currency)}
+                  </span>
+                )}
+              </label>
+            ))}
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default ShippingEstimator;
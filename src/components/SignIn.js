@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { Link, useHistory, useLocation } from 'react-router-dom';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './AccountForms.css';
+
+const SignIn = () => {
+  const history = useHistory();
+  const location = useLocation();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email || !password) {
+      setError(t('signIn.missingFields'));
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      await magentoApi.signIn(email, password);
+      history.push(location.state?.from || '/');
+    } catch (err) {
+      setError(err.message);
+      console.error('Error signing in:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="account-form-container">
+      <div className="account-form">
+        <h1>{t('signIn.title')}</h1>
+
+        {location.state?.sessionExpired && !error && (
+          <div className="account-form-notice">{t('signIn.sessionExpired')}</div>
+        )}
+
+        {error && (
+          <div className="account-form-error">{error}</div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="signin-email">{t('signIn.email')}</label>
+            <input
+              type="email"
+              id="signin-email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              autoComplete="email"
+              disabled={submitting}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="signin-password">{t('signIn.password')}</label>
+            <input
+              type="password"
+              id="signin-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              autoComplete="current-password"
+              disabled={submitting}
+            />
+          </div>
+
+          <button type="submit" className="btn-submit" disabled={submitting}>
+            {submitting ? t('signIn.submitting') : t('signIn.submit')}
+          </button>
+        </form>
+
+        <p className="account-form-switch">
+          {t('signIn.newCustomer')} <Link to="/create-account">{t('signIn.createAccount')}</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default SignIn;
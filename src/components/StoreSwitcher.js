@@ -0,0 +1,75 @@
+import React, { useState, useEffect } from 'react';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './StoreSwitcher.css';
+
+const StoreSwitcher = () => {
+  const [stores, setStores] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    magentoApi.fetchAvailableStores()
+      .then((data) => {
+        if (!cancelled) setStores(data);
+      })
+      .catch(() => {
+        // Without the store list the switcher is simply hidden
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (stores.length < 2) {
+    return null;
+  }
+
+  const defaultStore = stores.find(store => store.is_default_store) || stores[0];
+  const currentCode = magentoApi.getStoreCode() || defaultStore.store_code;
+
+  const handleChange = (e) => {
+    magentoApi.setStoreCode(e.target.value);
+    // Every cached view belongs to the old store, so start fresh
+    window.location.reload();
+  };
+
+  // Group store views by store when the website has more than one
+  const groups = stores.reduce((acc, store) => {
+    const name = store.store_group_name || '';
+    (acc[name] = acc[name] || []).push(store);
+    return acc;
+  }, {});
+  const groupNames = Object.keys(groups);
+
+  const renderOptions = (groupStores) => groupStores.map(store => (
+    <option key={store.store_code} value={store.store_code}>
+      {store.store_name}
+    </option>
+  ));
+
+  return (
+    <div className="store-switcher">
+      <label htmlFor="store-switcher-select" className="store-switcher-label">
+        {t('header.store')}
+      </label>
+      <select
+        id="store-switcher-select"
+        className="store-switcher-select"
+        value={currentCode}
+        onChange={handleChange}
+      >
+        {groupNames.length > 1
+          ? groupNames.map(name => (
+              <optgroup key={name} label={name}>
+                {renderOptions(groups[name])}
+              </optgroup>
+            ))
+          : renderOptions(stores)}
+      </select>
+    </div>
+  );
+};
+
+export default StoreSwitcher;
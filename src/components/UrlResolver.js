@@ -0,0 +1,97 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useLocation, useHistory } from 'react-router-dom';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import ProductDetailPage from './ProductDetailPage';
+import CategoryPage from './CategoryPage';
+import CmsPage from './CmsPage';
+import NotFound from './NotFound';
+import './UrlResolver.css';
+
+/**
+ * Catch-all route: resolves any storefront URL through Magento's `route`
+ * query and renders the matching product, category or CMS page.
+ */
+const UrlResolver = () => {
+  const location = useLocation();
+  const history = useHistory();
+  const [route, setRoute] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Latest resolve request; answers to earlier ones are ignored
+  const requestRef = useRef(0);
+
+  useEffect(() => {
+    resolve();
+    return () => {
+      requestRef.current += 1;
+    };
+  }, [location.pathname]);
+
+  const resolve = async () => {
+    const url = location.pathname.replace(/^\/+/, '');
+    const request = ++requestRef.current;
+    const isStale = () => request !== requestRef.current;
+
+    try {
+      setLoading(true);
+      setError(null);
+      setRoute(null);
+
+      const data = await magentoApi.resolveUrl(url);
+      if (isStale()) return;
+
+      // 301/302 rewrites: move to the target URL, which is then resolved again
+      if (data && data.redirect_code && data.relative_url && data.relative_url !== url) {
+        history.replace(`/${data.relative_url.replace(/^\/+/, '')}${location.search}`);
+        return;
+      }
+
+      setRoute(data);
+      setLoading(false);
+    } catch (err) {
+      if (isStale()) return;
+      setError(err.message);
+      setLoading(false);
+      console.error('Failed to resolve URL:', err);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="url-resolver">
+        <div className="loading">
+          <div className="loading-spinner"></div>
+          <p>{t('common.loading')}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="url-resolver">
+        <div className="error">
+          <h3>{t('page.errorTitle')}</h3>
+          <p>{error}</p>
+          <button onClick={resolve} className="retry-button">
+            {t('common.tryAgain')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  switch (route?.type) {
+    case 'PRODUCT':
+      return <ProductDetailPage sku={route.sku} />;
+    case 'CATEGORY':
+      return <CategoryPage urlPath={route.url_path} />;
+    case 'CMS_PAGE':
+      return <CmsPage page={route} />;
+    default:
+      return <NotFound />;
+  }
+};
+
+export default UrlResolver;
@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import { getProductUrl } from '../utils/productUrl';
+import './Wishlist.css';
+
+// Types that can go to the cart without choosing options first
+const DIRECT_ADD_TYPES = ['SimpleProduct', 'VirtualProduct'];
+
+const Wishlist = () => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busySku, setBusySku] = useState(null);
+
+  useEffect(() => {
+    loadWishlist();
+
+    // Hearts elsewhere on the page and signing in or out change the list
+    window.addEventListener('wishlistChanged', loadWishlist);
+
+    return () => {
+      window.removeEventListener('wishlistChanged', loadWishlist);
+    };
+  }, []);
+
+  const loadWishlist = async () => {
+    try {
+      setError(null);
+      setItems(await magentoApi.getWishlistItems());
+    } catch (err) {
+      setError(err.message);
+      console.error('Error loading wishlist:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMoveToCart = async (item) => {
+    try {
+      setBusySku(item.sku);
+      setMessage(null);
+
+      // Same path as the product page, including the offline queue; it refreshes
+      // the cart cache and the minicart through cartUpdated
+      const preview = { name: item.name, image: item.image, price: item.price };
+      const result = await magentoApi.addToGuestCart(item.sku, 1, item.productType, [], null, preview);
+      await magentoApi.removeFromWishlist(item.sku);
+
+      setMessage({
+        type: 'success',
+        text: result?.queued ? t('product.queued', { name: item.name }) : t('wishlist.moved', { name: item.name }),
+      });
+    } catch (err) {
+      setMessage({ type: 'error', text: t('product.addFailed', { message: err.message }) });
+      console.error('Error moving wishlist item to cart:', err);
+    } finally {
+      setBusySku(null);
+    }
+  };
+
+  const handleRemove = async (item) => {
+    try {
+      setBusySku(item.sku);
+      setMessage(null);
+      await magentoApi.removeFromWishlist(item.sku);
+    } catch (err) {
+      setMessage({ type: 'error', text: t('wishlist.removeFailed', { message: err.message }) });
+      console.error('Error removing wishlist item:', err);
+    } finally {
+      setBusySku(null);
+    }
+  };
+
+  return (
+    <div className="wishlist">
+      <h1>{t('wishlist.title')}</h1>
+
+      {!magentoApi.isSignedIn() && items.length > 0 && (
+        <p className="wishlist-guest-note">
+          {t('wishlist.guestNote')} <Link to={{ pathname: '/sign-in', state: { from: '/wishlist' } }}>{t('wishlist.signIn')}</Link>
+        </p>
+      )}
+
+      {message && (
+        <div className={`wishlist-message ${message.type}`}>
+          {message.text}
+        </div>
+      )}
+
+      {error && (
+        <div className="wishlist-error">
+          <p>{error}</p>
+          <button onClick={loadWishlist} className="wishlist-retry">{t('common.tryAgain')}</button>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="wishlist-empty">{t('wishlist.loading')}</p>
+      ) : items.length === 0 ? (
+        !error && (
+          <div className="wishlist-empty">
+            <p>{t('wishlist.empty')}</p>
+            <Link to="/">{t('common.continueShopping')}</Link>
+          </div>
+        )
+      ) : (
+        <ul className="wishlist-items">
+          {items.map((item) => {
+            // Guest wishlists saved before SEO URLs have no url
+            const productUrl = item.url || getProductUrl(item);
+
+            return (
+              <li key={item.sku} className="wishlist-item">
+                <Link to={productUrl} className="wishlist-item-image">
+                  <img
+                    src={item.image || 'e-commerce.webp'}
+                    alt={item.name}
+                    onError={(e) => {
+                      e.target.src = 'e-commerce.webp';
+                    }}
+                  />
+                </Link>
+                <div className="wishlist-item-info">
+                  <Link to={productUrl} className="wishlist-item-name">{item.name}</Link>
+                  <p className="wishlist-item-sku">{t('common.sku', { sku: item.sku })}</p>
+                  {item.price && (
+                    <p className="wishlist-item-price">
+                      {magentoApi.formatPrice(item.price.value, item.price.currency)}
+                    </p>
+                  )}
+                </div>
+                <div className="wishlist-item-actions">
+                  {DIRECT_ADD_TYPES.includes(item.productType) ? (
+                    <button
+                      onClick={() => handleMoveToCart(item)}
+                      disabled={busySku === item.sku}
+                      className="wishlist-move-button"
+                    >
+                      {busySku === item.sku ? t('product.adding') : t('wishlist.moveToCart')}
+                    </button>
+                  ) : (
+                    <Link to={productUrl} className="wishlist-move-button">
+                      {t('wishlist.chooseOptions')}
+                    </Link>
+                  )}
+                  <button
+                    onClick={() => handleRemove(item)}
+                    disabled={busySku === item.sku}
+                    className="wishlist-remove-button"
+                  >
+                    {t('common.remove')}
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default Wishlist;
@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './WishlistButton.css';
+
+/**
+ * Heart toggle that saves a product to, or removes it from, the wishlist
+ * `product` is the summary stored on the wishlist: sku, name, productType,
+ * url, image and price.
+ */
+const WishlistButton = ({ product, className = '' }) => {
+  const [saved, setSaved] = useState(false);
+  const [updating, setUpdating] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSaved = async () => {
+      try {
+        const items = await magentoApi.getWishlistItems();
+        if (!cancelled) {
+          setSaved(items.some(item => item.sku === product.sku));
+        }
+      } catch (error) {
+        // Show the heart as empty; toggling it tries the wishlist again
+      }
+    };
+
+    loadSaved();
+    window.addEventListener('wishlistChanged', loadSaved);
+
+    return () => {
+      cancelled = true;
+      window.removeEventListener('wishlistChanged', loadSaved);
+    };
+  }, [product.sku]);
+
+  const handleClick = async (e) => {
+    // Product cards navigate to the product page when clicked
+    e.stopPropagation();
+
+    try {
+      setUpdating(true);
+      if (saved) {
+        await magentoApi.removeFromWishlist(product.sku);
+      } else {
+        await magentoApi.addToWishlist(product);
+      }
+      setSaved(!saved);
+    } catch (error) {
+      console.error('Error updating wishlist:', error);
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const label = saved ? t('wishlist.remove', { name: product.name }) : t('wishlist.add', { name: product.name });
+
+  return (
+    <button
+      type="button"
+      className={`wishlist-button ${saved ? 'saved' : ''} ${className}`.trim()}
+      onClick={handleClick}
+      disabled={updating}
+      aria-pressed={saved}
+      aria-label={label}
+      title={label}
+    >
+      {saved ? '♥' : '♡'}
+    </button>
+  );
+};
+
+export default WishlistButton;
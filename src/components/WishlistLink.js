@@ -0,0 +1,36 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import magentoApi from '../services/magentoApi';
+import { t } from '../i18n';
+import './WishlistLink.css';
+
+const WishlistLink = () => {
+  const [count, setCount] = useState(0);
+
+  useEffect(() => {
+    const loadCount = async () => {
+      try {
+        const items = await magentoApi.getWishlistItems();
+        setCount(items.length);
+      } catch (error) {
+        setCount(0);
+      }
+    };
+
+    loadCount();
+    window.addEventListener('wishlistChanged', loadCount);
+
+    return () => {
+      window.removeEventListener('wishlistChanged', loadCount);
+    };
+  }, []);
+
+  return (
+    <Link to="/wishlist" className="wishlist-link" aria-label={t('wishlist.linkLabel', { count })}>
+      ♡ {t('wishlist.link')}
+      {count > 0 && <span className="wishlist-link-badge">{count}</span>}
+    </Link>
+  );
+};
+
+export default WishlistLink;
@@ -0,0 +1,83 @@
+/**
+ * Translation layer
+ * UI strings live in one message catalogue per locale under ./messages.
+ * The locale follows the store view's `locale` config (set in index.js);
+ * keys missing from a catalogue fall back to en-US.
+ */
+
+import enUS from './messages/en-US';
+import frFR from './messages/fr-FR';
+
+const DEFAULT_LOCALE = 'en-US';
+
+const CATALOGUES = {
+  'en-US': enUS,
+  'fr-FR': frFR,
+};
+
+let currentLocale = DEFAULT_LOCALE;
+let messages = enUS;
+
+// Look up a dotted key such as 'cart.title'
+const lookup = (catalogue, key) =>
+  key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalogue);
+
+/**
+ * Switch the active locale
+ * A locale without its own catalogue uses one for the same language
+ * (e.g. fr-CA uses fr-FR), otherwise en-US.
+ * @param {string} locale - BCP 47 locale, e.g. fr-FR
+ */
+export const setLocale = (locale) => {
+  const language = locale.split('-')[0];
+  const catalogueLocale = CATALOGUES[locale]
+    ? locale
+    : Object.keys(CATALOGUES).find(code => code.split('-')[0] === language);
+
+  currentLocale = locale;
+  messages = CATALOGUES[catalogueLocale] || CATALOGUES[DEFAULT_LOCALE];
+};
+
+/**
+ * Get the active locale
+ * @returns {string} BCP 47 locale
+ */
+export const getLocale = () => currentLocale;
+
+/**
+ * Translate a message
+ * `{name}` placeholders are filled from params, with numbers formatted for
+ * the locale. Plural messages are objects keyed by Intl.PluralRules category
+ * (one, few, other...) or exact count (=0), chosen by params.count.
+ * @param {string} key - Dotted message key
+ * @param {Object} params - Placeholder values
+ * @returns {string} Translated message, or the key if it is missing
+ */
+export const t = (key, params = {}) => {
+  let message = lookup(messages, key);
+  if (message === undefined) {
+    message = lookup(CATALOGUES[DEFAULT_LOCALE], key);
+  }
+  if (message === undefined) {
+    console.warn(`Missing translation: ${key}`);
+    return key;
+  }
+
+  if (typeof message === 'object') {
+    const count = params.count ?? 0;
+    const category = new Intl.PluralRules(currentLocale).select(count);
+    message = message[`=${count}`] ?? message[category] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) {
+      return placeholder;
+    }
+    return typeof value === 'number'
+      ? new Intl.NumberFormat(currentLocale).format(value)
+      : String(value);
+  });
+};
+
+export default t;
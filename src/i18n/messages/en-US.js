@@ -0,0 +1,453 @@
+/**
+ * English (United States) messages
+ * The reference catalogue: every key used by the app must exist here.
+ */
+const messages = {
+  common: {
+    loading: 'Loading...',
+    retry: 'Retry',
+    tryAgain: 'Try Again',
+    refresh: 'Refresh',
+    remove: 'Remove',
+    removeItem: 'Remove {name}',
+    increaseQuantity: 'Increase quantity',
+    decreaseQuantity: 'Decrease quantity',
+    processing: 'Processing...',
+    sku: 'SKU: {sku}',
+    quantity: 'Qty: {quantity}',
+    quantityLabel: 'Qty:',
+    noImage: 'No Image',
+    backToCart: 'Back to Cart',
+    continueShopping: 'Continue Shopping',
+    cancel: 'Cancel',
+    dismiss: 'Dismiss',
+    home: 'Home',
+    breadcrumb: 'Breadcrumb',
+  },
+
+  header: {
+    title: 'Magento 2 Product Catalog',
+    subtitle: 'Browse products from your Magento 2 store',
+    store: 'Store',
+    currency: 'Currency',
+    categories: 'Categories',
+  },
+
+  search: {
+    placeholder: 'Search products...',
+    label: 'Search products',
+    searching: 'Searching...',
+    noResults: 'No products found',
+    viewAll: {
+      one: 'View {count} result',
+      other: 'View all {count} results',
+    },
+  },
+
+  category: {
+    loading: 'Loading category...',
+    errorTitle: 'Error Loading Category',
+  },
+
+  page: {
+    errorTitle: 'Error Loading Page',
+    notFoundTitle: 'Page Not Found',
+    notFoundMessage: 'Sorry, the page you are looking for does not exist or has been moved.',
+  },
+
+  offline: {
+    message: 'You are offline. Products and lists you have already viewed are still available; prices and stock may be out of date.',
+  },
+
+  productList: {
+    title: 'Products from Magento 2',
+    searchTitle: 'Search results for "{search}"',
+    loading: 'Loading products from Magento...',
+    errorTitle: 'Error Loading Products',
+    networkError: 'Unable to reach the store. Please check your connection and try again.',
+    emptyTitle: 'No Products Found',
+    emptyFiltered: 'No products match the selected filters.',
+    emptySearch: 'No products match "{search}".',
+    emptyCategory: 'No products are currently available in this category.',
+    emptyCatalog: 'No products are currently available in the catalog.',
+    clearFilters: 'Clear Filters',
+    count: {
+      one: 'Showing {shown} of {count} product',
+      other: 'Showing {shown} of {count} products',
+    },
+    sortBy: 'Sort by:',
+    sort: {
+      relevance: 'Relevance',
+      position: 'Recommended',
+      name_asc: 'Name: A to Z',
+      name_desc: 'Name: Z to A',
+      price_asc: 'Price: Low to High',
+      price_desc: 'Price: High to Low',
+    },
+    priceUnavailable: 'Price not available',
+    typeConfigurable: 'Configurable',
+    typeSimple: 'Simple',
+    available: 'Available',
+    unavailable: 'Unavailable',
+    previous: 'Previous',
+    next: 'Next',
+    pageInfo: 'Page {page} of {pages}',
+  },
+
+  layeredNavigation: {
+    title: 'Filter By',
+    clearAll: 'Clear All',
+    removeFilter: 'Remove filter {label}',
+  },
+
+  product: {
+    loading: 'Loading product details...',
+    errorTitle: 'Error Loading Product',
+    notFound: 'Product Not Found',
+    backToProducts: 'Back to Products',
+    save: 'Save {amount}',
+    inStock: '✓ In Stock',
+    outOfStock: '✗ Out of Stock',
+    options: 'Product Options',
+    selectPlaceholder: 'Please select...',
+    quantity: 'Quantity:',
+    adding: 'Adding...',
+    selectOptions: 'Select Options',
+    unavailableOption: '{label} (unavailable)',
+    addToCart: 'Add to Cart',
+    outOfStockMessage: 'This product is currently out of stock.',
+    fileUploadRequired: 'This product needs a file upload and cannot be ordered online. Please contact us to order it.',
+    description: 'Product Description',
+    missingOptions: 'Please select all options: {options}',
+    selectAllOptions: 'Please select all product options',
+    added: '{name} has been added to your cart!',
+    queued: "You're offline. {name} will be added to your cart when you reconnect.",
+    addFailed: 'Failed to add to cart: {message}',
+  },
+
+  gallery: {
+    label: 'Image gallery',
+    previous: 'Previous image',
+    next: 'Next image',
+    show: 'Show image {index} of {count}',
+    close: 'Close',
+  },
+
+  customOptions: {
+    title: 'Personalize',
+    charactersLeft: {
+      one: '{count} character left',
+      other: '{count} characters left',
+    },
+    fileUnsupported: 'File uploads are not available online. Contact us after ordering to send your file.',
+    fileRequired: 'This option needs a file, which cannot be uploaded online.',
+  },
+
+  bundle: {
+    title: 'Customize Bundle',
+    none: 'None',
+    times: '× {qty}',
+  },
+
+  grouped: {
+    product: 'Product',
+    price: 'Price',
+    quantity: 'Qty',
+    quantityFor: 'Quantity for {name}',
+  },
+
+  downloadable: {
+    links: 'Downloads',
+    sample: 'Sample',
+    samples: 'Samples',
+  },
+
+  cart: {
+    title: 'Shopping Cart',
+    loading: 'Loading cart...',
+    loadError: 'Error loading cart: {message}',
+    refreshTitle: 'Refresh cart',
+    empty: 'Your cart is empty',
+    items: 'Items:',
+    totalQuantity: 'Total Quantity:',
+    proceedToCheckout: 'Proceed to Checkout',
+  },
+
+  minicart: {
+    trigger: 'Cart',
+    label: 'Shopping cart',
+    close: 'Close cart',
+    itemCount: {
+      '=0': 'No items',
+      one: '{count} item',
+      other: '{count} items',
+    },
+    subtotal: 'Subtotal:',
+    viewCart: 'View Cart',
+    checkout: 'Checkout',
+    pending: 'Waiting for connection',
+  },
+
+  checkout: {
+    title: 'Checkout',
+    loading: 'Loading checkout...',
+    emptyCart: 'Your cart is empty. Please add items before checkout.',
+    invalidEmail: 'Please enter a valid email address',
+    missingShippingFields: 'Please fill in all shipping address fields',
+    missingBillingFields: 'Please fill in all billing address fields',
+    cartNotFound: 'Cart ID not found',
+    noShippingMethods: 'No shipping methods are available for this address',
+    selectShippingMethod: 'Please select a shipping method',
+    noPaymentMethods: 'No payment methods are available for this cart',
+    selectPaymentMethod: 'Please select a payment method',
+    saved: '✓ Checkout information saved successfully!',
+    contactInformation: 'Contact Information',
+    email: 'Email Address *',
+    shippingAddress: 'Shipping Address',
+    billingAddress: 'Billing Address',
+    sameAsShipping: 'Same as shipping address',
+    firstName: 'First Name *',
+    lastName: 'Last Name *',
+    street: 'Street Address *',
+    city: 'City *',
+    region: 'State/Province',
+    regionRequired: 'State/Province *',
+    selectRegion: 'Please select a region',
+    postcode: 'Zip/Postal Code *',
+    country: 'Country *',
+    selectCountry: 'Please select a country',
+    telephone: 'Phone Number *',
+    continueToShipping: 'Continue to Shipping',
+    editInformation: 'Edit Information',
+    shippingMethod: 'Shipping Method',
+    continueToPayment: 'Continue to Payment',
+    paymentMethod: 'Payment Method',
+    changeShipping: 'Change Shipping',
+    placingOrder: 'Placing Order...',
+    placeOrder: 'Place Order',
+    orderSummary: 'Order Summary',
+  },
+
+  cartNotice: {
+    lost: 'Your previous cart is no longer available, so we started a new one. Any items you had may need to be added again.',
+    syncTitle: 'Some changes you made while offline could not be applied to your cart:',
+    syncFailed: '{change} failed: {message}',
+    adding: 'Adding {name}',
+    updating: 'Updating item quantities',
+    removing: 'Removing an item',
+    otherChange: 'A cart change',
+    mergeFailed: "The items you added before signing in couldn't be moved to your account cart. They are still in your guest cart and will be merged the next time you sign in.",
+  },
+
+  account: {
+    greeting: 'Hi, {name}',
+    signIn: 'Sign In',
+    createAccount: 'Create Account',
+    signOut: 'Sign Out',
+    signingOut: 'Signing Out...',
+  },
+
+  signIn: {
+    title: 'Sign In',
+    sessionExpired: 'Your session has expired. Please sign in again.',
+    email: 'Email Address *',
+    password: 'Password *',
+    missingFields: 'Please enter your email and password',
+    submit: 'Sign In',
+    submitting: 'Signing In...',
+    newCustomer: 'New customer?',
+    createAccount: 'Create an account',
+  },
+
+  createAccount: {
+    title: 'Create an Account',
+    firstname: 'First Name *',
+    lastname: 'Last Name *',
+    email: 'Email Address *',
+    password: 'Password *',
+    confirmPassword: 'Confirm Password *',
+    newsletter: 'Sign up for our newsletter',
+    missingFields: 'Please fill in all required fields',
+    passwordMismatch: 'Passwords do not match',
+    submit: 'Create Account',
+    submitting: 'Creating Account...',
+    haveAccount: 'Already have an account?',
+    signIn: 'Sign in',
+  },
+
+  orderConfirmation: {
+    title: 'Thank you for your order!',
+    number: 'Your order number is',
+    email: 'A confirmation email will be sent to {email}.',
+  },
+
+  addressBook: {
+    link: 'Addresses',
+    title: 'Address Book',
+    loading: 'Loading addresses...',
+    empty: "You haven't saved any addresses yet.",
+    add: 'Add Address',
+    addTitle: 'New Address',
+    editTitle: 'Edit Address',
+    edit: 'Edit',
+    save: 'Save Address',
+    missingFields: 'Please fill in all required address fields',
+    confirmDelete: 'Delete this address?',
+    defaultShipping: 'Default shipping',
+    defaultBilling: 'Default billing',
+    setDefaultShipping: 'Set as default shipping',
+    setDefaultBilling: 'Set as default billing',
+    useAsDefaultShipping: 'Use as my default shipping address',
+    useAsDefaultBilling: 'Use as my default billing address',
+    useNewAddress: '+ Use a new address',
+    saveAddress: 'Save this address to my address book',
+  },
+
+  orders: {
+    link: 'Orders',
+    title: 'My Orders',
+    loading: 'Loading orders...',
+    loadingOrder: 'Loading order...',
+    empty: "You haven't placed any orders yet.",
+    number: 'Order #',
+    date: 'Date',
+    status: 'Status',
+    total: 'Order Total',
+    view: 'View',
+    viewOrder: 'View your order',
+    pagination: 'Order pages',
+    previous: 'Previous',
+    next: 'Next',
+    pageInfo: 'Page {page} of {pages}',
+    notFound: 'Order #{number} was not found.',
+    backToOrders: 'Back to My Orders',
+    orderNumber: 'Order #{number}',
+    placedOn: 'Placed on {date}',
+    reorder: 'Reorder',
+    reordering: 'Adding to cart...',
+    reorderPartial: 'Some items could not be added to your cart:',
+    items: 'Items Ordered',
+    product: 'Product',
+    price: 'Price',
+    ordered: 'Ordered',
+    shipped: 'Shipped',
+    shippingTotal: 'Shipping & Handling',
+    shipments: 'Shipments',
+    shipmentNumber: 'Shipment #{number}',
+    invoices: 'Invoices',
+    invoiceNumber: 'Invoice #{number}',
+  },
+
+  reviews: {
+    title: 'Customer Reviews',
+    count: {
+      one: '{count} review',
+      other: '{count} reviews',
+    },
+    starsLabel: '{stars} out of 5 stars',
+    beFirst: 'Be the first to review this product',
+    loading: 'Loading reviews...',
+    empty: 'There are no reviews yet.',
+    byline: 'By {nickname} on {date}',
+    pagination: 'Review pages',
+    previous: 'Previous',
+    next: 'Next',
+    pageInfo: 'Page {page} of {pages}',
+    write: 'Write a Review',
+    formTitle: 'Write Your Review',
+    nickname: 'Nickname',
+    summary: 'Summary',
+    text: 'Review',
+    required: 'This field is required',
+    ratingRequired: 'Please select a rating for {name}',
+    submit: 'Submit Review',
+    submitting: 'Submitting...',
+    submitted: 'Thank you for your review! It will appear once it has been approved.',
+    submitFailed: 'Failed to submit your review: {message}',
+  },
+
+  carousel: {
+    previous: 'Scroll back',
+    next: 'Scroll forward',
+    upsells: 'You May Also Like',
+    related: 'Related Products',
+    crossSells: 'Frequently Bought Together',
+  },
+
+  productCard: {
+    added: 'Added to cart',
+    queued: "You're offline. It will be added when you reconnect.",
+  },
+
+  wishlist: {
+    link: 'Wishlist',
+    linkLabel: {
+      '=0': 'Wishlist, empty',
+      one: 'Wishlist, {count} item',
+      other: 'Wishlist, {count} items',
+    },
+    title: 'My Wishlist',
+    loading: 'Loading wishlist...',
+    empty: 'Your wishlist is empty.',
+    add: 'Add {name} to wishlist',
+    remove: 'Remove {name} from wishlist',
+    guestNote: 'Your wishlist is saved on this device.',
+    signIn: 'Sign in to keep it in your account.',
+    moveToCart: 'Move to Cart',
+    chooseOptions: 'Choose Options',
+    moved: '{name} was moved to your cart',
+    removeFailed: 'Failed to remove from wishlist: {message}',
+  },
+
+  priceSummary: {
+    subtotal: 'Subtotal',
+    discount: 'Discount',
+    shipping: 'Shipping ({carrier})',
+    tax: 'Tax',
+    grandTotal: 'Grand Total',
+    chargedIn: 'Your order will be charged in {currency}: {amount}. Prices in other currencies are estimates.',
+  },
+
+  shippingEstimator: {
+    title: 'Estimate Shipping and Tax',
+    country: 'Country',
+    selectCountry: 'Please select a country',
+    region: 'State/Province',
+    selectRegion: 'Please select a region',
+    postcode: 'Zip/Postal Code',
+    estimate: 'Estimate',
+    estimating: 'Estimating...',
+    noMethods: 'No shipping methods are available for this destination.',
+  },
+
+  coupon: {
+    title: 'Discount Code',
+    placeholder: 'Enter discount code',
+    apply: 'Apply',
+    applying: 'Applying...',
+  },
+
+  giftCard: {
+    title: 'Gift Cards',
+    placeholder: 'Enter gift card code',
+  },
+
+  errors: {
+    network: 'Network error: {message}',
+    http: 'HTTP error! status: {status}',
+    invalidResponse: 'Invalid JSON response from Magento',
+    unknownGraphQL: 'Unknown GraphQL error',
+    categoryNotFound: 'Category not found',
+    productNotFound: 'Product not found',
+    noExchangeRate: 'No exchange rate for {currency}',
+    cartNotCreated: 'Failed to create empty cart: No cart ID returned',
+    parentSkuRequired: 'Parent SKU is required for configurable products',
+    unknownCartMutation: 'Unknown cart mutation: {type}',
+    noOrderNumber: 'No order number returned',
+    noCustomerToken: 'No customer token returned',
+    noCustomerCartId: 'No customer cart ID returned',
+    noWishlist: 'No wishlist returned',
+  },
+};
+
+export default messages;
@@ -0,0 +1,452 @@
+/**
+ * French (France) messages
+ */
+const messages = {
+  common: {
+    loading: 'Chargement...',
+    retry: 'Réessayer',
+    tryAgain: 'Réessayer',
+    refresh: 'Actualiser',
+    remove: 'Supprimer',
+    removeItem: 'Supprimer {name}',
+    increaseQuantity: 'Augmenter la quantité',
+    decreaseQuantity: 'Diminuer la quantité',
+    processing: 'Traitement...',
+    sku: 'Réf. : {sku}',
+    quantity: 'Qté : {quantity}',
+    quantityLabel: 'Qté :',
+    noImage: "Pas d'image",
+    backToCart: 'Retour au panier',
+    continueShopping: 'Continuer mes achats',
+    cancel: 'Annuler',
+    dismiss: 'Fermer',
+    home: 'Accueil',
+    breadcrumb: "Fil d'Ariane",
+  },
+
+  header: {
+    title: 'Catalogue produits Magento 2',
+    subtitle: 'Parcourez les produits de votre boutique Magento 2',
+    store: 'Boutique',
+    currency: 'Devise',
+    categories: 'Catégories',
+  },
+
+  search: {
+    placeholder: 'Rechercher des produits...',
+    label: 'Rechercher des produits',
+    searching: 'Recherche...',
+    noResults: 'Aucun produit trouvé',
+    viewAll: {
+      one: 'Voir {count} résultat',
+      other: 'Voir les {count} résultats',
+    },
+  },
+
+  category: {
+    loading: 'Chargement de la catégorie...',
+    errorTitle: 'Erreur lors du chargement de la catégorie',
+  },
+
+  page: {
+    errorTitle: 'Erreur lors du chargement de la page',
+    notFoundTitle: 'Page introuvable',
+    notFoundMessage: "Désolé, la page que vous recherchez n'existe pas ou a été déplacée.",
+  },
+
+  offline: {
+    message: 'Vous êtes hors ligne. Les produits et listes déjà consultés restent disponibles ; les prix et les stocks peuvent ne pas être à jour.',
+  },
+
+  productList: {
+    title: 'Produits Magento 2',
+    searchTitle: 'Résultats de recherche pour « {search} »',
+    loading: 'Chargement des produits...',
+    errorTitle: 'Erreur lors du chargement des produits',
+    networkError: 'Impossible de joindre la boutique. Vérifiez votre connexion et réessayez.',
+    emptyTitle: 'Aucun produit trouvé',
+    emptyFiltered: 'Aucun produit ne correspond aux filtres sélectionnés.',
+    emptySearch: 'Aucun produit ne correspond à « {search} ».',
+    emptyCategory: "Aucun produit n'est disponible dans cette catégorie pour le moment.",
+    emptyCatalog: "Aucun produit n'est disponible dans le catalogue pour le moment.",
+    clearFilters: 'Effacer les filtres',
+    count: {
+      one: '{shown} produit affiché sur {count}',
+      other: '{shown} produits affichés sur {count}',
+    },
+    sortBy: 'Trier par :',
+    sort: {
+      relevance: 'Pertinence',
+      position: 'Recommandés',
+      name_asc: 'Nom : de A à Z',
+      name_desc: 'Nom : de Z à A',
+      price_asc: 'Prix : croissant',
+      price_desc: 'Prix : décroissant',
+    },
+    priceUnavailable: 'Prix non disponible',
+    typeConfigurable: 'Configurable',
+    typeSimple: 'Simple',
+    available: 'Disponible',
+    unavailable: 'Indisponible',
+    previous: 'Précédent',
+    next: 'Suivant',
+    pageInfo: 'Page {page} sur {pages}',
+  },
+
+  layeredNavigation: {
+    title: 'Filtrer par',
+    clearAll: 'Tout effacer',
+    removeFilter: 'Retirer le filtre {label}',
+  },
+
+  product: {
+    loading: 'Chargement du produit...',
+    errorTitle: 'Erreur lors du chargement du produit',
+    notFound: 'Produit introuvable',
+    backToProducts: 'Retour aux produits',
+    save: 'Économisez {amount}',
+    inStock: '✓ En stock',
+    outOfStock: '✗ En rupture de stock',
+    options: 'Options du produit',
+    selectPlaceholder: 'Veuillez choisir...',
+    quantity: 'Quantité :',
+    adding: 'Ajout...',
+    selectOptions: 'Choisir les options',
+    unavailableOption: '{label} (indisponible)',
+    addToCart: 'Ajouter au panier',
+    outOfStockMessage: 'Ce produit est actuellement en rupture de stock.',
+    fileUploadRequired: "Ce produit nécessite l'envoi d'un fichier et ne peut pas être commandé en ligne. Contactez-nous pour le commander.",
+    description: 'Description du produit',
+    missingOptions: 'Veuillez choisir toutes les options : {options}',
+    selectAllOptions: 'Veuillez choisir toutes les options du produit',
+    added: '{name} a été ajouté à votre panier !',
+    queued: 'Vous êtes hors ligne. {name} sera ajouté à votre panier dès votre reconnexion.',
+    addFailed: "Échec de l'ajout au panier : {message}",
+  },
+
+  gallery: {
+    label: "Galerie d'images",
+    previous: 'Image précédente',
+    next: 'Image suivante',
+    show: "Afficher l'image {index} sur {count}",
+    close: 'Fermer',
+  },
+
+  customOptions: {
+    title: 'Personnaliser',
+    charactersLeft: {
+      one: '{count} caractère restant',
+      other: '{count} caractères restants',
+    },
+    fileUnsupported: "L'envoi de fichiers n'est pas disponible en ligne. Contactez-nous après votre commande pour nous transmettre votre fichier.",
+    fileRequired: 'Cette option nécessite un fichier, qui ne peut pas être envoyé en ligne.',
+  },
+
+  bundle: {
+    title: 'Personnaliser le lot',
+    none: 'Aucun',
+    times: '× {qty}',
+  },
+
+  grouped: {
+    product: 'Produit',
+    price: 'Prix',
+    quantity: 'Qté',
+    quantityFor: 'Quantité pour {name}',
+  },
+
+  downloadable: {
+    links: 'Téléchargements',
+    sample: 'Extrait',
+    samples: 'Extraits',
+  },
+
+  cart: {
+    title: 'Panier',
+    loading: 'Chargement du panier...',
+    loadError: 'Erreur lors du chargement du panier : {message}',
+    refreshTitle: 'Actualiser le panier',
+    empty: 'Votre panier est vide',
+    items: 'Articles :',
+    totalQuantity: 'Quantité totale :',
+    proceedToCheckout: 'Passer la commande',
+  },
+
+  minicart: {
+    trigger: 'Panier',
+    label: 'Panier',
+    close: 'Fermer le panier',
+    itemCount: {
+      '=0': 'Aucun article',
+      one: '{count} article',
+      other: '{count} articles',
+    },
+    subtotal: 'Sous-total :',
+    viewCart: 'Voir le panier',
+    checkout: 'Commander',
+    pending: 'En attente de connexion',
+  },
+
+  checkout: {
+    title: 'Commande',
+    loading: 'Chargement de la commande...',
+    emptyCart: 'Votre panier est vide. Ajoutez des articles avant de commander.',
+    invalidEmail: 'Veuillez saisir une adresse e-mail valide',
+    missingShippingFields: "Veuillez remplir tous les champs de l'adresse de livraison",
+    missingBillingFields: "Veuillez remplir tous les champs de l'adresse de facturation",
+    cartNotFound: 'Identifiant de panier introuvable',
+    noShippingMethods: "Aucun mode de livraison n'est disponible pour cette adresse",
+    selectShippingMethod: 'Veuillez choisir un mode de livraison',
+    noPaymentMethods: "Aucun moyen de paiement n'est disponible pour ce panier",
+    selectPaymentMethod: 'Veuillez choisir un moyen de paiement',
+    saved: '✓ Informations de commande enregistrées !',
+    contactInformation: 'Coordonnées',
+    email: 'Adresse e-mail *',
+    shippingAddress: 'Adresse de livraison',
+    billingAddress: 'Adresse de facturation',
+    sameAsShipping: "Identique à l'adresse de livraison",
+    firstName: 'Prénom *',
+    lastName: 'Nom *',
+    street: 'Adresse *',
+    city: 'Ville *',
+    region: 'État/Région',
+    regionRequired: 'État/Région *',
+    selectRegion: 'Veuillez choisir une région',
+    postcode: 'Code postal *',
+    country: 'Pays *',
+    selectCountry: 'Veuillez choisir un pays',
+    telephone: 'Téléphone *',
+    continueToShipping: 'Continuer vers la livraison',
+    editInformation: 'Modifier les informations',
+    shippingMethod: 'Mode de livraison',
+    continueToPayment: 'Continuer vers le paiement',
+    paymentMethod: 'Moyen de paiement',
+    changeShipping: 'Modifier la livraison',
+    placingOrder: 'Validation de la commande...',
+    placeOrder: 'Valider la commande',
+    orderSummary: 'Récapitulatif de la commande',
+  },
+
+  cartNotice: {
+    lost: "Votre panier précédent n'est plus disponible, nous en avons créé un nouveau. Vous devrez peut-être ajouter à nouveau vos articles.",
+    syncTitle: "Certaines modifications faites hors ligne n'ont pas pu être appliquées à votre panier :",
+    syncFailed: '{change} : échec ({message})',
+    adding: 'Ajout de {name}',
+    updating: 'Mise à jour des quantités',
+    removing: "Suppression d'un article",
+    otherChange: 'Une modification du panier',
+    mergeFailed: "Les articles ajoutés avant votre connexion n'ont pas pu être transférés dans le panier de votre compte. Ils restent dans votre panier invité et seront fusionnés lors de votre prochaine connexion.",
+  },
+
+  account: {
+    greeting: 'Bonjour, {name}',
+    signIn: 'Se connecter',
+    createAccount: 'Créer un compte',
+    signOut: 'Se déconnecter',
+    signingOut: 'Déconnexion...',
+  },
+
+  signIn: {
+    title: 'Connexion',
+    sessionExpired: 'Votre session a expiré. Veuillez vous reconnecter.',
+    email: 'Adresse e-mail *',
+    password: 'Mot de passe *',
+    missingFields: 'Veuillez saisir votre e-mail et votre mot de passe',
+    submit: 'Se connecter',
+    submitting: 'Connexion...',
+    newCustomer: 'Nouveau client ?',
+    createAccount: 'Créer un compte',
+  },
+
+  createAccount: {
+    title: 'Créer un compte',
+    firstname: 'Prénom *',
+    lastname: 'Nom *',
+    email: 'Adresse e-mail *',
+    password: 'Mot de passe *',
+    confirmPassword: 'Confirmer le mot de passe *',
+    newsletter: "S'inscrire à la newsletter",
+    missingFields: 'Veuillez remplir tous les champs obligatoires',
+    passwordMismatch: 'Les mots de passe ne correspondent pas',
+    submit: 'Créer mon compte',
+    submitting: 'Création du compte...',
+    haveAccount: 'Vous avez déjà un compte ?',
+    signIn: 'Se connecter',
+  },
+
+  orderConfirmation: {
+    title: 'Merci pour votre commande !',
+    number: 'Votre numéro de commande est',
+    email: 'Un e-mail de confirmation sera envoyé à {email}.',
+  },
+
+  addressBook: {
+    link: 'Adresses',
+    title: "Carnet d'adresses",
+    loading: 'Chargement des adresses...',
+    empty: "Vous n'avez encore enregistré aucune adresse.",
+    add: 'Ajouter une adresse',
+    addTitle: 'Nouvelle adresse',
+    editTitle: "Modifier l'adresse",
+    edit: 'Modifier',
+    save: "Enregistrer l'adresse",
+    missingFields: "Veuillez remplir tous les champs obligatoires de l'adresse",
+    confirmDelete: 'Supprimer cette adresse ?',
+    defaultShipping: 'Livraison par défaut',
+    defaultBilling: 'Facturation par défaut',
+    setDefaultShipping: 'Définir comme livraison par défaut',
+    setDefaultBilling: 'Définir comme facturation par défaut',
+    useAsDefaultShipping: 'Utiliser comme adresse de livraison par défaut',
+    useAsDefaultBilling: 'Utiliser comme adresse de facturation par défaut',
+    useNewAddress: '+ Utiliser une nouvelle adresse',
+    saveAddress: "Enregistrer cette adresse dans mon carnet d'adresses",
+  },
+
+  orders: {
+    link: 'Commandes',
+    title: 'Mes commandes',
+    loading: 'Chargement des commandes...',
+    loadingOrder: 'Chargement de la commande...',
+    empty: "Vous n'avez encore passé aucune commande.",
+    number: 'Commande n°',
+    date: 'Date',
+    status: 'Statut',
+    total: 'Total de la commande',
+    view: 'Voir',
+    viewOrder: 'Voir votre commande',
+    pagination: 'Pages de commandes',
+    previous: 'Précédent',
+    next: 'Suivant',
+    pageInfo: 'Page {page} sur {pages}',
+    notFound: 'La commande n°{number} est introuvable.',
+    backToOrders: 'Retour à mes commandes',
+    orderNumber: 'Commande n°{number}',
+    placedOn: 'Passée le {date}',
+    reorder: 'Commander à nouveau',
+    reordering: 'Ajout au panier...',
+    reorderPartial: "Certains articles n'ont pas pu être ajoutés à votre panier :",
+    items: 'Articles commandés',
+    product: 'Produit',
+    price: 'Prix',
+    ordered: 'Commandé',
+    shipped: 'Expédié',
+    shippingTotal: 'Frais de livraison',
+    shipments: 'Expéditions',
+    shipmentNumber: 'Expédition n°{number}',
+    invoices: 'Factures',
+    invoiceNumber: 'Facture n°{number}',
+  },
+
+  reviews: {
+    title: 'Avis clients',
+    count: {
+      one: '{count} avis',
+      other: '{count} avis',
+    },
+    starsLabel: '{stars} étoiles sur 5',
+    beFirst: 'Soyez le premier à donner votre avis',
+    loading: 'Chargement des avis...',
+    empty: "Il n'y a pas encore d'avis.",
+    byline: 'Par {nickname} le {date}',
+    pagination: "Pages d'avis",
+    previous: 'Précédent',
+    next: 'Suivant',
+    pageInfo: 'Page {page} sur {pages}',
+    write: 'Donner mon avis',
+    formTitle: 'Votre avis',
+    nickname: 'Pseudo',
+    summary: 'Titre',
+    text: 'Avis',
+    required: 'Ce champ est obligatoire',
+    ratingRequired: 'Veuillez choisir une note pour {name}',
+    submit: "Envoyer l'avis",
+    submitting: 'Envoi...',
+    submitted: 'Merci pour votre avis ! Il sera publié après validation.',
+    submitFailed: "Impossible d'envoyer votre avis : {message}",
+  },
+
+  carousel: {
+    previous: 'Défiler vers la gauche',
+    next: 'Défiler vers la droite',
+    upsells: 'Vous aimerez aussi',
+    related: 'Produits associés',
+    crossSells: 'Souvent achetés ensemble',
+  },
+
+  productCard: {
+    added: 'Ajouté au panier',
+    queued: 'Vous êtes hors ligne. Il sera ajouté dès votre reconnexion.',
+  },
+
+  wishlist: {
+    link: 'Favoris',
+    linkLabel: {
+      '=0': 'Favoris, vide',
+      one: 'Favoris, {count} article',
+      other: 'Favoris, {count} articles',
+    },
+    title: 'Mes favoris',
+    loading: 'Chargement des favoris...',
+    empty: 'Votre liste de favoris est vide.',
+    add: 'Ajouter {name} aux favoris',
+    remove: 'Retirer {name} des favoris',
+    guestNote: 'Vos favoris sont enregistrés sur cet appareil.',
+    signIn: 'Connectez-vous pour les conserver dans votre compte.',
+    moveToCart: 'Déplacer dans le panier',
+    chooseOptions: 'Choisir les options',
+    moved: '{name} a été déplacé dans votre panier',
+    removeFailed: 'Impossible de retirer des favoris : {message}',
+  },
+
+  priceSummary: {
+    subtotal: 'Sous-total',
+    discount: 'Remise',
+    shipping: 'Livraison ({carrier})',
+    tax: 'Taxe',
+    grandTotal: 'Total général',
+    chargedIn: 'Votre commande sera débitée en {currency} : {amount}. Les prix dans les autres devises sont indicatifs.',
+  },
+
+  shippingEstimator: {
+    title: 'Estimer la livraison et les taxes',
+    country: 'Pays',
+    selectCountry: 'Veuillez choisir un pays',
+    region: 'État/Région',
+    selectRegion: 'Veuillez choisir une région',
+    postcode: 'Code postal',
+    estimate: 'Estimer',
+    estimating: 'Estimation...',
+    noMethods: "Aucun mode de livraison n'est disponible pour cette destination.",
+  },
+
+  coupon: {
+    title: 'Code promo',
+    placeholder: 'Saisissez un code promo',
+    apply: 'Appliquer',
+    applying: 'Application...',
+  },
+
+  giftCard: {
+    title: 'Cartes cadeaux',
+    placeholder: 'Saisissez un code de carte cadeau',
+  },
+
+  errors: {
+    network: 'Erreur réseau : {message}',
+    http: 'Erreur HTTP ! statut : {status}',
+    invalidResponse: 'Réponse JSON invalide de Magento',
+    unknownGraphQL: 'Erreur GraphQL inconnue',
+    categoryNotFound: 'Catégorie introuvable',
+    productNotFound: 'Produit introuvable',
+    noExchangeRate: 'Aucun taux de change pour {currency}',
+    cartNotCreated: "Impossible de créer le panier : aucun identifiant renvoyé",
+    parentSkuRequired: 'La référence parente est obligatoire pour les produits configurables',
+    unknownCartMutation: 'Modification de panier inconnue : {type}',
+    noOrderNumber: "Aucun numéro de commande n'a été renvoyé",
+    noCustomerToken: "Aucun jeton client n'a été renvoyé",
+    noCustomerCartId: "Aucun identifiant de panier client n'a été renvoyé",
+    noWishlist: "Aucune liste de favoris n'a été renvoyée",
+  },
+};
+
+export default messages;
@@ -1,11 +1,34 @@
 import React from 'react';
 import ReactDOM from 'react-dom';
 import App from './App';
+import magentoApi from './services/magentoApi';
+import { loadRuntimeConfig } from './utils/runtimeConfig';
+import { setLocale } from './i18n';
 import './index.css';
 
-ReactDOM.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>,
-  document.getElementById('root')
-);
\ No newline at end of file
+// Point the API at this deployment's Magento and load the store's
+// locale and currencies before anything renders
+loadRuntimeConfig().then(async (config) => {
+  magentoApi.configure(config);
+  const { locale } = await magentoApi.loadCurrencySettings();
+  setLocale(locale);
+
+  ReactDOM.render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>,
+    document.getElementById('root')
+  );
+
+  // Send cart changes made while offline once the network is back
+  magentoApi.startOfflineCartSync();
+});
+
+// Dev builds don't emit sw.js, see webpack.config.js
+if ('serviceWorker' in navigator && process.env.NODE_ENV === 'production') {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((error) => {
+      console.error('Service worker registration failed:', error);
+    });
+  });
+}
@@ -0,0 +1,137 @@
+/**
+ * Magento API error model
+ * Shared error classes thrown by the GraphQL client so components can
+ * react to the kind of failure instead of parsing messages.
+ */
+
+import { t } from '../i18n';
+
+/**
+ * Base class for every error raised by the request layer
+ */
+export class MagentoApiError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MagentoApiError';
+  }
+}
+
+/**
+ * The request never reached Magento (offline, DNS, CORS, aborted)
+ */
+export class NetworkError extends MagentoApiError {
+  /**
+   * @param {string} message - Error message
+   * @param {Error} cause - Original fetch error
+   */
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'NetworkError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Magento answered with a non-2xx HTTP status and no GraphQL errors
+ */
+export class HttpError extends MagentoApiError {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} statusText - HTTP status text
+   */
+  constructor(status, statusText = '') {
+    super(t('errors.http', { status }));
+    this.name = 'HttpError';
+    this.status = status;
+    this.statusText = statusText;
+  }
+}
+
+/**
+ * Magento returned GraphQL errors
+ * `category` is taken from the first error's `extensions.category`
+ * (e.g. graphql-input, graphql-authorization, graphql-no-such-entity).
+ */
+export class GraphQLError extends MagentoApiError {
+  /**
+   * @param {Array<Object>} errors - GraphQL errors array from the response
+   */
+  constructor(errors = []) {
+    super(errors.map(e => e.message).join('; ') || t('errors.unknownGraphQL'));
+    this.name = 'GraphQLError';
+    this.errors = errors;
+    this.category = errors[0]?.extensions?.category || null;
+  }
+
+  /**
+   * Whether the customer token is missing, invalid or expired
+   * @returns {boolean}
+   */
+  isAuthorizationError() {
+    return this.category === 'graphql-authorization';
+  }
+}
+
+/**
+ * The cart ID sent to Magento does not exist or is no longer active
+ */
+export class CartNotFoundError extends GraphQLError {
+  constructor(errors = []) {
+    super(errors);
+    this.name = 'CartNotFoundError';
+  }
+}
+
+/**
+ * Magento rejected cart items through `user_errors`
+ * addProductsToCart reports stock and option problems this way instead of
+ * as GraphQL errors; valid items in the same request are still added.
+ */
+export class CartUserInputError extends MagentoApiError {
+  /**
+   * @param {Array<Object>} userErrors - user_errors ({ code, message }) from the mutation
+   */
+  constructor(userErrors = []) {
+    super(userErrors.map(e => e.message).join('; '));
+    this.name = 'CartUserInputError';
+    this.userErrors = userErrors;
+  }
+}
+
+// Messages Magento uses when a cart ID is unknown or the quote is inactive
+const CART_NOT_FOUND_PATTERNS = [
+  /could not find a cart with id/i,
+  /the cart isn't active/i,
+  /current user does not have an active cart/i,
+];
+
+/**
+ * Check whether GraphQL errors mean the requested cart is gone
+ * @param {Array<Object>} errors - GraphQL errors array
+ * @returns {boolean}
+ */
+export const isCartNotFound = (errors = []) => {
+  return errors.some(error =>
+    CART_NOT_FOUND_PATTERNS.some(pattern => pattern.test(error.message || ''))
+  );
+};
+
+/**
+ * Build the typed error for a GraphQL errors array
+ * @param {Array<Object>} errors - GraphQL errors array
+ * @returns {GraphQLError} CartNotFoundError or GraphQLError
+ */
+export const createGraphQLError = (errors) => {
+  return isCartNotFound(errors) ? new CartNotFoundError(errors) : new GraphQLError(errors);
+};
+
+export default {
+  MagentoApiError,
+  NetworkError,
+  HttpError,
+  GraphQLError,
+  CartNotFoundError,
+  CartUserInputError,
+  isCartNotFound,
+  createGraphQLError,
+};
@@ -0,0 +1,182 @@
+/**
+ * Magento GraphQL Client
+ * Single request layer for every call to Magento: builds the fetch,
+ * runs request/response interceptors and turns failures into the
+ * typed errors from ./errors.
+ */
+
+import { getCorsProxyUrl } from '../utils/corsProxy';
+import { MagentoApiError, NetworkError, HttpError, createGraphQLError } from './errors';
+import { t } from '../i18n';
+
+const DEFAULT_HEADERS = {
+  'Content-Type': 'application/json',
+  'Accept': 'application/json',
+};
+
+export class GraphQLClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.graphqlEndpoint - GraphQL endpoint URL
+   * @param {string} options.restEndpoint - REST API base URL (e.g. /rest/V1)
+   * @param {boolean} options.useCorsProxy - Route requests through a CORS proxy (default: false)
+   */
+  constructor({ graphqlEndpoint, restEndpoint, useCorsProxy = false }) {
+    this.graphqlEndpoint = graphqlEndpoint;
+    this.restEndpoint = restEndpoint;
+    this.useCorsProxy = useCorsProxy;
+    this.requestInterceptors = [];
+    this.responseInterceptors = [];
+  }
+
+  /**
+   * Register a request interceptor
+   * Called with the request config ({ url, method, headers, body }) before
+   * it is sent; return the (possibly modified) config.
+   * @param {Function} interceptor - (request) => request
+   * @returns {Function} Function that removes the interceptor
+   */
+  addRequestInterceptor(interceptor) {
+    this.requestInterceptors.push(interceptor);
+    return () => {
+      this.requestInterceptors = this.requestInterceptors.filter(i => i !== interceptor);
+    };
+  }
+
+  /**
+   * Register a response interceptor
+   * Called with the parsed response body before errors are checked;
+   * return the (possibly modified) body.
+   * @param {Function} interceptor - (payload, { request, response }) => payload
+   * @returns {Function} Function that removes the interceptor
+   */
+  addResponseInterceptor(interceptor) {
+    this.responseInterceptors.push(interceptor);
+    return () => {
+      this.responseInterceptors = this.responseInterceptors.filter(i => i !== interceptor);
+    };
+  }
+
+  /**
+   * Run a GraphQL query or mutation
+   * Read-only catalogue queries can be sent as GET so browsers, Varnish and
+   * the service worker can cache them; mutations must use POST.
+   * @param {string} query - GraphQL document
+   * @param {Object} variables - Operation variables
+   * @param {Object} options - Request options
+   * @param {string} options.method - 'POST' (default) or 'GET'
+   * @returns {Promise<Object>} The `data` part of the response
+   * @throws {NetworkError|HttpError|GraphQLError|CartNotFoundError}
+   */
+  async request(query, variables = {}, { method = 'POST' } = {}) {
+    const payload = await this._send(method === 'GET'
+      ? {
+          url: this._buildGetUrl(query, variables),
+          method: 'GET',
+          query,
+        }
+      : {
+          url: this.graphqlEndpoint,
+          method: 'POST',
+          body: { query, variables },
+        });
+
+    if (payload.errors && payload.errors.length > 0) {
+      throw createGraphQLError(payload.errors);
+    }
+
+    return payload.data || {};
+  }
+
+  /**
+   * Call a Magento REST endpoint
+   * @param {string} path - Path relative to the REST base URL (e.g. /products/24-MB01)
+   * @param {Object} options - Request options
+   * @param {string} options.method - HTTP method (default: GET)
+   * @param {Object} options.body - JSON body
+   * @returns {Promise<Object>} Parsed JSON response
+   * @throws {NetworkError|HttpError}
+   */
+  async rest(path, { method = 'GET', body } = {}) {
+    return this._send({
+      url: `${this.restEndpoint}${path}`,
+      method,
+      body,
+    });
+  }
+
+  _buildGetUrl(query, variables) {
+    // Collapse whitespace to keep the URL short
+    const params = new URLSearchParams({
+      query: query.replace(/\s+/g, ' ').trim(),
+      variables: JSON.stringify(variables),
+    });
+    return `${this.graphqlEndpoint}?${params.toString()}`;
+  }
+
+  async _send(config) {
+    let request = {
+      ...config,
+      headers: { ...DEFAULT_HEADERS, ...config.headers },
+    };
+
+    for (const interceptor of this.requestInterceptors) {
+      request = (await interceptor(request)) || request;
+    }
+
+    let response;
+    try {
+      response = await fetch(getCorsProxyUrl(request.url, this.useCorsProxy), {
+        method: request.method,
+        headers: request.headers,
+        mode: 'cors',
+        body: request.body !== undefined ? JSON.stringify(request.body) : undefined,
+      });
+    } catch (error) {
+      throw new NetworkError(t('errors.network', { message: error.message }), error);
+    }
+
+    let payload = null;
+    try {
+      payload = await response.json();
+    } catch {
+      payload = null;
+    }
+
+    for (const interceptor of this.responseInterceptors) {
+      payload = (await interceptor(payload, { request, response })) ?? payload;
+    }
+
+    if (!response.ok) {
+      // Magento reports some GraphQL failures with a 4xx/5xx status
+      if (payload?.errors?.length) {
+        throw createGraphQLError(payload.errors);
+      }
+      throw new HttpError(response.status, response.statusText);
+    }
+
+    if (payload === null) {
+      throw new MagentoApiError(t('errors.invalidResponse'));
+    }
+
+    return payload;
+  }
+}
+
+/**
+ * Interceptors that log every request and response to the console
+ * @returns {{ request: Function, response: Function }}
+ */
+export const createLoggingInterceptors = () => ({
+  request: (request) => {
+    const operation = (request.body?.query || request.query || '').match(/(query|mutation)\s+(\w+)/);
+    console.debug(`[magento] → ${request.method} ${request.url}`, operation ? operation[2] : '');
+    return request;
+  },
+  response: (payload, { request, response }) => {
+    console.debug(`[magento] ← ${response.status} ${request.url}`);
+    return payload;
+  },
+});
+
+export default GraphQLClient;
@@ -3,165 +3,781 @@
  * Handles communication with Magento 2 APIs (GraphQL preferred)
  */
 
-import { getCorsProxyUrl, needsCorsProxy } from '../utils/corsProxy';
+import { GraphQLClient, createLoggingInterceptors } from './graphqlClient';
+import { CartNotFoundError, CartUserInputError, GraphQLError, NetworkError, createGraphQLError } from './errors';
+import offlineCartQueue, { CART_QUEUE_SYNC_TAG } from './offlineCartQueue';
+import { getRuntimeConfig, getMagentoEndpoints } from '../utils/runtimeConfig';
+import { getProductUrl } from '../utils/productUrl';
+import { t } from '../i18n';
+
+// localStorage keys for the store view and display currency picked in the header
+const STORE_CODE_KEY = 'store_code';
+const CURRENCY_CODE_KEY = 'currency_code';
+
+// localStorage keys for the customer session
+const CUSTOMER_TOKEN_KEY = 'customer_token';
+const CUSTOMER_DATA_KEY = 'customer_data';
+const CUSTOMER_CART_ID_KEY = 'customer_cart_id';
+
+// localStorage key for the wishlist kept while signed out
+const GUEST_WISHLIST_KEY = 'guest_wishlist';
+
+// Cart totals breakdown shown in the cart and checkout summaries
+const CART_PRICES_FIELDS = `
+  prices {
+    subtotal_excluding_tax {
+      value
+      currency
+    }
+    discounts {
+      label
+      amount {
+        value
+        currency
+      }
+    }
+    applied_taxes {
+      label
+      amount {
+        value
+        currency
+      }
+    }
+    grand_total {
+      value
+      currency
+    }
+  }
+`;
+
+// Custom option values the shopper entered, shown under each cart line.
+// Magento only exposes them on the concrete cart item types.
+const CART_ITEM_CUSTOM_OPTIONS_FIELDS = `
+  customizable_options {
+    uid
+    label
+    values {
+      label
+      value
+    }
+  }
+`;
+
+// Custom option types alias their `value` field because it is an object for
+// text, date and file options and a list for the choice options
+const CUSTOM_OPTION_VALUE_ALIASES = [
+  'fieldValue', 'areaValue', 'dateValue', 'fileValue',
+  'dropDownValues', 'radioValues', 'checkboxValues', 'multipleValues',
+];
 
-// Use relative URL for development to leverage webpack-dev-server proxy
-// This avoids CORS issues by making all requests appear to come from the same origin
-const MAGENTO_BASE_URL = '/magento2/pub';
-const API_ENDPOINT = `${MAGENTO_BASE_URL}/rest/V1`;
-const GRAPHQL_ENDPOINT = `${MAGENTO_BASE_URL}/graphql`;
-const USE_CORS_PROXY = false; // No need for CORS proxy when using webpack proxy
+/**
+ * Give every custom option a plain `value` (single-value types) or
+ * `values` (choice types) field and sort by the admin's sort order
+ */
+const normalizeCustomOptions = (options = []) =>
+  [...(options || [])]
+    .sort((a, b) => a.sort_order - b.sort_order)
+    .map(option => CUSTOM_OPTION_VALUE_ALIASES.reduce((normalized, alias) => {
+      if (!(alias in option)) return normalized;
+      const { [alias]: aliasedValue, ...rest } = normalized;
+      return alias.endsWith('Values')
+        ? { ...rest, values: [...(aliasedValue || [])].sort((a, b) => a.sort_order - b.sort_order) }
+        : { ...rest, value: aliasedValue };
+    }, option));
+
+// Cart fields shared by the cart query and the cart item mutations,
+// so the cached cart_data always has the same shape
+const CART_DETAILS_FIELDS = `
+  items {
+    id
+    product {
+      name
+      sku
+      small_image {
+        url
+      }
+      price_range {
+        minimum_price {
+          regular_price {
+            value
+            currency
+          }
+        }
+      }
+    }
+    quantity
+    prices {
+      price {
+        value
+        currency
+      }
+    }
+    ... on SimpleCartItem {
+      ${CART_ITEM_CUSTOM_OPTIONS_FIELDS}
+    }
+    ... on VirtualCartItem {
+      ${CART_ITEM_CUSTOM_OPTIONS_FIELDS}
+    }
+    ... on ConfigurableCartItem {
+      ${CART_ITEM_CUSTOM_OPTIONS_FIELDS}
+    }
+    ... on BundleCartItem {
+      ${CART_ITEM_CUSTOM_OPTIONS_FIELDS}
+    }
+    ... on DownloadableCartItem {
+      ${CART_ITEM_CUSTOM_OPTIONS_FIELDS}
+    }
+  }
+  is_virtual
+  applied_coupons {
+    code
+  }
+  shipping_addresses {
+    country {
+      code
+    }
+    region {
+      code
+      region_id
+    }
+    postcode
+    selected_shipping_method {
+      carrier_code
+      carrier_title
+      method_code
+      method_title
+      amount {
+        value
+        currency
+      }
+    }
+  }
+  ${CART_PRICES_FIELDS}
+`;
+
+// Gift cards on the cart (Adobe Commerce only, see supportsGiftCards)
+const APPLIED_GIFT_CARDS_FIELDS = `
+  applied_gift_cards {
+    code
+    applied_balance {
+      value
+      currency
+    }
+  }
+`;
+
+// Saved customer address, as listed in the address book
+const CUSTOMER_ADDRESS_FIELDS = `
+  id
+  firstname
+  lastname
+  street
+  city
+  region {
+    region
+    region_code
+    region_id
+  }
+  postcode
+  country_code
+  telephone
+  default_shipping
+  default_billing
+`;
+
+// Customer wishlist items, normalized by _toWishlistItem
+const WISHLIST_FIELDS = `
+  id
+  items_v2(pageSize: 100) {
+    items {
+      id
+      product {
+        sku
+        name
+        __typename
+        url_key
+        url_suffix
+        small_image {
+          url
+        }
+        price_range {
+          minimum_price {
+            final_price {
+              value
+              currency
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Related, upsell and cross-sell products, normalized by _toListProduct
+const LINKED_PRODUCT_FIELDS = `
+  id
+  name
+  sku
+  url_key
+  url_suffix
+  __typename
+  stock_status
+  rating_summary
+  review_count
+  small_image {
+    url
+  }
+  price_range {
+    minimum_price {
+      regular_price {
+        value
+        currency
+      }
+      final_price {
+        value
+        currency
+      }
+    }
+  }
+`;
+
+// Money amount on orders, invoices and shipments
+const MONEY_FIELDS = `
+  value
+  currency
+`;
+
+// Address printed on an order
+const ORDER_ADDRESS_FIELDS = `
+  firstname
+  lastname
+  street
+  city
+  region
+  postcode
+  country_code
+  telephone
+`;
+
+// Available shipping rates for a shipping address
+const SHIPPING_METHODS_FIELDS = `
+  available_shipping_methods {
+    carrier_code
+    carrier_title
+    method_code
+    method_title
+    available
+    amount {
+      value
+      currency
+    }
+    error_message
+  }
+`;
 
 class MagentoApiService {
+  constructor() {
+    // Every Magento call goes through this client.
+    // Endpoints start from the build defaults until configure() is called.
+    const { graphqlEndpoint, restEndpoint } = getMagentoEndpoints();
+    this.client = new GraphQLClient({
+      graphqlEndpoint,
+      restEndpoint,
+      useCorsProxy: getRuntimeConfig().useCorsProxy,
+    });
+
+    // Attach the customer bearer token when signed in
+    this.client.addRequestInterceptor((request) => {
+      const token = this.getCustomerToken();
+      if (token) {
+        request.headers.Authorization = `Bearer ${token}`;
+      }
+      return request;
+    });
+
+    // Send the selected store view code, if any
+    this.client.addRequestInterceptor((request) => {
+      const storeCode = this.getStoreCode();
+      if (storeCode) {
+        request.headers.Store = storeCode;
+      }
+      return request;
+    });
+
+    // An expired or revoked customer token ends the session; the UI sends
+    // the shopper back to sign in on the sessionExpired event
+    this.client.addResponseInterceptor((payload, { request }) => {
+      if (
+        request.headers.Authorization &&
+        this.isSignedIn() &&
+        payload?.errors?.length > 0 &&
+        createGraphQLError(payload.errors).isAuthorizationError()
+      ) {
+        this._clearCustomerSession();
+        window.dispatchEvent(new Event('sessionExpired'));
+      }
+      return payload;
+    });
+
+    // Used for price formatting until loadCurrencySettings() resolves
+    this._currency = {
+      locale: 'en-US',
+      baseCurrency: 'USD',
+      displayCurrency: 'USD',
+      availableCurrencies: ['USD'],
+      rates: { USD: 1 },
+    };
+
+    if (process.env.NODE_ENV === 'development') {
+      const logging = createLoggingInterceptors();
+      this.client.addRequestInterceptor(logging.request);
+      this.client.addResponseInterceptor(logging.response);
+    }
+  }
+
+  /**
+   * Point the client at the endpoints of a runtime configuration
+   * @param {Object} config - Configuration from loadRuntimeConfig()
+   */
+  configure(config) {
+    const { graphqlEndpoint, restEndpoint } = getMagentoEndpoints(config);
+    this.client.graphqlEndpoint = graphqlEndpoint;
+    this.client.restEndpoint = restEndpoint;
+    this.client.useCorsProxy = Boolean(config.useCorsProxy);
+  }
+
+  /**
+   * Get the active store view code
+   * The shopper's choice wins over the configured default.
+   * @returns {string|null} Store code, or null for Magento's default store view
+   */
+  getStoreCode() {
+    return localStorage.getItem(STORE_CODE_KEY) || getRuntimeConfig().storeCode || null;
+  }
+
+  /**
+   * Switch to another store view
+   * Carts belong to a store view, so the stored cart is dropped; the caller
+   * should reload the page so every view refetches in the new store.
+   * @param {string} storeCode - Store code from fetchAvailableStores()
+   */
+  setStoreCode(storeCode) {
+    localStorage.setItem(STORE_CODE_KEY, storeCode);
+    localStorage.removeItem('guest_cart_id');
+    localStorage.removeItem(CUSTOMER_CART_ID_KEY);
+    this.clearCartCache();
+    this._categoryTree = null;
+    window.dispatchEvent(new Event('storeChanged'));
+  }
+
+  /**
+   * Fetch the store views of the current website
+   * @returns {Promise<Array>} Store views with code, name, locale and currencies
+   */
+  async fetchAvailableStores() {
+    try {
+      const query = `
+        query GetAvailableStores {
+          availableStores(useCurrentGroup: false) {
+            store_code
+            store_name
+            store_group_name
+            locale
+            is_default_store
+            base_currency_code
+            default_display_currency_code
+          }
+        }
+      `;
+
+      const data = await this.client.request(query, {}, { method: 'GET' });
+
+      return data?.availableStores || [];
+    } catch (error) {
+      console.error('Error fetching available stores:', error);
+      throw error;
+    }
+  }
+
   /**
    * Fetch products from Magento 2
    * @param {Object} params - Query parameters
    * @param {number} params.pageSize - Number of products per page (default: 20)
    * @param {number} params.currentPage - Current page number (default: 1)
-   * @param {string} params.searchCriteria - Additional search criteria
-   * @returns {Promise<Object>} Products data
+   * @param {string} params.search - Full-text search term (default: '')
+   * @param {Object} params.filter - ProductAttributeFilterInput, e.g. { price: { from: '10', to: '50' } }
+   * @param {Object} params.sort - ProductAttributeSortInput, e.g. { price: 'ASC' }
+   * @returns {Promise<Object>} Products data with layered navigation aggregations
    */
   async fetchProducts(params = {}) {
-    const { pageSize = 20, currentPage = 1 } = params;
-
-    try {
-      const url = getCorsProxyUrl(GRAPHQL_ENDPOINT, USE_CORS_PROXY);
-
-      const query = `\
-        query Products($pageSize: Int!, $currentPage: Int!) {\
-          products(\
-            search: ""\
-            pageSize: $pageSize\
-            currentPage: $currentPage\
-            filter: {\
-            
-            }\
-          ) {\
-            total_count\
-            items {\
-              id\
-              name\
-              sku\
-              __typename\
-              small_image { url }\
-              price_range {\
-                minimum_price {\
-                  regular_price { value currency }\
-                  final_price { value currency }\
-                }\
-              }\
-              ... on ConfigurableProduct {\
-                configurable_options {\
-                  id\
-                  attribute_code\
-                  label\
-                  values {\
-                    label\
-                    value_index\
-                  }\
-                }\
-              }\
-            }\
-            page_info { current_page page_size total_pages }\
-          }\
-        }`;
-
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-        mode: 'cors',
-        body: JSON.stringify({
-          query,
-          variables: { pageSize, currentPage },
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+    const { pageSize = 20, currentPage = 1, search = '', filter = {}, sort = {} } = params;
 
-      const gql = await response.json();
+    try {
+      const query = `
+        query Products(
+          $search: String
+          $filter: ProductAttributeFilterInput
+          $sort: ProductAttributeSortInput
+          $pageSize: Int!
+          $currentPage: Int!
+        ) {
+          products(
+            search: $search
+            filter: $filter
+            sort: $sort
+            pageSize: $pageSize
+            currentPage: $currentPage
+          ) {
+            total_count
+            aggregations {
+              attribute_code
+              label
+              count
+              options { label value count }
+            }
+            items {
+              id
+              name
+              sku
+              url_key
+              url_suffix
+              __typename
+              rating_summary
+              review_count
+              small_image { url }
+              price_range {
+                minimum_price {
+                  regular_price { value currency }
+                  final_price { value currency }
+                }
+              }
+              ... on ConfigurableProduct {
+                configurable_options {
+                  id
+                  attribute_code
+                  label
+                  values {
+                    label
+                    value_index
+                  }
+                }
+              }
+            }
+            page_info { current_page page_size total_pages }
+          }
+        }
+      `;
 
-      if (gql.errors && gql.errors.length > 0) {
-        const message = gql.errors.map(e => e.message).join('; ');
-        throw new Error(message);
-      }
+      const data = await this.client.request(
+        query,
+        { search, filter, sort, pageSize, currentPage },
+        { method: 'GET' }
+      );
 
-      const products = (gql.data && gql.data.products) ? gql.data.products : { items: [], total_count: 0, page_info: {} };
+      const products = data.products ? data.products : { items: [], total_count: 0, page_info: {} };
 
       // Normalize to match existing UI expectations
-      const normalizedItems = (products.items || []).map(item => {
-        const regularPrice = item?.price_range?.minimum_price?.regular_price;
-        const finalPrice = item?.price_range?.minimum_price?.final_price;
-        const imageUrl = item?.small_image?.url || null;
-
-        return {
-          id: item.id,
-          name: item.name,
-          sku: item.sku,
-          type: item.__typename,
-          // Maintain existing UI expectations
-          price: regularPrice?.value ?? null,
-          price_currency: regularPrice?.currency ?? 'USD',
-          final_price: finalPrice?.value ?? regularPrice?.value,
-          status: typeof item.status === 'number' ? item.status : 1,
-          // Emulate REST media_gallery_entries so UI stays unchanged
-          media_gallery_entries: imageUrl
-            ? [
-                {
-                  types: ['image'],
-                  file: this._toGalleryFilePathOrUrl(imageUrl),
-                },
-              ]
-            : [],
-          // Add configurable options for configurable products
-          configurable_options: item.configurable_options || [],
-        };
-      });
+      const normalizedItems = (products.items || []).map(item => this._toListProduct(item));
 
       return {
         items: normalizedItems,
         totalCount: products.total_count || 0,
+        aggregations: products.aggregations || [],
         searchCriteria: {
           currentPage,
           pageSize,
+          search,
+          filter,
+          sort,
         },
       };
     } catch (error) {
       console.error('Error fetching products from Magento (GraphQL):', error);
-      throw new Error(`Failed to fetch products: ${error.message}`);
+      throw error;
     }
   }
 
   /**
-   * Fetch a single product by SKU
-   * @param {string} sku - Product SKU
-   * @returns {Promise<Object>} Product data
+   * Get the attribute codes Magento accepts in ProductAttributeFilterInput
+   * Stores that disable schema introspection get an empty list; ProductList
+   * then learns the codes from the aggregations it receives.
+   * The list is cached for the lifetime of the page.
+   * @returns {Promise<Array<string>>} Filterable attribute codes
    */
-  async fetchProductBySku(sku) {
+  async fetchFilterableAttributeCodes() {
+    if (!this._filterableAttributeCodes) {
+      this._filterableAttributeCodes = (async () => {
+        const query = `
+          query GetFilterableAttributes {
+            __type(name: "ProductAttributeFilterInput") {
+              inputFields {
+                name
+              }
+            }
+          }
+        `;
+
+        const data = await this.client.request(query, {}, { method: 'GET' });
+
+        return (data?.__type?.inputFields || []).map(field => field.name);
+      })().catch(error => {
+        console.warn('Filterable attributes could not be read, using aggregations only:', error);
+        return [];
+      });
+    }
+    return this._filterableAttributeCodes;
+  }
+
+  // Normalize a GraphQL product to the shape product cards expect
+  _toListProduct(item) {
+    const regularPrice = item?.price_range?.minimum_price?.regular_price;
+    const finalPrice = item?.price_range?.minimum_price?.final_price;
+    const imageUrl = item?.small_image?.url || null;
+
+    return {
+      id: item.id,
+      name: item.name,
+      sku: item.sku,
+      url: getProductUrl(item),
+      type: item.__typename,
+      // Maintain existing UI expectations
+      price: regularPrice?.value ?? null,
+      price_currency: regularPrice?.currency,
+      final_price: finalPrice?.value ?? regularPrice?.value,
+      status: typeof item.status === 'number' ? item.status : 1,
+      // Average rating as a percentage (0-100)
+      rating_summary: item.rating_summary || 0,
+      review_count: item.review_count || 0,
+      // Emulate REST media_gallery_entries so UI stays unchanged
+      media_gallery_entries: imageUrl
+        ? [
+            {
+              types: ['image'],
+              file: this._toGalleryFilePathOrUrl(imageUrl),
+            },
+          ]
+        : [],
+      // Add configurable options for configurable products
+      configurable_options: item.configurable_options || [],
+    };
+  }
+
+  /**
+   * Resolve a storefront URL to the entity it points at
+   * Uses Magento's `route` query, so any URL key, category path, CMS page or
+   * URL rewrite (including redirects) known to Magento can be rendered.
+   * @param {string} url - Relative URL without leading slash (e.g. joust-duffle-bag.html)
+   * @returns {Promise<Object|null>} Route data, or null when the URL is unknown
+   */
+  async resolveUrl(url) {
     try {
-      const url = getCorsProxyUrl(`${API_ENDPOINT}/products/${encodeURIComponent(sku)}`, USE_CORS_PROXY);
-      
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-        mode: 'cors',
+      const query = `
+        query ResolveUrl($url: String!) {
+          route(url: $url) {
+            __typename
+            type
+            relative_url
+            redirect_code
+            ... on ProductInterface {
+              sku
+              name
+            }
+            ... on CategoryInterface {
+              uid
+              name
+              url_path
+            }
+            ... on CmsPage {
+              identifier
+              title
+              content_heading
+              content
+              meta_title
+              meta_description
+            }
+          }
+        }
+      `;
+
+      const data = await this.client.request(query, { url }, { method: 'GET' });
+
+      return data?.route || null;
+    } catch (error) {
+      // Some Magento versions report unknown URLs as an error instead of null
+      if (error instanceof GraphQLError && error.category === 'graphql-no-such-entity') {
+        return null;
+      }
+      console.error(`Error resolving URL ${url}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the category tree for navigation
+   * Returns the children of the store's root category, three levels deep,
+   * keeping only categories flagged to be included in the menu.
+   * The tree is cached for the lifetime of the page.
+   * @returns {Promise<Array>} Top-level categories with nested children
+   */
+  async fetchCategoryTree() {
+    if (!this._categoryTree) {
+      this._categoryTree = this._loadCategoryTree().catch(error => {
+        this._categoryTree = null;
+        throw error;
       });
+    }
+    return this._categoryTree;
+  }
+
+  async _loadCategoryTree() {
+    try {
+      const query = `
+        query CategoryTree {
+          categories {
+            items {
+              uid
+              name
+              children {
+                uid
+                name
+                url_path
+                include_in_menu
+                position
+                children {
+                  uid
+                  name
+                  url_path
+                  include_in_menu
+                  position
+                  children {
+                    uid
+                    name
+                    url_path
+                    include_in_menu
+                    position
+                  }
+                }
+              }
+            }
+          }
+        }
+      `;
+
+      const data = await this.client.request(query, {}, { method: 'GET' });
+
+      // Keep menu categories only, ordered by their admin position
+      const prune = (categories = []) => categories
+        .filter(category => category.include_in_menu !== 0)
+        .sort((a, b) => (a.position || 0) - (b.position || 0))
+        .map(category => ({
+          ...category,
+          children: prune(category.children),
+        }));
+
+      const root = data?.categories?.items?.[0];
+      return prune(root?.children);
+    } catch (error) {
+      console.error('Error fetching category tree:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a category by its URL path
+   * @param {string} urlPath - Category url_path (e.g. women/tops-women)
+   * @returns {Promise<Object>} Category with description and breadcrumbs
+   */
+  async fetchCategoryByUrlPath(urlPath) {
+    try {
+      const query = `
+        query CategoryByUrlPath($urlPath: String!) {
+          categories(filters: { url_path: { eq: $urlPath } }) {
+            items {
+              uid
+              name
+              description
+              url_path
+              breadcrumbs {
+                category_uid
+                category_name
+                category_url_path
+              }
+            }
+          }
+        }
+      `;
+
+      const data = await this.client.request(query, { urlPath }, { method: 'GET' });
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      const category = data?.categories?.items?.[0];
+      if (!category) {
+        throw new Error(t('errors.categoryNotFound'));
       }
 
-      return await response.json();
+      return category;
+    } catch (error) {
+      console.error(`Error fetching category ${urlPath}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch search suggestions for the header autocomplete
+   * @param {string} search - Search term
+   * @param {number} pageSize - Maximum number of suggestions (default: 6)
+   * @returns {Promise<Object>} Suggested products and total match count
+   */
+  async fetchSearchSuggestions(search, pageSize = 6) {
+    try {
+      const query = `
+        query SearchSuggestions($search: String!, $pageSize: Int!) {
+          products(search: $search, pageSize: $pageSize) {
+            total_count
+            items {
+              id
+              name
+              sku
+              url_key
+              url_suffix
+              small_image {
+                url
+              }
+              price_range {
+                minimum_price {
+                  final_price {
+                    value
+                    currency
+                  }
+                }
+              }
+            }
+          }
+        }
+      `;
+
+      const data = await this.client.request(query, { search, pageSize }, { method: 'GET' });
+
+      return {
+        items: (data?.products?.items || []).map(item => ({ ...item, url: getProductUrl(item) })),
+        totalCount: data?.products?.total_count || 0,
+      };
+    } catch (error) {
+      console.error('Error fetching search suggestions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a single product by SKU
+   * @param {string} sku - Product SKU
+   * @returns {Promise<Object>} Product data
+   */
+  async fetchProductBySku(sku) {
+    try {
+      return await this.client.rest(`/products/${encodeURIComponent(sku)}`);
     } catch (error) {
       console.error(`Error fetching product ${sku}:`, error);
-      throw new Error(`Failed to fetch product ${sku}: ${error.message}`);
+      throw error;
     }
   }
 
@@ -181,7 +797,7 @@ class MagentoApiService {
     // Remove leading slash if present
     const cleanPath = imagePath.startsWith('/') ? imagePath.slice(1) : imagePath;
 
-    return `${MAGENTO_BASE_URL}/media/catalog/product/${cleanPath}`;
+    return `${getMagentoEndpoints().mediaUrl}/${cleanPath}`;
   }
 
   // Convert an absolute media URL to a gallery file path if possible
@@ -200,17 +816,111 @@ class MagentoApiService {
     }
   }
 
+  /**
+   * Load the store locale and currencies from Magento
+   * Falls back to en-US and USD when the query fails.
+   * @returns {Promise<Object>} Currency settings, see getCurrencySettings()
+   */
+  async loadCurrencySettings() {
+    try {
+      const query = `
+        query GetCurrencySettings {
+          storeConfig {
+            locale
+          }
+          currency {
+            base_currency_code
+            default_display_currency_code
+            available_currency_codes
+            exchange_rates {
+              currency_to
+              rate
+            }
+          }
+        }
+      `;
+
+      const data = await this.client.request(query, {}, { method: 'GET' });
+      const currency = data?.currency || {};
+      const baseCurrency = currency.base_currency_code || 'USD';
+
+      // Rates are relative to the base currency
+      const rates = { [baseCurrency]: 1 };
+      (currency.exchange_rates || []).forEach(({ currency_to, rate }) => {
+        if (rate) rates[currency_to] = rate;
+      });
+
+      // A currency can only be displayed when Magento has a rate for it
+      const availableCurrencies = (currency.available_currency_codes || [baseCurrency])
+        .filter(code => rates[code]);
+      const storedCurrency = localStorage.getItem(CURRENCY_CODE_KEY);
+      const defaultCurrency = rates[currency.default_display_currency_code]
+        ? currency.default_display_currency_code
+        : baseCurrency;
+
+      this._currency = {
+        locale: (data?.storeConfig?.locale || 'en_US').replace('_', '-'),
+        baseCurrency,
+        displayCurrency: availableCurrencies.includes(storedCurrency) ? storedCurrency : defaultCurrency,
+        availableCurrencies,
+        rates,
+      };
+    } catch (error) {
+      console.error('Error loading currency settings:', error);
+    }
+    return this._currency;
+  }
+
+  /**
+   * Get the active locale and currencies
+   * @returns {{locale: string, baseCurrency: string, displayCurrency: string, availableCurrencies: Array<string>, rates: Object}}
+   */
+  getCurrencySettings() {
+    return this._currency;
+  }
+
+  /**
+   * Change the currency prices are displayed in
+   * @param {string} currencyCode - One of availableCurrencies
+   */
+  setDisplayCurrency(currencyCode) {
+    if (!this._currency.rates[currencyCode]) {
+      throw new Error(t('errors.noExchangeRate', { currency: currencyCode }));
+    }
+    localStorage.setItem(CURRENCY_CODE_KEY, currencyCode);
+    this._currency = { ...this._currency, displayCurrency: currencyCode };
+    window.dispatchEvent(new Event('currencyChanged'));
+  }
+
   /**
    * Format price for display
+   * The amount is converted to the display currency and formatted for the
+   * store locale. Magento orders are still charged in the cart currency.
    * @param {number} price - Price value
-   * @param {string} currency - Currency code (default: USD)
+   * @param {string} currency - Currency the price is in (default: base currency)
+   * @param {Object} options - { convert: false } keeps the given currency, e.g. for amounts already charged
    * @returns {string} Formatted price
    */
-  formatPrice(price, currency = 'USD') {
-    return new Intl.NumberFormat('en-US', {
+  formatPrice(price, currency = this._currency.baseCurrency, { convert = true } = {}) {
+    const { locale, displayCurrency, rates } = this._currency;
+    let value = price;
+    let code = currency;
+
+    // Convert through the base currency when both rates are known
+    if (convert && currency !== displayCurrency && rates[currency] && rates[displayCurrency]) {
+      value = (price / rates[currency]) * rates[displayCurrency];
+      code = displayCurrency;
+    }
+
+    return new Intl.NumberFormat(locale, {
       style: 'currency',
-      currency: currency,
-    }).format(price);
+      currency: code,
+    }).format(value);
+  }
+
+  // Cart shape used when there is no cart to show
+  _emptyCart() {
+    return { items: [], prices: { grand_total: { value: 0, currency: this._currency.baseCurrency } } };
   }
 
   /**
@@ -220,97 +930,395 @@ class MagentoApiService {
    */
   async getProductDetails(sku) {
     try {
-      const url = getCorsProxyUrl(GRAPHQL_ENDPOINT, USE_CORS_PROXY);
-
-      const query = `\
-        query GetProduct($sku: String!) {\
-          products(filter: { sku: { eq: $sku } }) {\
-            items {\
-              id\
-              name\
-              sku\
-              __typename\
-              description { html }\
-              short_description { html }\
-              stock_status\
-              small_image { url }\
-              image { url }\
-              media_gallery {\
-                url\
-                label\
-              }\
-              price_range {\
-                minimum_price {\
-                  regular_price { value currency }\
-                  final_price { value currency }\
-                  discount { amount_off percent_off }\
-                }\
-              }\
-              ... on ConfigurableProduct {\
-                configurable_options {\
-                  id\
-                  attribute_code\
-                  label\
-                  values {\
-                    label\
-                    value_index\
-                  }\
-                }\
-                variants {\
-                  product {\
-                    sku\
-                    name\
-                    small_image { url }\
-                    price_range {\
-                      minimum_price {\
-                        regular_price { value currency }\
-                        final_price { value currency }\
-                      }\
-                    }\
-                  }\
-                  attributes {\
-                    code\
-                    value_index\
-                  }\
-                }\
-              }\
-            }\
-          }\
-        }`;
-
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-        mode: 'cors',
-        body: JSON.stringify({
-          query,
-          variables: { sku },
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const gql = await response.json();
+      const query = `
+        query GetProduct($sku: String!) {
+          products(filter: { sku: { eq: $sku } }) {
+            items {
+              id
+              name
+              sku
+              __typename
+              description { html }
+              short_description { html }
+              stock_status
+              url_key
+              url_suffix
+              rating_summary
+              review_count
+              related_products { ${LINKED_PRODUCT_FIELDS} }
+              upsell_products { ${LINKED_PRODUCT_FIELDS} }
+              crosssell_products { ${LINKED_PRODUCT_FIELDS} }
+              small_image { url }
+              image { url }
+              media_gallery {
+                url
+                label
+                position
+                disabled
+                __typename
+                ... on ProductVideo {
+                  video_content {
+                    media_type
+                    video_provider
+                    video_url
+                    video_title
+                  }
+                }
+              }
+              price_range {
+                minimum_price {
+                  regular_price { value currency }
+                  final_price { value currency }
+                  discount { amount_off percent_off }
+                }
+              }
+              ... on CustomizableProductInterface {
+                options {
+                  uid
+                  title
+                  required
+                  sort_order
+                  __typename
+                  ... on CustomizableFieldOption {
+                    fieldValue: value { uid price price_type max_characters }
+                  }
+                  ... on CustomizableAreaOption {
+                    areaValue: value { uid price price_type max_characters }
+                  }
+                  ... on CustomizableDateOption {
+                    dateValue: value { uid price price_type }
+                  }
+                  ... on CustomizableFileOption {
+                    fileValue: value { uid price price_type file_extension }
+                  }
+                  ... on CustomizableDropDownOption {
+                    dropDownValues: value { uid title price price_type sort_order }
+                  }
+                  ... on CustomizableRadioOption {
+                    radioValues: value { uid title price price_type sort_order }
+                  }
+                  ... on CustomizableCheckboxOption {
+                    checkboxValues: value { uid title price price_type sort_order }
+                  }
+                  ... on CustomizableMultipleOption {
+                    multipleValues: value { uid title price price_type sort_order }
+                  }
+                }
+              }
+              ... on ConfigurableProduct {
+                configurable_options {
+                  id
+                  attribute_code
+                  label
+                  values {
+                    label
+                    value_index
+                    swatch_data {
+                      __typename
+                      value
+                      ... on ImageSwatchData { thumbnail }
+                    }
+                  }
+                }
+                variants {
+                  product {
+                    sku
+                    name
+                    stock_status
+                    small_image { url }
+                    image { url }
+                    media_gallery {
+                      url
+                      label
+                      position
+                      disabled
+                      __typename
+                      ... on ProductVideo {
+                        video_content {
+                          media_type
+                          video_provider
+                          video_url
+                          video_title
+                        }
+                      }
+                    }
+                    price_range {
+                      minimum_price {
+                        regular_price { value currency }
+                        final_price { value currency }
+                      }
+                    }
+                  }
+                  attributes {
+                    code
+                    value_index
+                  }
+                }
+              }
+              ... on BundleProduct {
+                dynamic_price
+                price_details {
+                  main_final_price
+                }
+                items {
+                  option_id
+                  uid
+                  title
+                  required
+                  type
+                  position
+                  options {
+                    id
+                    uid
+                    label
+                    quantity
+                    can_change_quantity
+                    is_default
+                    price
+                    price_type
+                    product {
+                      stock_status
+                      price_range {
+                        minimum_price {
+                          final_price { value currency }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+              ... on GroupedProduct {
+                items {
+                  qty
+                  position
+                  product {
+                    sku
+                    name
+                    stock_status
+                    small_image { url }
+                    price_range {
+                      minimum_price {
+                        final_price { value currency }
+                      }
+                    }
+                  }
+                }
+              }
+              ... on DownloadableProduct {
+                links_purchased_separately
+                links_title
+                downloadable_product_links {
+                  uid
+                  title
+                  price
+                  sample_url
+                  sort_order
+                }
+                downloadable_product_samples {
+                  title
+                  sample_url
+                  sort_order
+                }
+              }
+            }
+          }
+        }
+      `;
 
-      if (gql.errors && gql.errors.length > 0) {
-        const message = gql.errors.map(e => e.message).join('; ');
-        throw new Error(message);
-      }
+      const data = await this.client.request(query, { sku }, { method: 'GET' });
 
-      const products = gql.data?.products?.items || [];
+      const products = data?.products?.items || [];
       if (products.length === 0) {
-        throw new Error('Product not found');
+        throw new Error(t('errors.productNotFound'));
       }
 
-      return products[0];
+      const product = products[0];
+      return {
+        ...product,
+        options: normalizeCustomOptions(product.options),
+        related_products: this._toLinkedProducts(product.related_products),
+        upsell_products: this._toLinkedProducts(product.upsell_products),
+        crosssell_products: this._toLinkedProducts(product.crosssell_products),
+      };
     } catch (error) {
       console.error(`Error fetching product details for ${sku}:`, error);
-      throw new Error(`Failed to fetch product details: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the cross-sell products of the given products
+   * Used to suggest additions to the cart; products already in the
+   * list are left out and duplicates are merged.
+   * @param {Array<string>} skus - SKUs of the products in the cart
+   * @returns {Promise<Array>} Cross-sell products in list product shape
+   */
+  async fetchCrossSellProducts(skus) {
+    if (skus.length === 0) {
+      return [];
+    }
+
+    try {
+      const query = `
+        query GetCrossSellProducts($skus: [String], $pageSize: Int) {
+          products(filter: { sku: { in: $skus } }, pageSize: $pageSize) {
+            items {
+              sku
+              crosssell_products {
+                ${LINKED_PRODUCT_FIELDS}
+              }
+            }
+          }
+        }
+      `;
+
+      const data = await this.client.request(query, { skus, pageSize: skus.length }, { method: 'GET' });
+
+      const seen = new Set(skus);
+      const crossSells = [];
+      (data?.products?.items || []).forEach(item => {
+        (item.crosssell_products || []).forEach(product => {
+          if (!seen.has(product.sku)) {
+            seen.add(product.sku);
+            crossSells.push(product);
+          }
+        });
+      });
+
+      return this._toLinkedProducts(crossSells);
+    } catch (error) {
+      console.error('Error fetching cross-sell products:', error);
+      throw error;
+    }
+  }
+
+  // Keep linked products that can be shown and bought, as list products
+  _toLinkedProducts(products) {
+    return (products || [])
+      .filter(product => product && product.stock_status !== 'OUT_OF_STOCK')
+      .map(product => this._toListProduct(product));
+  }
+
+  /**
+   * Fetch a page of approved reviews for a product
+   * @param {string} sku - Product SKU
+   * @param {Object} options - Pagination
+   * @param {number} options.currentPage - Page number, starting at 1
+   * @param {number} options.pageSize - Reviews per page
+   * @returns {Promise<{items: Array, pageInfo: Object}>} Reviews, newest first, and page info
+   */
+  async fetchProductReviews(sku, { currentPage = 1, pageSize = 5 } = {}) {
+    try {
+      const query = `
+        query GetProductReviews($sku: String!, $currentPage: Int, $pageSize: Int) {
+          products(filter: { sku: { eq: $sku } }) {
+            items {
+              sku
+              reviews(currentPage: $currentPage, pageSize: $pageSize) {
+                items {
+                  nickname
+                  summary
+                  text
+                  created_at
+                  average_rating
+                  ratings_breakdown {
+                    name
+                    value
+                  }
+                }
+                page_info {
+                  current_page
+                  page_size
+                  total_pages
+                }
+              }
+            }
+          }
+        }
+      `;
+
+      const data = await this.client.request(query, { sku, currentPage, pageSize }, { method: 'GET' });
+      const reviews = data?.products?.items?.[0]?.reviews;
+
+      return {
+        items: reviews?.items || [],
+        pageInfo: reviews?.page_info || { current_page: currentPage, page_size: pageSize, total_pages: 0 },
+      };
+    } catch (error) {
+      console.error(`Error fetching reviews for ${sku}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the rating criteria shoppers score when writing a review
+   * The list is cached for the lifetime of the page.
+   * @returns {Promise<Array>} Ratings with id, name and values ({value_id, value})
+   */
+  async fetchReviewRatingsMetadata() {
+    if (!this._reviewRatings) {
+      this._reviewRatings = (async () => {
+        const query = `
+          query GetReviewRatingsMetadata {
+            productReviewRatingsMetadata {
+              items {
+                id
+                name
+                values {
+                  value_id
+                  value
+                }
+              }
+            }
+          }
+        `;
+
+        const data = await this.client.request(query, {}, { method: 'GET' });
+
+        return data?.productReviewRatingsMetadata?.items || [];
+      })().catch(error => {
+        this._reviewRatings = null;
+        console.error('Error fetching review ratings:', error);
+        throw error;
+      });
+    }
+    return this._reviewRatings;
+  }
+
+  /**
+   * Submit a product review
+   * Magento usually holds new reviews for moderation before listing them.
+   * @param {Object} review - Review to submit
+   * @param {string} review.sku - Product SKU
+   * @param {string} review.nickname - Reviewer's display name
+   * @param {string} review.summary - Review title
+   * @param {string} review.text - Review body
+   * @param {Array<{id: string, value_id: string}>} review.ratings - Chosen value per rating
+   * @returns {Promise<Object>} Created review
+   */
+  async createProductReview({ sku, nickname, summary, text, ratings }) {
+    try {
+      const mutation = `
+        mutation CreateProductReview($input: CreateProductReviewInput!) {
+          createProductReview(input: $input) {
+            review {
+              nickname
+              summary
+              text
+              average_rating
+            }
+          }
+        }
+      `;
+
+      const data = await this.client.request(mutation, {
+        input: { sku, nickname, summary, text, ratings },
+      });
+
+      return data?.createProductReview?.review;
+    } catch (error) {
+      console.error(`Error submitting review for ${sku}:`, error);
+      throw error;
     }
   }
 
@@ -335,40 +1343,18 @@ class MagentoApiService {
    */
   async createEmptyCart() {
     try {
-      const url = getCorsProxyUrl(GRAPHQL_ENDPOINT, USE_CORS_PROXY);
-
-      const mutation = `\
-        mutation {\
-          createEmptyCart\
-        }`;
-
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-        mode: 'cors',
-        body: JSON.stringify({
-          query: mutation,
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const gql = await response.json();
+      const mutation = `
+        mutation {
+          createEmptyCart
+        }
+      `;
 
-      if (gql.errors && gql.errors.length > 0) {
-        const message = gql.errors.map(e => e.message).join('; ');
-        throw new Error(message);
-      }
+      const data = await this.client.request(mutation);
 
-      const cartId = gql.data?.createEmptyCart;
+      const cartId = data?.createEmptyCart;
       
       if (!cartId) {
-        throw new Error('Failed to create empty cart: No cart ID returned');
+        throw new Error(t('errors.cartNotCreated'));
       }
 
       // Store cart ID in localStorage for persistence
@@ -376,7 +1362,7 @@ class MagentoApiService {
       return cartId;
     } catch (error) {
       console.error('Error creating empty cart (GraphQL):', error);
-      throw new Error(`Failed to create empty cart: ${error.message}`);
+      throw error;
     }
   }
 
@@ -394,15 +1380,79 @@ class MagentoApiService {
     return cartId;
   }
 
+  /**
+   * Get the active cart ID, creating a cart if needed
+   * Signed-in customers use their customer cart, guests use the guest cart.
+   * @returns {Promise<string>} Cart ID
+   */
+  async getCartId() {
+    if (this.isSignedIn()) {
+      const cartId = localStorage.getItem(CUSTOMER_CART_ID_KEY);
+      return cartId || await this.fetchCustomerCartId();
+    }
+    return this.getGuestCartId();
+  }
+
+  /**
+   * Get the stored cart ID without creating a cart
+   * @returns {string|null} Cart ID
+   */
+  getStoredCartId() {
+    return localStorage.getItem(this.isSignedIn() ? CUSTOMER_CART_ID_KEY : 'guest_cart_id');
+  }
+
+  /**
+   * Run a cart operation, replacing the cart if Magento no longer knows it
+   * When the cart is missing or inactive a new cart is created, a `cartLost`
+   * event is fired and the operation is retried once on the new cart.
+   * @param {string} cartId - Cart ID to run the operation with
+   * @param {Function} operation - (cartId) => Promise
+   * @param {Function} onNewCart - Optional (newCartId) => Promise run instead of retrying the operation
+   * @returns {Promise<*>} Result of the operation
+   */
+  async _withCartRecovery(cartId, operation, onNewCart = null) {
+    try {
+      return await operation(cartId);
+    } catch (error) {
+      if (!(error instanceof CartNotFoundError)) {
+        throw error;
+      }
+      console.warn(`Cart ${cartId} is no longer available, creating a new cart`);
+      const newCartId = await this._replaceLostCart(cartId);
+      return onNewCart ? onNewCart(newCartId) : operation(newCartId);
+    }
+  }
+
+  // Forget the lost cart, create a new one and tell the UI about it.
+  // Concurrent callers share one replacement so only one cart is created.
+  _replaceLostCart(lostCartId) {
+    if (!this._cartReplacement) {
+      this._cartReplacement = (async () => {
+        localStorage.removeItem(this.isSignedIn() ? CUSTOMER_CART_ID_KEY : 'guest_cart_id');
+        this.clearCartCache();
+
+        const cartId = this.isSignedIn()
+          ? await this.fetchCustomerCartId()
+          : await this.createEmptyCart();
+
+        window.dispatchEvent(new CustomEvent('cartLost', { detail: { lostCartId, cartId } }));
+        window.dispatchEvent(new Event('cartUpdated'));
+        return cartId;
+      })().finally(() => {
+        this._cartReplacement = null;
+      });
+    }
+    return this._cartReplacement;
+  }
+
   /**
    * Add simple product to guest cart
    * @param {string} sku - Product SKU
    * @param {number} quantity - Quantity to add
-   * @returns {Promise<Object>} Cart item response
+   * @returns {Promise<Object>} Updated cart data
    */
   async addSimpleProductToCart(sku, quantity = 1) {
     try {
-      const cartId = await this.getGuestCartId();
       const mutation = `
         mutation AddSimpleProductToCart($cartId: String!, $sku: String!, $quantity: Float!) {
           addSimpleProductsToCart(
@@ -419,40 +1469,17 @@ class MagentoApiService {
             }
           ) {
             cart {
-              items {
-                id
-                product {
-                  name
-                  sku
-                }
-                quantity
-              }
+              ${CART_DETAILS_FIELDS}
             }
           }
         }
       `;
 
-      const variables = { cartId, sku, quantity };
-      const url = getCorsProxyUrl(GRAPHQL_ENDPOINT, USE_CORS_PROXY);
-
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-        mode: 'cors',
-        body: JSON.stringify({ query: mutation, variables }),
-      });
-
-      const result = await response.json();
-
-      if (result.errors?.length) {
-        const message = result.errors.map(e => e.message).join('; ');
-        throw new Error(message);
-      }
-
-      return result.data?.addSimpleProductsToCart?.cart?.items ?? [];
+      const cart = await this._withCartRecovery(await this.getCartId(), async cartId =>
+        (await this.client.request(mutation, { cartId, sku, quantity }))?.addSimpleProductsToCart?.cart
+      );
+      this.updateCartCache(cart);
+      return cart;
     } catch (error) {
       console.error('Error adding simple product to cart:', error);
       throw error;
@@ -464,69 +1491,38 @@ class MagentoApiService {
    * @param {string} parentSku - Parent product SKU (configurable product)
    * @param {string} childSku - Child product SKU (selected variant)
    * @param {number} quantity - Quantity to add
-   * @returns {Promise<Object>} Cart item response
+   * @returns {Promise<Object>} Updated cart data
    */
   async addConfigurableProductToCart(parentSku, childSku, quantity = 1) {
     try {
-      const cartId = await this.getGuestCartId();
       const mutation = `
-    mutation AddConfigurableToCart($cartId: String!, $parentSku: String!, $childSku: String!, $quantity: Float!) {
-      addConfigurableProductsToCart(
-        input: {
-          cart_id: $cartId
-          cart_items: [
-            {
-              parent_sku: $parentSku
-              data: {
-                sku: $childSku
-                quantity: $quantity
-              }
-            }
-          ]
-        }
-      ) {
-        cart {
-          items {
-            id
-            product {
-              name
-              sku
+        mutation AddConfigurableToCart($cartId: String!, $parentSku: String!, $childSku: String!, $quantity: Float!) {
+          addConfigurableProductsToCart(
+            input: {
+              cart_id: $cartId
+              cart_items: [
+                {
+                  parent_sku: $parentSku
+                  data: {
+                    sku: $childSku
+                    quantity: $quantity
+                  }
+                }
+              ]
             }
-            quantity
-            ... on ConfigurableCartItem {
-              configurable_options {
-                id
-                option_label
-                value_label
-              }
+          ) {
+            cart {
+              ${CART_DETAILS_FIELDS}
             }
           }
         }
-      }
-    }
-  `;
-
-      const variables = { cartId, parentSku, childSku, quantity };
-      const url = getCorsProxyUrl(GRAPHQL_ENDPOINT, USE_CORS_PROXY);
-
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-        mode: 'cors',
-        body: JSON.stringify({ query: mutation, variables }),
-      });
-
-      const result = await response.json();
-
-      if (result.errors?.length) {
-        const message = result.errors.map(e => e.message).join('; ');
-        throw new Error(message);
-      }
+      `;
 
-      return result.data?.addConfigurableProductsToCart?.cart?.items ?? [];
+      const cart = await this._withCartRecovery(await this.getCartId(), async cartId =>
+        (await this.client.request(mutation, { cartId, parentSku, childSku, quantity }))?.addConfigurableProductsToCart?.cart
+      );
+      this.updateCartCache(cart);
+      return cart;
     } catch (error) {
       console.error('Error adding configurable product to cart:', error);
       throw error;
@@ -534,31 +1530,81 @@ class MagentoApiService {
   }
 
   /**
-   * Add item to guest cart (handles both simple and configurable products)
+   * Add item to guest cart
+   * Simple and configurable products use their dedicated mutations; any
+   * other type without options (e.g. virtual) goes through addProductsToCart.
    * @param {string} sku - Product SKU (for simple) or child SKU (for configurable)
    * @param {number} quantity - Quantity to add
-   * @param {string} productType - Product type (SimpleProduct or ConfigurableProduct)
+   * @param {string} productType - Product __typename (SimpleProduct, ConfigurableProduct, VirtualProduct...)
    * @param {Array} selectedOptions - Selected variant options (deprecated - no longer used)
    * @param {string} parentSku - Parent SKU (required for configurable products)
-   * @returns {Promise<Object>} Cart item response
+   * @param {Object} preview - Optional { name, image, price } shown in the minicart while the add is queued offline
+   * @returns {Promise<Object|{queued: true}>} Updated cart data, or `{ queued: true }` when saved for later
    */
-  async addToGuestCart(sku, quantity = 1, productType = 'SimpleProduct', selectedOptions = [], parentSku = null) {
+  async addToGuestCart(sku, quantity = 1, productType = 'SimpleProduct', selectedOptions = [], parentSku = null, preview = null) {
     try {
-      if (productType === 'ConfigurableProduct') {
-        if (!parentSku) {
-          throw new Error('Parent SKU is required for configurable products');
-        }
-        // No need to pass configurable_options - Magento derives them from the child SKU
-        return await this.addConfigurableProductToCart(parentSku, sku, quantity);
-      } else {
-        return await this.addSimpleProductToCart(sku, quantity);
+      if (productType === 'ConfigurableProduct' && !parentSku) {
+        throw new Error(t('errors.parentSkuRequired'));
+      }
+      if (productType !== 'SimpleProduct' && productType !== 'ConfigurableProduct') {
+        return await this.addProductsToCart([{ sku, quantity }], preview);
       }
+      return await this._runCartMutation({ type: 'addToCart', sku, quantity, productType, parentSku, preview });
     } catch (error) {
       console.error('Error adding to guest cart:', error);
       throw error;
     }
   }
 
+  /**
+   * Add products of any type to the cart
+   * Uses Magento's generic addProductsToCart, which takes option UIDs for
+   * bundle selections, downloadable links and configurable values.
+   * @param {Array<Object>} cartItems - CartItemInput list:
+   *   { sku, quantity, parent_sku, selected_options: [uid], entered_options: [{ uid, value }] }
+   * @param {Object} preview - Optional { name, image, price } shown in the minicart while the add is queued offline
+   * @returns {Promise<Object|{queued: true}>} Updated cart data, or `{ queued: true }` when saved for later
+   * @throws {CartUserInputError} When Magento rejects some of the items
+   */
+  async addProductsToCart(cartItems, preview = null) {
+    try {
+      // The total quantity is kept for the minicart's pending items
+      const quantity = cartItems.reduce((sum, item) => sum + item.quantity, 0);
+      return await this._runCartMutation({ type: 'addProductsToCart', cartItems, quantity, preview });
+    } catch (error) {
+      console.error('Error adding products to cart:', error);
+      throw error;
+    }
+  }
+
+  async _addProductsToCart(cartItems) {
+    const mutation = `
+      mutation AddProductsToCart($cartId: String!, $cartItems: [CartItemInput!]!) {
+        addProductsToCart(cartId: $cartId, cartItems: $cartItems) {
+          cart {
+            ${CART_DETAILS_FIELDS}
+          }
+          user_errors {
+            code
+            message
+          }
+        }
+      }
+    `;
+
+    const result = await this._withCartRecovery(await this.getCartId(), async cartId =>
+      (await this.client.request(mutation, { cartId, cartItems }))?.addProductsToCart
+    );
+
+    if (result?.cart) {
+      this.updateCartCache(result.cart);
+    }
+    if (result?.user_errors?.length) {
+      throw new CartUserInputError(result.user_errors);
+    }
+    return result?.cart;
+  }
+
   /**
    * Get guest cart items
    * @returns {Promise<Array>} Cart items
@@ -566,22 +1612,7 @@ class MagentoApiService {
   async getGuestCartItems() {
     try {
       const cartId = await this.getGuestCartId();
-      const url = getCorsProxyUrl(`${API_ENDPOINT}/guest-carts/${cartId}/items`, USE_CORS_PROXY);
-
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-        mode: 'cors',
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      return await response.json();
+      return await this.client.rest(`/guest-carts/${cartId}/items`);
     } catch (error) {
       console.error('Error fetching cart items:', error);
       return [];
@@ -595,68 +1626,20 @@ class MagentoApiService {
    */
   async fetchCart(cartId) {
     try {
-      const url = getCorsProxyUrl(GRAPHQL_ENDPOINT, USE_CORS_PROXY);
-
       const query = `
         query GetCart($cartId: String!) {
           cart(cart_id: $cartId) {
-            items {
-              id
-              product {
-                name
-                sku
-                small_image {
-                  url
-                }
-                price_range {
-                  minimum_price {
-                    regular_price {
-                      value
-                      currency
-                    }
-                  }
-                }
-              }
-              quantity
-            }
-            prices {
-              grand_total {
-                value
-                currency
-              }
-            }
+            ${CART_DETAILS_FIELDS}
           }
         }
       `;
 
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-        mode: 'cors',
-        body: JSON.stringify({
-          query,
-          variables: { cartId },
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const gql = await response.json();
-
-      if (gql.errors && gql.errors.length > 0) {
-        const message = gql.errors.map(e => e.message).join('; ');
-        throw new Error(message);
-      }
+      const data = await this.client.request(query, { cartId });
 
-      return gql.data?.cart || null;
+      return data?.cart || null;
     } catch (error) {
       console.error('Error fetching cart:', error);
-      throw new Error(`Failed to fetch cart: ${error.message}`);
+      throw error;
     }
   }
 
@@ -683,14 +1666,14 @@ class MagentoApiService {
       }
 
       // If no cache or cache is old, fetch from GraphQL
-      const cartId = localStorage.getItem('guest_cart_id');
+      const cartId = this.getStoredCartId();
       
       if (!cartId) {
         // No cart ID, return empty cart
-        return { items: [], prices: { grand_total: { value: 0, currency: 'USD' } } };
+        return this._emptyCart();
       }
 
-      const cartData = await this.fetchCart(cartId);
+      const cartData = await this._withCartRecovery(cartId, id => this.fetchCart(id));
       
       // Save to local storage
       localStorage.setItem('cart_data', JSON.stringify(cartData));
@@ -705,7 +1688,7 @@ class MagentoApiService {
         return JSON.parse(cachedCart);
       }
       // Return empty cart as fallback
-      return { items: [], prices: { grand_total: { value: 0, currency: 'USD' } } };
+      return this._emptyCart();
     }
   }
 
@@ -718,235 +1701,1671 @@ class MagentoApiService {
   }
 
   /**
-   * Set guest email on cart
-   * @param {string} cartId - Cart ID
-   * @param {string} email - Guest email address
-   * @returns {Promise<Object>} Cart data with email
+   * Store fresh cart data in the local cache and notify listeners
+   * @param {Object} cartData - Cart data as returned by fetchCart
    */
-  async setGuestEmailOnCart(cartId, email) {
+  updateCartCache(cartData) {
+    localStorage.setItem('cart_data', JSON.stringify(cartData));
+    localStorage.setItem('cart_data_timestamp', Date.now().toString());
+    window.dispatchEvent(new Event('cartUpdated'));
+  }
+
+  /**
+   * Update quantities of cart items
+   * A quantity of 0 removes the item from the cart.
+   * @param {Array<{id: string, quantity: number}>} items - Cart item IDs with their new quantities
+   * @returns {Promise<Object>} Updated cart data
+   */
+  async updateCartItems(items) {
+    try {
+      return await this._runCartMutation({ type: 'updateCartItems', items });
+    } catch (error) {
+      console.error('Error updating cart items:', error);
+      throw error;
+    }
+  }
+
+  async _updateCartItems(items) {
+    const mutation = `
+      mutation UpdateCartItems($cartId: String!, $cartItems: [CartItemUpdateInput]!) {
+        updateCartItems(
+          input: {
+            cart_id: $cartId
+            cart_items: $cartItems
+          }
+        ) {
+          cart {
+            ${CART_DETAILS_FIELDS}
+          }
+        }
+      }
+    `;
+
+    const cartItems = items.map(item => ({
+      cart_item_id: parseInt(item.id, 10),
+      quantity: item.quantity,
+    }));
+
+    // The items cannot exist in a replacement cart, so show the fresh cart instead of retrying
+    const cart = await this._withCartRecovery(
+      await this.getCartId(),
+      async cartId => (await this.client.request(mutation, { cartId, cartItems }))?.updateCartItems?.cart,
+      cartId => this.fetchCart(cartId)
+    );
+    this.updateCartCache(cart);
+    return cart;
+  }
+
+  /**
+   * Remove an item from the cart
+   * @param {string} itemId - Cart item ID
+   * @returns {Promise<Object>} Updated cart data
+   */
+  async removeItemFromCart(itemId) {
     try {
-      const url = getCorsProxyUrl(GRAPHQL_ENDPOINT, USE_CORS_PROXY);
+      return await this._runCartMutation({ type: 'removeItemFromCart', itemId });
+    } catch (error) {
+      console.error('Error removing item from cart:', error);
+      throw error;
+    }
+  }
+
+  async _removeItemFromCart(itemId) {
+    const mutation = `
+      mutation RemoveItemFromCart($cartId: String!, $cartItemId: Int!) {
+        removeItemFromCart(
+          input: {
+            cart_id: $cartId
+            cart_item_id: $cartItemId
+          }
+        ) {
+          cart {
+            ${CART_DETAILS_FIELDS}
+          }
+        }
+      }
+    `;
+
+    const cartItemId = parseInt(itemId, 10);
+    const cart = await this._withCartRecovery(
+      await this.getCartId(),
+      async cartId => (await this.client.request(mutation, { cartId, cartItemId }))?.removeItemFromCart?.cart,
+      cartId => this.fetchCart(cartId)
+    );
+    this.updateCartCache(cart);
+    return cart;
+  }
+
+  // Send a cart mutation to Magento. Used directly and when replaying the offline queue.
+  _performCartMutation(mutation) {
+    switch (mutation.type) {
+      case 'addToCart':
+        // No need to pass configurable_options - Magento derives them from the child SKU
+        return mutation.productType === 'ConfigurableProduct'
+          ? this.addConfigurableProductToCart(mutation.parentSku, mutation.sku, mutation.quantity)
+          : this.addSimpleProductToCart(mutation.sku, mutation.quantity);
+      case 'addProductsToCart':
+        return this._addProductsToCart(mutation.cartItems);
+      case 'updateCartItems':
+        return this._updateCartItems(mutation.items);
+      case 'removeItemFromCart':
+        return this._removeItemFromCart(mutation.itemId);
+      default:
+        throw new Error(t('errors.unknownCartMutation', { type: mutation.type }));
+    }
+  }
+
+  // Run a cart mutation, or queue it in IndexedDB when the network is down.
+  // Earlier queued mutations are replayed first so the cart changes stay in order.
+  async _runCartMutation(mutation) {
+    if (navigator.onLine) {
+      if ((await offlineCartQueue.getAll()).length > 0) {
+        await this.syncOfflineCartQueue();
+      }
+      try {
+        return await this._performCartMutation(mutation);
+      } catch (error) {
+        if (!(error instanceof NetworkError)) {
+          throw error;
+        }
+      }
+    }
+
+    await offlineCartQueue.add(mutation);
+    this._requestBackgroundSync();
+    return this._applyQueuedMutation(mutation);
+  }
+
+  // Optimistically apply a queued mutation to the cached cart.
+  // Queued adds have no cart item yet; the minicart lists them from the queue.
+  _applyQueuedMutation(mutation) {
+    if (mutation.type === 'addToCart' || mutation.type === 'addProductsToCart') {
+      return { queued: true };
+    }
+
+    const cachedCart = localStorage.getItem('cart_data');
+    const cart = cachedCart ? JSON.parse(cachedCart) : this._emptyCart();
+
+    const quantities = mutation.type === 'updateCartItems'
+      ? new Map(mutation.items.map(item => [String(item.id), item.quantity]))
+      : new Map([[String(mutation.itemId), 0]]);
+
+    cart.items = cart.items
+      .map(item => quantities.has(String(item.id)) ? { ...item, quantity: quantities.get(String(item.id)) } : item)
+      .filter(item => item.quantity > 0);
+
+    this.updateCartCache(cart);
+    return cart;
+  }
+
+  _requestBackgroundSync() {
+    if ('serviceWorker' in navigator && 'SyncManager' in window) {
+      navigator.serviceWorker.ready
+        .then(registration => registration.sync.register(CART_QUEUE_SYNC_TAG))
+        .catch(error => console.warn('Background sync registration failed:', error));
+    }
+  }
+
+  /**
+   * Get the cart mutations waiting to be sent to Magento
+   * @returns {Promise<Array>} Queued mutations, oldest first
+   */
+  async getQueuedCartMutations() {
+    return offlineCartQueue.getAll();
+  }
+
+  /**
+   * Replay queued offline cart mutations in order
+   * Stops at the first network or server (5xx) failure so the rest stay
+   * queued. Mutations Magento rejects (e.g. a product went out of stock) are
+   * dropped and reported through a `cartSyncConflicts` event.
+   * @returns {Promise<Array<{mutation: Object, message: string}>>} Rejected mutations
+   */
+  syncOfflineCartQueue() {
+    if (!this._queueSync) {
+      this._queueSync = (async () => {
+        const entries = await offlineCartQueue.getAll();
+        const conflicts = [];
+        let replayed = 0;
+
+        for (const entry of entries) {
+          try {
+            await this._performCartMutation(entry);
+          } catch (error) {
+            // Network and server (e.g. 502/503) failures may succeed on a later try;
+            // only mutations Magento rejected are dropped
+            if (!(error instanceof GraphQLError || error instanceof CartUserInputError)) {
+              break;
+            }
+            conflicts.push({ mutation: entry, message: error.message });
+          }
+          await offlineCartQueue.remove(entry.id);
+          replayed++;
+        }
+
+        if (replayed > 0) {
+          this.clearCartCache();
+          window.dispatchEvent(new Event('cartUpdated'));
+        }
+        if (conflicts.length > 0) {
+          window.dispatchEvent(new CustomEvent('cartSyncConflicts', { detail: { conflicts } }));
+        }
+        return conflicts;
+      })().finally(() => {
+        this._queueSync = null;
+      });
+    }
+    return this._queueSync;
+  }
+
+  /**
+   * Replay the offline cart queue now and whenever connectivity returns
+   * The service worker relays Background Sync events to the page, since the
+   * replay needs the cart ID and customer token from localStorage.
+   */
+  startOfflineCartSync() {
+    const sync = () => {
+      this.syncOfflineCartQueue().catch(error => {
+        console.error('Error replaying offline cart queue:', error);
+      });
+    };
+
+    window.addEventListener('online', sync);
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'REPLAY_CART_QUEUE') {
+          sync();
+        }
+      });
+    }
+    if (navigator.onLine) {
+      sync();
+    }
+  }
 
+  /**
+   * Apply a coupon code to the active cart
+   * @param {string} couponCode - Coupon code
+   * @returns {Promise<Object>} Updated cart data
+   * @throws {GraphQLError} When Magento rejects the code
+   */
+  async applyCouponToCart(couponCode) {
+    try {
       const mutation = `
-        mutation SetGuestEmail($cartId: String!, $email: String!) {
-          setGuestEmailOnCart(
+        mutation ApplyCouponToCart($cartId: String!, $couponCode: String!) {
+          applyCouponToCart(
             input: {
               cart_id: $cartId
-              email: $email
+              coupon_code: $couponCode
             }
           ) {
             cart {
-              email
+              ${CART_DETAILS_FIELDS}
             }
           }
         }
       `;
 
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-        mode: 'cors',
-        body: JSON.stringify({
-          query: mutation,
-          variables: { cartId, email },
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const gql = await response.json();
-
-      if (gql.errors && gql.errors.length > 0) {
-        const message = gql.errors.map(e => e.message).join('; ');
-        throw new Error(message);
-      }
-
-      return gql.data?.setGuestEmailOnCart?.cart;
+      const cart = await this._withCartRecovery(await this.getCartId(), async cartId =>
+        (await this.client.request(mutation, { cartId, couponCode }))?.applyCouponToCart?.cart
+      );
+      this.updateCartCache(cart);
+      return cart;
     } catch (error) {
-      console.error('Error setting guest email:', error);
-      throw new Error(`Failed to set guest email: ${error.message}`);
+      console.error('Error applying coupon to cart:', error);
+      throw error;
     }
   }
 
   /**
-   * Set shipping address on cart
-   * @param {string} cartId - Cart ID
-   * @param {Object} address - Shipping address data
-   * @returns {Promise<Object>} Cart data with shipping addresses
+   * Remove the applied coupon code from the active cart
+   * @returns {Promise<Object>} Updated cart data
    */
-  async setShippingAddressOnCart(cartId, address) {
+  async removeCouponFromCart() {
     try {
-      const url = getCorsProxyUrl(GRAPHQL_ENDPOINT, USE_CORS_PROXY);
-
       const mutation = `
-        mutation SetShippingAddress($cartId: String!, $address: ShippingAddressInput!) {
-          setShippingAddressesOnCart(
+        mutation RemoveCouponFromCart($cartId: String!) {
+          removeCouponFromCart(
             input: {
               cart_id: $cartId
-              shipping_addresses: [$address]
             }
           ) {
             cart {
-              shipping_addresses {
-                firstname
-                lastname
-                street
-                city
-                region {
-                  code
-                  label
-                }
-                postcode
-                country {
-                  code
-                  label
-                }
-                telephone
-              }
+              ${CART_DETAILS_FIELDS}
             }
           }
         }
       `;
 
-      const variables = {
-        cartId,
-        address: {
-          address: {
-            firstname: address.firstname,
-            lastname: address.lastname,
-            street: address.street,
-            city: address.city,
-            region_id: address.region_id,
-            postcode: address.postcode,
-            country_code: address.country_code,
-            telephone: address.telephone,
-          },
-        },
-      };
+      const cart = await this._withCartRecovery(await this.getCartId(), async cartId =>
+        (await this.client.request(mutation, { cartId }))?.removeCouponFromCart?.cart
+      );
+      this.updateCartCache(cart);
+      return cart;
+    } catch (error) {
+      console.error('Error removing coupon from cart:', error);
+      throw error;
+    }
+  }
 
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-        mode: 'cors',
-        body: JSON.stringify({
-          query: mutation,
-          variables,
-        }),
+  /**
+   * Whether the store supports gift card accounts
+   * Gift cards are an Adobe Commerce feature; Magento Open Source has no
+   * `applied_gift_cards` on the cart. The answer is cached for the page.
+   * @returns {Promise<boolean>} True when gift cards can be applied
+   */
+  async supportsGiftCards() {
+    if (!this._giftCardSupport) {
+      this._giftCardSupport = (async () => {
+        const query = `
+          query GetCartFields {
+            __type(name: "Cart") {
+              fields {
+                name
+              }
+            }
+          }
+        `;
+
+        const data = await this.client.request(query, {}, { method: 'GET' });
+
+        return (data?.__type?.fields || []).some(field => field.name === 'applied_gift_cards');
+      })().catch(error => {
+        console.warn('Gift card support could not be detected, hiding gift cards:', error);
+        return false;
       });
+    }
+    return this._giftCardSupport;
+  }
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+  /**
+   * Fetch the gift cards applied to the active cart
+   * Only call when supportsGiftCards() resolves to true.
+   * @returns {Promise<Array>} Applied gift cards with code and applied_balance
+   */
+  async fetchAppliedGiftCards() {
+    const cartId = this.getStoredCartId();
+    if (!cartId) {
+      return [];
+    }
 
-      const gql = await response.json();
+    try {
+      const query = `
+        query GetAppliedGiftCards($cartId: String!) {
+          cart(cart_id: $cartId) {
+            ${APPLIED_GIFT_CARDS_FIELDS}
+          }
+        }
+      `;
 
-      if (gql.errors && gql.errors.length > 0) {
-        const message = gql.errors.map(e => e.message).join('; ');
-        throw new Error(message);
-      }
+      const data = await this.client.request(query, { cartId });
 
-      return gql.data?.setShippingAddressesOnCart?.cart;
+      return data?.cart?.applied_gift_cards || [];
     } catch (error) {
-      console.error('Error setting shipping address:', error);
-      throw new Error(`Failed to set shipping address: ${error.message}`);
+      console.error('Error fetching applied gift cards:', error);
+      throw error;
     }
   }
 
   /**
-   * Set billing address on cart
-   * @param {string} cartId - Cart ID
-   * @param {Object} address - Billing address data
-   * @param {boolean} useForShipping - Whether to use billing address for shipping
-   * @returns {Promise<Object>} Cart data with billing address
+   * Apply a gift card to the active cart
+   * @param {string} giftCardCode - Gift card code
+   * @returns {Promise<Object>} Updated cart data, including applied_gift_cards
+   * @throws {GraphQLError} When Magento rejects the code or the card has no balance
    */
-  async setBillingAddressOnCart(cartId, address, useForShipping = false) {
+  async applyGiftCardToCart(giftCardCode) {
     try {
-      const url = getCorsProxyUrl(GRAPHQL_ENDPOINT, USE_CORS_PROXY);
-
       const mutation = `
-        mutation SetBillingAddress($cartId: String!, $address: BillingAddressInput!) {
-          setBillingAddressOnCart(
+        mutation ApplyGiftCardToCart($cartId: String!, $giftCardCode: String!) {
+          applyGiftCardToCart(
             input: {
               cart_id: $cartId
-              billing_address: $address
+              gift_card_code: $giftCardCode
             }
           ) {
             cart {
-              billing_address {
-                firstname
-                lastname
-                street
-                city
-                region {
-                  code
-                  label
-                }
-                postcode
-                country {
-                  code
-                  label
-                }
-                telephone
-              }
+              ${CART_DETAILS_FIELDS}
+              ${APPLIED_GIFT_CARDS_FIELDS}
             }
           }
         }
       `;
 
-      const variables = {
-        cartId,
-        address: {
-          address: {
-            firstname: address.firstname,
-            lastname: address.lastname,
-            street: address.street,
-            city: address.city,
-            region_id: address.region_id,
-            postcode: address.postcode,
-            country_code: address.country_code,
-            telephone: address.telephone,
-          },
-          use_for_shipping: useForShipping,
-        },
-      };
+      const cart = await this._withCartRecovery(await this.getCartId(), async cartId =>
+        (await this.client.request(mutation, { cartId, giftCardCode }))?.applyGiftCardToCart?.cart
+      );
+      this.updateCartCache(cart);
+      return cart;
+    } catch (error) {
+      console.error('Error applying gift card to cart:', error);
+      throw error;
+    }
+  }
 
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-        mode: 'cors',
-        body: JSON.stringify({
-          query: mutation,
-          variables,
-        }),
-      });
+  /**
+   * Remove an applied gift card from the active cart
+   * @param {string} giftCardCode - Gift card code
+   * @returns {Promise<Object>} Updated cart data, including applied_gift_cards
+   */
+  async removeGiftCardFromCart(giftCardCode) {
+    try {
+      const mutation = `
+        mutation RemoveGiftCardFromCart($cartId: String!, $giftCardCode: String!) {
+          removeGiftCardFromCart(
+            input: {
+              cart_id: $cartId
+              gift_card_code: $giftCardCode
+            }
+          ) {
+            cart {
+              ${CART_DETAILS_FIELDS}
+              ${APPLIED_GIFT_CARDS_FIELDS}
+            }
+          }
+        }
+      `;
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+      const cart = await this._withCartRecovery(await this.getCartId(), async cartId =>
+        (await this.client.request(mutation, { cartId, giftCardCode }))?.removeGiftCardFromCart?.cart
+      );
+      this.updateCartCache(cart);
+      return cart;
+    } catch (error) {
+      console.error('Error removing gift card from cart:', error);
+      throw error;
+    }
+  }
 
-      const gql = await response.json();
+  /**
+   * Fetch the countries the store ships to, with their regions
+   * The list is cached for the lifetime of the page.
+   * @returns {Promise<Array>} Countries with id, full_name_locale and available_regions
+   */
+  async fetchCountries() {
+    if (!this._countries) {
+      this._countries = (async () => {
+        const query = `
+          query GetCountries {
+            countries {
+              id
+              full_name_locale
+              available_regions {
+                id
+                code
+                name
+              }
+            }
+          }
+        `;
 
-      if (gql.errors && gql.errors.length > 0) {
-        const message = gql.errors.map(e => e.message).join('; ');
-        throw new Error(message);
-      }
+        const data = await this.client.request(query, {}, { method: 'GET' });
 
-      return gql.data?.setBillingAddressOnCart?.cart;
-    } catch (error) {
-      console.error('Error setting billing address:', error);
-      throw new Error(`Failed to set billing address: ${error.message}`);
+        return (data?.countries || [])
+          .filter(country => country.full_name_locale)
+          .sort((a, b) => a.full_name_locale.localeCompare(b.full_name_locale));
+      })().catch(error => {
+        this._countries = null;
+        console.error('Error fetching countries:', error);
+        throw error;
+      });
     }
+    return this._countries;
+  }
+
+  /**
+   * Estimate shipping rates for the active cart
+   * Uses Magento's estimate-only mutation (2.4.7+), so nothing is saved on
+   * the cart and checkout still starts without a shipping address.
+   * @param {Object} destination - Where the cart ships to
+   * @param {string} destination.countryCode - Country code, e.g. US
+   * @param {number} destination.regionId - Region ID for countries with a region list
+   * @param {string} destination.region - Free-text region otherwise
+   * @param {string} destination.postcode - Postcode
+   * @returns {Promise<Array>} Shipping methods with their rates
+   */
+  async estimateShippingMethods(destination) {
+    try {
+      const mutation = `
+        mutation EstimateShippingMethods($cartId: String!, $address: EstimateAddressInput!) {
+          estimateShippingMethods(
+            input: {
+              cart_id: $cartId
+              address: $address
+            }
+          ) {
+            carrier_code
+            carrier_title
+            method_code
+            method_title
+            available
+            amount {
+              value
+              currency
+            }
+            error_message
+          }
+        }
+      `;
+
+      const address = this._toEstimateAddress(destination);
+
+      return await this._withCartRecovery(await this.getCartId(), async cartId =>
+        (await this.client.request(mutation, { cartId, address }))?.estimateShippingMethods || []
+      );
+    } catch (error) {
+      console.error('Error estimating shipping:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Estimate the cart totals for a destination and shipping method
+   * Like estimateShippingMethods, the cart itself is left unchanged.
+   * @param {Object} destination - Same shape as for estimateShippingMethods
+   * @param {string} carrierCode - Carrier code
+   * @param {string} methodCode - Method code
+   * @returns {Promise<Object>} Estimated cart prices
+   */
+  async estimateTotals(destination, carrierCode, methodCode) {
+    try {
+      const mutation = `
+        mutation EstimateTotals(
+          $cartId: String!
+          $address: EstimateAddressInput!
+          $shippingMethod: ShippingMethodInput
+        ) {
+          estimateTotals(
+            input: {
+              cart_id: $cartId
+              address: $address
+              shipping_method: $shippingMethod
+            }
+          ) {
+            cart {
+              ${CART_PRICES_FIELDS}
+            }
+          }
+        }
+      `;
+
+      const variables = {
+        address: this._toEstimateAddress(destination),
+        shippingMethod: { carrier_code: carrierCode, method_code: methodCode },
+      };
+
+      const cart = await this._withCartRecovery(await this.getCartId(), async cartId =>
+        (await this.client.request(mutation, { ...variables, cartId }))?.estimateTotals?.cart
+      );
+      return cart?.prices;
+    } catch (error) {
+      console.error('Error estimating totals:', error);
+      throw error;
+    }
+  }
+
+  // Estimator destination -> EstimateAddressInput
+  _toEstimateAddress({ countryCode, regionId = null, region = '', postcode = '' }) {
+    return {
+      country_code: countryCode,
+      postcode,
+      region: regionId ? { region_id: regionId } : { region },
+    };
+  }
+
+  /**
+   * Set guest email on cart
+   * @param {string} cartId - Cart ID
+   * @param {string} email - Guest email address
+   * @returns {Promise<Object>} Cart data with email
+   */
+  async setGuestEmailOnCart(cartId, email) {
+    try {
+      const mutation = `
+        mutation SetGuestEmail($cartId: String!, $email: String!) {
+          setGuestEmailOnCart(
+            input: {
+              cart_id: $cartId
+              email: $email
+            }
+          ) {
+            cart {
+              email
+            }
+          }
+        }
+      `;
+
+      const data = await this.client.request(mutation, { cartId, email });
+
+      return data?.setGuestEmailOnCart?.cart;
+    } catch (error) {
+      console.error('Error setting guest email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set shipping address on cart
+   * Refreshes the cart cache, as Magento drops the selected shipping method.
+   * @param {string} cartId - Cart ID
+   * @param {Object} address - Shipping address data
+   * @returns {Promise<Object>} Cart data with shipping addresses and their rates
+   */
+  async setShippingAddressOnCart(cartId, address) {
+    try {
+      const mutation = `
+        mutation SetShippingAddress($cartId: String!, $address: ShippingAddressInput!) {
+          setShippingAddressesOnCart(
+            input: {
+              cart_id: $cartId
+              shipping_addresses: [$address]
+            }
+          ) {
+            cart {
+              ${CART_DETAILS_FIELDS}
+              shipping_addresses {
+                firstname
+                lastname
+                street
+                city
+                region {
+                  code
+                  label
+                }
+                postcode
+                country {
+                  code
+                  label
+                }
+                telephone
+                ${SHIPPING_METHODS_FIELDS}
+              }
+            }
+          }
+        }
+      `;
+
+      const variables = {
+        cartId,
+        address: {
+          address: {
+            firstname: address.firstname,
+            lastname: address.lastname,
+            street: address.street,
+            city: address.city,
+            ...(address.region_id ? { region_id: address.region_id } : { region: address.region }),
+            postcode: address.postcode,
+            country_code: address.country_code,
+            telephone: address.telephone,
+          },
+        },
+      };
+
+      const data = await this.client.request(mutation, variables);
+      const cart = data?.setShippingAddressesOnCart?.cart;
+
+      if (cart) {
+        this.updateCartCache(cart);
+      }
+
+      return cart;
+    } catch (error) {
+      console.error('Error setting shipping address:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set billing address on cart
+   * @param {string} cartId - Cart ID
+   * @param {Object} address - Billing address data
+   * @param {boolean} useForShipping - Whether to use billing address for shipping
+   * @returns {Promise<Object>} Cart data with totals, billing address and available payment methods
+   */
+  async setBillingAddressOnCart(cartId, address, useForShipping = false) {
+    try {
+      const mutation = `
+        mutation SetBillingAddress($cartId: String!, $address: BillingAddressInput!) {
+          setBillingAddressOnCart(
+            input: {
+              cart_id: $cartId
+              billing_address: $address
+            }
+          ) {
+            cart {
+              ${CART_DETAILS_FIELDS}
+              billing_address {
+                firstname
+                lastname
+                street
+                city
+                region {
+                  code
+                  label
+                }
+                postcode
+                country {
+                  code
+                  label
+                }
+                telephone
+              }
+              available_payment_methods {
+                code
+                title
+              }
+            }
+          }
+        }
+      `;
+
+      const variables = {
+        cartId,
+        address: {
+          address: {
+            firstname: address.firstname,
+            lastname: address.lastname,
+            street: address.street,
+            city: address.city,
+            ...(address.region_id ? { region_id: address.region_id } : { region: address.region }),
+            postcode: address.postcode,
+            country_code: address.country_code,
+            telephone: address.telephone,
+          },
+          use_for_shipping: useForShipping,
+        },
+      };
+
+      const data = await this.client.request(mutation, variables);
+      const cart = data?.setBillingAddressOnCart?.cart;
+
+      if (cart) {
+        this.updateCartCache(cart);
+      }
+
+      return cart;
+    } catch (error) {
+      console.error('Error setting billing address:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set shipping method on cart
+   * @param {string} cartId - Cart ID
+   * @param {string} carrierCode - Carrier code (e.g. flatrate)
+   * @param {string} methodCode - Method code (e.g. flatrate)
+   * @returns {Promise<Object>} Cart data with selected shipping method and available payment methods
+   */
+  async setShippingMethodsOnCart(cartId, carrierCode, methodCode) {
+    try {
+      const mutation = `
+        mutation SetShippingMethods($cartId: String!, $carrierCode: String!, $methodCode: String!) {
+          setShippingMethodsOnCart(
+            input: {
+              cart_id: $cartId
+              shipping_methods: [
+                {
+                  carrier_code: $carrierCode
+                  method_code: $methodCode
+                }
+              ]
+            }
+          ) {
+            cart {
+              ${CART_DETAILS_FIELDS}
+              available_payment_methods {
+                code
+                title
+              }
+            }
+          }
+        }
+      `;
+
+      const data = await this.client.request(mutation, { cartId, carrierCode, methodCode });
+      const cart = data?.setShippingMethodsOnCart?.cart;
+
+      if (cart) {
+        this.updateCartCache(cart);
+      }
+
+      return cart;
+    } catch (error) {
+      console.error('Error setting shipping method:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set payment method on cart
+   * @param {string} cartId - Cart ID
+   * @param {string} paymentCode - Payment method code (e.g. checkmo, free)
+   * @returns {Promise<Object>} Cart data with selected payment method
+   */
+  async setPaymentMethodOnCart(cartId, paymentCode) {
+    try {
+      const mutation = `
+        mutation SetPaymentMethod($cartId: String!, $paymentCode: String!) {
+          setPaymentMethodOnCart(
+            input: {
+              cart_id: $cartId
+              payment_method: {
+                code: $paymentCode
+              }
+            }
+          ) {
+            cart {
+              selected_payment_method {
+                code
+                title
+              }
+            }
+          }
+        }
+      `;
+
+      const data = await this.client.request(mutation, { cartId, paymentCode });
+
+      return data?.setPaymentMethodOnCart?.cart;
+    } catch (error) {
+      console.error('Error setting payment method:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Place order for the cart
+   * Clears the stored cart ID and cart cache once the order is created,
+   * since Magento deactivates the quote after a successful order.
+   * @param {string} cartId - Cart ID
+   * @returns {Promise<Object>} Order data with order_number
+   */
+  async placeOrder(cartId) {
+    try {
+      const mutation = `
+        mutation PlaceOrder($cartId: String!) {
+          placeOrder(
+            input: {
+              cart_id: $cartId
+            }
+          ) {
+            order {
+              order_number
+            }
+          }
+        }
+      `;
+
+      const data = await this.client.request(mutation, { cartId });
+
+      const order = data?.placeOrder?.order;
+
+      if (!order?.order_number) {
+        throw new Error(t('errors.noOrderNumber'));
+      }
+
+      // The quote is inactive after ordering, start fresh on next add-to-cart
+      localStorage.removeItem(this.isSignedIn() ? CUSTOMER_CART_ID_KEY : 'guest_cart_id');
+      this.clearCartCache();
+      window.dispatchEvent(new Event('cartUpdated'));
+
+      return order;
+    } catch (error) {
+      console.error('Error placing order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the stored customer token
+   * @returns {string|null} Customer bearer token
+   */
+  getCustomerToken() {
+    return localStorage.getItem(CUSTOMER_TOKEN_KEY);
+  }
+
+  /**
+   * Check whether a customer is signed in
+   * @returns {boolean} True when a customer token is stored
+   */
+  isSignedIn() {
+    return !!this.getCustomerToken();
+  }
+
+  /**
+   * Get the signed-in customer saved at sign-in
+   * @returns {Object|null} Customer data (firstname, lastname, email)
+   */
+  getCurrentCustomer() {
+    const customer = localStorage.getItem(CUSTOMER_DATA_KEY);
+    return customer ? JSON.parse(customer) : null;
+  }
+
+  /**
+   * Generate a customer token
+   * @param {string} email - Customer email
+   * @param {string} password - Customer password
+   * @returns {Promise<string>} Customer bearer token
+   */
+  async generateCustomerToken(email, password) {
+    try {
+      const mutation = `
+        mutation GenerateCustomerToken($email: String!, $password: String!) {
+          generateCustomerToken(email: $email, password: $password) {
+            token
+          }
+        }
+      `;
+
+      const data = await this.client.request(mutation, { email, password });
+
+      const token = data?.generateCustomerToken?.token;
+
+      if (!token) {
+        throw new Error(t('errors.noCustomerToken'));
+      }
+
+      return token;
+    } catch (error) {
+      console.error('Error generating customer token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a customer account
+   * @param {Object} customer - Customer data
+   * @param {string} customer.firstname - First name
+   * @param {string} customer.lastname - Last name
+   * @param {string} customer.email - Email address
+   * @param {string} customer.password - Password
+   * @param {boolean} customer.is_subscribed - Newsletter subscription (default: false)
+   * @returns {Promise<Object>} Created customer data
+   */
+  async createCustomer(customer) {
+    try {
+      const mutation = `
+        mutation CreateCustomer($input: CustomerInput!) {
+          createCustomer(input: $input) {
+            customer {
+              firstname
+              lastname
+              email
+            }
+          }
+        }
+      `;
+
+      const input = {
+        firstname: customer.firstname,
+        lastname: customer.lastname,
+        email: customer.email,
+        password: customer.password,
+        is_subscribed: !!customer.is_subscribed,
+      };
+
+      const data = await this.client.request(mutation, { input });
+
+      return data?.createCustomer?.customer;
+    } catch (error) {
+      console.error('Error creating customer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the signed-in customer
+   * @returns {Promise<Object>} Customer data
+   */
+  async fetchCustomer() {
+    try {
+      const query = `
+        query GetCustomer {
+          customer {
+            firstname
+            lastname
+            email
+          }
+        }
+      `;
+
+      const data = await this.client.request(query);
+
+      return data?.customer;
+    } catch (error) {
+      console.error('Error fetching customer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the signed-in customer's saved addresses
+   * @returns {Promise<Array>} Customer addresses
+   */
+  async fetchCustomerAddresses() {
+    try {
+      const query = `
+        query GetCustomerAddresses {
+          customer {
+            addresses {
+              ${CUSTOMER_ADDRESS_FIELDS}
+            }
+          }
+        }
+      `;
+
+      const data = await this.client.request(query);
+
+      return data?.customer?.addresses || [];
+    } catch (error) {
+      console.error('Error fetching customer addresses:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a new address to the customer's address book
+   * @param {Object} address - Address in the Checkout form shape
+   * @param {Object} defaults - Optional { default_shipping, default_billing }
+   * @returns {Promise<Object>} Created customer address
+   */
+  async createCustomerAddress(address, defaults = {}) {
+    try {
+      const mutation = `
+        mutation CreateCustomerAddress($input: CustomerAddressInput!) {
+          createCustomerAddress(input: $input) {
+            ${CUSTOMER_ADDRESS_FIELDS}
+          }
+        }
+      `;
+
+      const input = { ...this._toCustomerAddressInput(address), ...defaults };
+      const data = await this.client.request(mutation, { input });
+
+      return data?.createCustomerAddress;
+    } catch (error) {
+      console.error('Error creating customer address:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a saved customer address
+   * @param {number} id - Customer address ID
+   * @param {Object} address - Address in the Checkout form shape, or null to only change defaults
+   * @param {Object} defaults - Optional { default_shipping, default_billing }
+   * @returns {Promise<Object>} Updated customer address
+   */
+  async updateCustomerAddress(id, address, defaults = {}) {
+    try {
+      const mutation = `
+        mutation UpdateCustomerAddress($id: Int!, $input: CustomerAddressInput) {
+          updateCustomerAddress(id: $id, input: $input) {
+            ${CUSTOMER_ADDRESS_FIELDS}
+          }
+        }
+      `;
+
+      const input = { ...(address && this._toCustomerAddressInput(address)), ...defaults };
+      const data = await this.client.request(mutation, { id, input });
+
+      return data?.updateCustomerAddress;
+    } catch (error) {
+      console.error('Error updating customer address:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a saved customer address
+   * Magento refuses to delete the default shipping or billing address.
+   * @param {number} id - Customer address ID
+   * @returns {Promise<boolean>} True if the address was deleted
+   */
+  async deleteCustomerAddress(id) {
+    try {
+      const mutation = `
+        mutation DeleteCustomerAddress($id: Int!) {
+          deleteCustomerAddress(id: $id)
+        }
+      `;
+
+      const data = await this.client.request(mutation, { id });
+
+      return !!data?.deleteCustomerAddress;
+    } catch (error) {
+      console.error('Error deleting customer address:', error);
+      throw error;
+    }
+  }
+
+  // Checkout form address -> CustomerAddressInput
+  _toCustomerAddressInput(address) {
+    return {
+      firstname: address.firstname,
+      lastname: address.lastname,
+      street: address.street,
+      city: address.city,
+      region: address.region_id ? { region_id: address.region_id } : { region: address.region },
+      postcode: address.postcode,
+      country_code: address.country_code,
+      telephone: address.telephone,
+    };
+  }
+
+  /**
+   * Fetch a page of the signed-in customer's orders, newest first
+   * @param {Object} params - { currentPage, pageSize }
+   * @returns {Promise<{items: Array, pageInfo: Object, totalCount: number}>} Orders page
+   */
+  async fetchCustomerOrders({ currentPage = 1, pageSize = 10 } = {}) {
+    try {
+      const query = `
+        query GetCustomerOrders($currentPage: Int, $pageSize: Int) {
+          customer {
+            orders(
+              currentPage: $currentPage
+              pageSize: $pageSize
+              sort: { sort_field: CREATED_AT, sort_direction: DESC }
+            ) {
+              items {
+                number
+                order_date
+                status
+                total {
+                  grand_total {
+                    ${MONEY_FIELDS}
+                  }
+                }
+              }
+              page_info {
+                current_page
+                page_size
+                total_pages
+              }
+              total_count
+            }
+          }
+        }
+      `;
+
+      const data = await this.client.request(query, { currentPage, pageSize });
+      const orders = data?.customer?.orders;
+
+      return {
+        items: orders?.items || [],
+        pageInfo: orders?.page_info || { current_page: currentPage, page_size: pageSize, total_pages: 0 },
+        totalCount: orders?.total_count || 0,
+      };
+    } catch (error) {
+      console.error('Error fetching customer orders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch one of the signed-in customer's orders with items, totals,
+   * shipments and invoices
+   * @param {string} orderNumber - Order increment ID, e.g. 000000012
+   * @returns {Promise<Object|null>} Order details, or null if the customer has no such order
+   */
+  async fetchCustomerOrder(orderNumber) {
+    try {
+      const query = `
+        query GetCustomerOrder($number: String!) {
+          customer {
+            orders(filter: { number: { eq: $number } }) {
+              items {
+                number
+                order_date
+                status
+                items {
+                  id
+                  product_name
+                  product_sku
+                  quantity_ordered
+                  quantity_shipped
+                  product_sale_price {
+                    ${MONEY_FIELDS}
+                  }
+                  selected_options {
+                    label
+                    value
+                  }
+                }
+                total {
+                  subtotal {
+                    ${MONEY_FIELDS}
+                  }
+                  discounts {
+                    label
+                    amount {
+                      ${MONEY_FIELDS}
+                    }
+                  }
+                  total_shipping {
+                    ${MONEY_FIELDS}
+                  }
+                  total_tax {
+                    ${MONEY_FIELDS}
+                  }
+                  grand_total {
+                    ${MONEY_FIELDS}
+                  }
+                }
+                shipping_address {
+                  ${ORDER_ADDRESS_FIELDS}
+                }
+                billing_address {
+                  ${ORDER_ADDRESS_FIELDS}
+                }
+                shipping_method
+                payment_methods {
+                  name
+                }
+                shipments {
+                  id
+                  number
+                  tracking {
+                    title
+                    carrier
+                    number
+                  }
+                  items {
+                    id
+                    product_name
+                    quantity_shipped
+                  }
+                }
+                invoices {
+                  id
+                  number
+                  items {
+                    id
+                    product_name
+                    quantity_invoiced
+                  }
+                  total {
+                    grand_total {
+                      ${MONEY_FIELDS}
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      `;
+
+      const data = await this.client.request(query, { number: orderNumber });
+
+      return data?.customer?.orders?.items?.[0] || null;
+    } catch (error) {
+      console.error(`Error fetching order ${orderNumber}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add the items of a past order to the customer's cart
+   * Items that are no longer available are reported instead of added.
+   * @param {string} orderNumber - Order increment ID
+   * @returns {Promise<{cart: Object, userInputErrors: Array}>} Updated cart and any rejected items
+   */
+  async reorderItems(orderNumber) {
+    try {
+      const mutation = `
+        mutation ReorderItems($orderNumber: String!) {
+          reorderItems(orderNumber: $orderNumber) {
+            cart {
+              ${CART_DETAILS_FIELDS}
+            }
+            userInputErrors {
+              code
+              message
+              path
+            }
+          }
+        }
+      `;
+
+      const data = await this.client.request(mutation, { orderNumber });
+      const result = data?.reorderItems;
+
+      if (result?.cart) {
+        this.updateCartCache(result.cart);
+      }
+
+      return { cart: result?.cart, userInputErrors: result?.userInputErrors || [] };
+    } catch (error) {
+      console.error(`Error reordering ${orderNumber}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the items on the shopper's wishlist
+   * Signed-in customers use their Magento wishlist, cached until it changes
+   * or the customer signs in or out. Guests get the list kept in localStorage.
+   * @returns {Promise<Array>} Items with sku, name, productType, url, image and price
+   */
+  async getWishlistItems() {
+    if (!this.isSignedIn()) {
+      return this._getGuestWishlist();
+    }
+    const wishlist = await this._fetchCustomerWishlist();
+    return wishlist.items;
+  }
+
+  /**
+   * Add a product to the shopper's wishlist
+   * @param {Object} product - Product summary to save
+   * @param {string} product.sku - Product SKU
+   * @param {string} product.name - Product name
+   * @param {string} product.productType - GraphQL type, e.g. SimpleProduct
+   * @param {string} product.url - Storefront URL of the product page
+   * @param {string} product.image - Image URL
+   * @param {{value: number, currency: string}} product.price - Final price
+   * @returns {Promise<Array>} Updated wishlist items
+   */
+  async addToWishlist(product) {
+    if (!this.isSignedIn()) {
+      const items = this._getGuestWishlist().filter(item => item.sku !== product.sku);
+      const { sku, name, productType, url, image, price } = product;
+      return this._setGuestWishlist([...items, { sku, name, productType, url, image, price }]);
+    }
+
+    try {
+      const wishlist = await this._fetchCustomerWishlist();
+      return await this._addProductsToWishlist(wishlist.id, [product.sku]);
+    } catch (error) {
+      console.error(`Error adding ${product.sku} to the wishlist:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a product from the shopper's wishlist
+   * @param {string} sku - Product SKU
+   * @returns {Promise<Array>} Updated wishlist items
+   */
+  async removeFromWishlist(sku) {
+    if (!this.isSignedIn()) {
+      return this._setGuestWishlist(this._getGuestWishlist().filter(item => item.sku !== sku));
+    }
+
+    try {
+      const wishlist = await this._fetchCustomerWishlist();
+      const itemIds = wishlist.items.filter(item => item.sku === sku).map(item => item.id);
+      if (itemIds.length === 0) {
+        return wishlist.items;
+      }
+
+      const mutation = `
+        mutation RemoveProductsFromWishlist($wishlistId: ID!, $wishlistItemsIds: [ID!]!) {
+          removeProductsFromWishlist(wishlistId: $wishlistId, wishlistItemsIds: $wishlistItemsIds) {
+            wishlist {
+              ${WISHLIST_FIELDS}
+            }
+            user_errors {
+              code
+              message
+            }
+          }
+        }
+      `;
+
+      const data = await this.client.request(mutation, { wishlistId: wishlist.id, wishlistItemsIds: itemIds });
+      return this._applyWishlistResult(data?.removeProductsFromWishlist);
+    } catch (error) {
+      console.error(`Error removing ${sku} from the wishlist:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move the guest wishlist into the signed-in customer's wishlist
+   * Products already on the customer's wishlist are skipped. The guest list
+   * is only cleared once Magento has accepted the items.
+   */
+  async mergeGuestWishlist() {
+    const guestItems = this._getGuestWishlist();
+    if (guestItems.length === 0) {
+      return;
+    }
+
+    const wishlist = await this._fetchCustomerWishlist();
+    const savedSkus = new Set(wishlist.items.map(item => item.sku));
+    const skus = guestItems.map(item => item.sku).filter(sku => !savedSkus.has(sku));
+
+    if (skus.length > 0) {
+      await this._addProductsToWishlist(wishlist.id, skus);
+    }
+    localStorage.removeItem(GUEST_WISHLIST_KEY);
+  }
+
+  async _fetchCustomerWishlist() {
+    if (!this._wishlist) {
+      this._wishlist = (async () => {
+        const query = `
+          query GetWishlist {
+            customer {
+              wishlists {
+                ${WISHLIST_FIELDS}
+              }
+            }
+          }
+        `;
+
+        const data = await this.client.request(query);
+        const wishlist = data?.customer?.wishlists?.[0];
+
+        if (!wishlist) {
+          throw new Error(t('errors.noWishlist'));
+        }
+
+        return this._toWishlist(wishlist);
+      })().catch(error => {
+        this._wishlist = null;
+        console.error('Error fetching wishlist:', error);
+        throw error;
+      });
+    }
+    return this._wishlist;
+  }
+
+  async _addProductsToWishlist(wishlistId, skus) {
+    const mutation = `
+      mutation AddProductsToWishlist($wishlistId: ID!, $wishlistItems: [WishlistItemInput!]!) {
+        addProductsToWishlist(wishlistId: $wishlistId, wishlistItems: $wishlistItems) {
+          wishlist {
+            ${WISHLIST_FIELDS}
+          }
+          user_errors {
+            code
+            message
+          }
+        }
+      }
+    `;
+
+    const wishlistItems = skus.map(sku => ({ sku, quantity: 1 }));
+    const data = await this.client.request(mutation, { wishlistId, wishlistItems });
+    return this._applyWishlistResult(data?.addProductsToWishlist);
+  }
+
+  // Cache the wishlist returned by a mutation, or throw its first user error
+  _applyWishlistResult(result) {
+    if (result?.user_errors?.length > 0) {
+      throw new Error(result.user_errors[0].message);
+    }
+
+    const wishlist = this._toWishlist(result.wishlist);
+    this._wishlist = Promise.resolve(wishlist);
+    window.dispatchEvent(new Event('wishlistChanged'));
+    return wishlist.items;
+  }
+
+  // Normalize a Magento wishlist to the shape used for guest wishlists
+  _toWishlist(wishlist) {
+    const items = (wishlist.items_v2?.items || [])
+      .filter(item => item.product)
+      .map(({ id, product }) => ({
+        id,
+        sku: product.sku,
+        name: product.name,
+        productType: product.__typename,
+        url: getProductUrl(product),
+        image: product.small_image?.url || null,
+        price: product.price_range?.minimum_price?.final_price || null,
+      }));
+
+    return { id: wishlist.id, items };
+  }
+
+  _getGuestWishlist() {
+    try {
+      return JSON.parse(localStorage.getItem(GUEST_WISHLIST_KEY)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  _setGuestWishlist(items) {
+    localStorage.setItem(GUEST_WISHLIST_KEY, JSON.stringify(items));
+    window.dispatchEvent(new Event('wishlistChanged'));
+    return items;
+  }
+
+  /**
+   * Fetch the signed-in customer's cart ID
+   * Magento creates the customer cart if it does not exist yet.
+   * @returns {Promise<string>} Customer cart ID
+   */
+  async fetchCustomerCartId() {
+    try {
+      const query = `
+        query GetCustomerCart {
+          customerCart {
+            id
+          }
+        }
+      `;
+
+      const data = await this.client.request(query);
+
+      const cartId = data?.customerCart?.id;
+
+      if (!cartId) {
+        throw new Error(t('errors.noCustomerCartId'));
+      }
+
+      localStorage.setItem(CUSTOMER_CART_ID_KEY, cartId);
+      return cartId;
+    } catch (error) {
+      console.error('Error fetching customer cart:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge a guest cart into the customer cart
+   * @param {string} sourceCartId - Guest cart ID
+   * @param {string} destinationCartId - Customer cart ID
+   * @returns {Promise<Object>} Merged cart data
+   */
+  async mergeCarts(sourceCartId, destinationCartId) {
+    try {
+      const mutation = `
+        mutation MergeCarts($sourceCartId: String!, $destinationCartId: String!) {
+          mergeCarts(
+            source_cart_id: $sourceCartId
+            destination_cart_id: $destinationCartId
+          ) {
+            ${CART_DETAILS_FIELDS}
+          }
+        }
+      `;
+
+      const data = await this.client.request(mutation, { sourceCartId, destinationCartId });
+
+      return data?.mergeCarts;
+    } catch (error) {
+      console.error('Error merging carts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke the current customer token
+   * @returns {Promise<boolean>} True if the token was revoked
+   */
+  async revokeCustomerToken() {
+    try {
+      const mutation = `
+        mutation RevokeCustomerToken {
+          revokeCustomerToken {
+            result
+          }
+        }
+      `;
+
+      const data = await this.client.request(mutation);
+
+      return !!data?.revokeCustomerToken?.result;
+    } catch (error) {
+      console.error('Error revoking customer token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign in a customer
+   * Stores the token, merges any guest cart and guest wishlist into the
+   * customer's and refreshes the cart cache. A guest cart that fails to
+   * merge is kept for the next sign-in and a `cartMergeFailed` event is fired.
+   * @param {string} email - Customer email
+   * @param {string} password - Customer password
+   * @returns {Promise<Object>} Signed-in customer data
+   */
+  async signIn(email, password) {
+    const token = await this.generateCustomerToken(email, password);
+    localStorage.setItem(CUSTOMER_TOKEN_KEY, token);
+
+    try {
+      const customerCartId = await this.fetchCustomerCartId();
+      const guestCartId = localStorage.getItem('guest_cart_id');
+
+      let cartData;
+      let guestCartDone = true;
+      if (guestCartId && guestCartId !== customerCartId) {
+        try {
+          cartData = await this.mergeCarts(guestCartId, customerCartId);
+        } catch (error) {
+          // Keep the customer signed in even if the guest cart could not be merged
+          console.warn('Guest cart could not be merged:', error);
+          // A cart Magento no longer knows has nothing left to lose
+          guestCartDone = error instanceof CartNotFoundError;
+        }
+      }
+
+      if (guestCartDone) {
+        localStorage.removeItem('guest_cart_id');
+      } else {
+        window.dispatchEvent(new Event('cartMergeFailed'));
+      }
+
+      this._wishlist = null;
+      try {
+        await this.mergeGuestWishlist();
+      } catch (error) {
+        // The guest wishlist is kept and merged again on the next sign-in
+        console.warn('Guest wishlist could not be merged:', error);
+      }
+
+      const customer = await this.fetchCustomer();
+      localStorage.setItem(CUSTOMER_DATA_KEY, JSON.stringify(customer));
+
+      this.updateCartCache(cartData || await this.fetchCart(customerCartId));
+      window.dispatchEvent(new Event('wishlistChanged'));
+      window.dispatchEvent(new Event('authChanged'));
+
+      return customer;
+    } catch (error) {
+      this._clearCustomerSession();
+      throw error;
+    }
+  }
+
+  /**
+   * Sign out the current customer
+   * Revokes the token on Magento and clears all customer and cart state.
+   */
+  async signOut() {
+    try {
+      await this.revokeCustomerToken();
+    } catch (error) {
+      // The local session is cleared regardless, the token may already be expired
+      console.warn('Customer token could not be revoked:', error);
+    }
+    this._clearCustomerSession();
+  }
+
+  // Remove the customer token, customer cart, cached cart data and the offline
+  // cart queue, whose mutations belong to the customer's cart
+  _clearCustomerSession() {
+    localStorage.removeItem(CUSTOMER_TOKEN_KEY);
+    localStorage.removeItem(CUSTOMER_DATA_KEY);
+    localStorage.removeItem(CUSTOMER_CART_ID_KEY);
+    this._wishlist = null;
+    this.clearCartCache();
+    offlineCartQueue.clear().catch(error => {
+      console.error('Error clearing offline cart queue:', error);
+    });
+    window.dispatchEvent(new Event('cartUpdated'));
+    window.dispatchEvent(new Event('wishlistChanged'));
+    window.dispatchEvent(new Event('authChanged'));
   }
 }
 
@@ -0,0 +1,97 @@
+/**
+ * Offline cart queue
+ * Persists cart mutations made while offline in IndexedDB so they survive
+ * reloads and can be replayed in order once the network is back.
+ */
+
+const DB_NAME = 'magento-pwa';
+const DB_VERSION = 1;
+const STORE_NAME = 'cart-mutations';
+
+// Background Sync tag registered with the service worker
+export const CART_QUEUE_SYNC_TAG = 'cart-queue';
+
+// Wrap an IDBRequest in a promise
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+class OfflineCartQueue {
+  constructor() {
+    this._db = null;
+  }
+
+  _open() {
+    if (!this._db) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        // Auto-incremented keys keep the mutations in the order they were made
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      };
+      this._db = promisify(request).catch((error) => {
+        this._db = null;
+        throw error;
+      });
+    }
+    return this._db;
+  }
+
+  async _store(mode) {
+    const db = await this._open();
+    return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  }
+
+  _notify() {
+    window.dispatchEvent(new Event('cartQueueChanged'));
+  }
+
+  /**
+   * Add a mutation to the end of the queue
+   * @param {Object} mutation - Mutation with a `type` and its arguments
+   * @returns {Promise<Object>} The stored entry including its `id`
+   */
+  async add(mutation) {
+    const entry = { ...mutation, createdAt: Date.now() };
+    const store = await this._store('readwrite');
+    entry.id = await promisify(store.add(entry));
+    this._notify();
+    return entry;
+  }
+
+  /**
+   * Get all queued mutations, oldest first
+   * @returns {Promise<Array>} Queued entries
+   */
+  async getAll() {
+    try {
+      const store = await this._store('readonly');
+      return await promisify(store.getAll());
+    } catch (error) {
+      console.error('Error reading offline cart queue:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Remove a mutation from the queue
+   * @param {number} id - Entry ID
+   */
+  async remove(id) {
+    const store = await this._store('readwrite');
+    await promisify(store.delete(id));
+    this._notify();
+  }
+
+  /**
+   * Drop every queued mutation
+   */
+  async clear() {
+    const store = await this._store('readwrite');
+    await promisify(store.clear());
+    this._notify();
+  }
+}
+
+export default new OfflineCartQueue();
@@ -0,0 +1,95 @@
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { CART_QUEUE_SYNC_TAG } from './services/offlineCartQueue';
+import { loadRuntimeConfig, getRuntimeConfig, getMagentoEndpoints } from './utils/runtimeConfig';
+
+// App shell (bundle, index.html, icons) injected at build time
+precacheAndRoute(self.__WB_MANIFEST);
+
+// The Magento base URL can be changed by config.json, like in the page
+const runtimeConfigLoaded = loadRuntimeConfig();
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(runtimeConfigLoaded);
+});
+
+// Same-origin paths served by Magento, which navigations must reach directly.
+// A base URL at the site root only reserves the GraphQL and REST endpoints.
+const getBackendPaths = () => {
+  const { baseUrl, graphqlEndpoint, restEndpoint } = getMagentoEndpoints(getRuntimeConfig());
+  return (baseUrl ? [baseUrl] : [graphqlEndpoint, restEndpoint])
+    .map(path => new URL(path, self.location.origin))
+    .filter(url => url.origin === self.location.origin)
+    .map(url => url.pathname.replace(/\/$/, ''));
+};
+
+const isBackendPath = (pathname) => getBackendPaths().some(path =>
+  pathname === path || pathname.startsWith(`${path}/`)
+);
+
+// Every app route renders the cached shell so deep links work offline
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && !isBackendPath(url.pathname),
+  createHandlerBoundToURL('/index.html')
+);
+
+// Product images
+registerRoute(
+  ({ url }) => url.pathname.includes('/media/catalog/product/'),
+  new CacheFirst({
+    cacheName: 'product-images',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 300, maxAgeSeconds: 30 * 24 * 60 * 60 }),
+    ],
+  })
+);
+
+// Read-only catalogue queries are sent as GET; mutations stay POST and are never cached.
+// Signed-in queries are left alone: prices and stock vary by customer group, and
+// the cached response would be served to guests and other customers.
+registerRoute(
+  ({ url, request }) => request.method === 'GET'
+    && url.pathname.endsWith('/graphql')
+    && !request.headers.has('Authorization'),
+  new StaleWhileRevalidate({
+    cacheName: 'catalog-queries',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({ maxEntries: 200, maxAgeSeconds: 7 * 24 * 60 * 60 }),
+      {
+        // The same query returns different data per store view
+        cacheKeyWillBeUsed: async ({ request }) => {
+          const store = request.headers.get('Store');
+          if (!store) {
+            return request;
+          }
+          const url = new URL(request.url);
+          url.searchParams.set('__store', store);
+          return url.toString();
+        },
+      },
+    ],
+  })
+);
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Queued offline cart mutations are replayed by the page, which holds the
+// cart ID and customer token, so just wake up any open window
+self.addEventListener('sync', (event) => {
+  if (event.tag === CART_QUEUE_SYNC_TAG) {
+    event.waitUntil(
+      self.clients.matchAll({ type: 'window' }).then((clients) => {
+        clients.forEach((client) => client.postMessage({ type: 'REPLAY_CART_QUEUE' }));
+      })
+    );
+  }
+});
@@ -0,0 +1,87 @@
+/**
+ * Responsive product image URLs
+ * Magento serves catalog images at their uploaded size. When an image
+ * optimizer sits in front of the media URLs (Fastly IO, as on Adobe Commerce
+ * Cloud), a ?width= parameter returns a resized copy, so srcset can offer
+ * the browser several widths.
+ *
+ * With `imageResizing: 'auto'` (the default) the media server is probed once
+ * with a tiny resized image and the answer is remembered in localStorage.
+ */
+
+import { getRuntimeConfig } from './runtimeConfig';
+
+// Widths offered in srcset, in CSS pixels of the rendered image
+export const IMAGE_WIDTHS = [160, 320, 640, 960, 1280, 1920];
+
+const RESIZING_SUPPORT_KEY = 'image_resizing_support';
+const PROBE_WIDTH = 16;
+
+let probe = null;
+
+const withWidth = (url, width) => {
+  const [base, query = ''] = url.split('?');
+  const params = new URLSearchParams(query);
+  params.set('width', width);
+  params.set('auto', 'webp');
+  return `${base}?${params.toString()}`;
+};
+
+// Load one image at PROBE_WIDTH; a server that ignores ?width= sends the full file.
+// The tree re-renders through `imageResizingDetected` once support is known.
+const detectResizing = (url) => {
+  // Only Magento product media says anything about the media server
+  if (probe || typeof Image === 'undefined' || !url.includes('/media/catalog/product/')) return;
+
+  probe = new Promise((resolve) => {
+    const image = new Image();
+    image.onload = () => resolve(image.naturalWidth <= PROBE_WIDTH);
+    // A failed probe says nothing about resizing, so try again on the next page load
+    image.onerror = () => resolve(null);
+    image.src = withWidth(url, PROBE_WIDTH);
+  }).then((supported) => {
+    if (supported === null) return;
+    localStorage.setItem(RESIZING_SUPPORT_KEY, String(supported));
+    if (supported) {
+      window.dispatchEvent(new Event('imageResizingDetected'));
+    }
+  });
+};
+
+/**
+ * Whether product image URLs get a ?width= parameter
+ * @param {string} sampleUrl - Image about to be shown, used to probe the media server
+ * @returns {boolean}
+ */
+export const isImageResizingEnabled = (sampleUrl = null) => {
+  const { imageResizing } = getRuntimeConfig();
+  if (imageResizing !== 'auto') return imageResizing === true;
+
+  const stored = localStorage.getItem(RESIZING_SUPPORT_KEY);
+  if (stored === null && sampleUrl) {
+    detectResizing(sampleUrl);
+  }
+  return stored === 'true';
+};
+
+/**
+ * URL for an image resized to the given width
+ * @param {string} url - Original image URL
+ * @param {number} width - Target width in pixels
+ * @returns {string} Resized image URL, or the original when resizing is off
+ */
+export const resizeImageUrl = (url, width) => {
+  if (!url || !isImageResizingEnabled(url)) return url;
+  return withWidth(url, width);
+};
+
+/**
+ * srcset attribute value for an image
+ * @param {string} url - Original image URL
+ * @param {Array<number>} widths - Widths to offer
+ * @returns {string|undefined} srcset, or undefined when resizing is off
+ */
+export const getImageSrcSet = (url, widths = IMAGE_WIDTHS) => {
+  if (!url || !isImageResizingEnabled(url)) return undefined;
+  return widths.map(width => `${resizeImageUrl(url, width)} ${width}w`).join(', ');
+};
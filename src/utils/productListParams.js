@@ -0,0 +1,156 @@
+/**
+ * Product list URL state
+ * Search term, page, sort order and layered navigation filters live in the
+ * query string so filtered product lists can be bookmarked and shared.
+ *
+ * Example: /search?q=bag&price=20_40&color=49,50&sort=price_asc&page=2
+ */
+
+// Query string keys that are not layered navigation filters
+const RESERVED_PARAMS = ['q', 'page', 'sort'];
+
+// Filters that accept a single value; selecting another value replaces it
+const SINGLE_VALUE_FILTERS = ['price'];
+
+// Labels are translated from productList.sort.<value>
+export const SORT_OPTIONS = [
+  { value: 'relevance', sort: { relevance: 'DESC' }, requiresSearch: true },
+  { value: 'position', sort: { position: 'ASC' } },
+  { value: 'name_asc', sort: { name: 'ASC' } },
+  { value: 'name_desc', sort: { name: 'DESC' } },
+  { value: 'price_asc', sort: { price: 'ASC' } },
+  { value: 'price_desc', sort: { price: 'DESC' } },
+];
+
+/**
+ * Get the sort options that apply to the current listing
+ * @param {boolean} hasSearch - Whether a search term is active
+ * @returns {Array<Object>} Sort options
+ */
+export const getSortOptions = (hasSearch) => {
+  return SORT_OPTIONS.filter(option => hasSearch || !option.requiresSearch);
+};
+
+/**
+ * Read the product list state from a query string
+ * Only parameters named after a filterable attribute become filters, so
+ * campaign parameters such as utm_source or gclid never reach Magento.
+ * @param {string} queryString - location.search
+ * @param {Array<string>} filterableCodes - Attribute codes Magento accepts as filters
+ * @returns {{ search: string, page: number, sort: string, filters: Object<string, string[]> }}
+ */
+export const parseProductListParams = (queryString, filterableCodes = []) => {
+  const params = new URLSearchParams(queryString);
+  const search = params.get('q') || '';
+  const page = Math.max(parseInt(params.get('page'), 10) || 1, 1);
+  const defaultSort = search ? 'relevance' : 'position';
+  const sort = getSortOptions(!!search).some(option => option.value === params.get('sort'))
+    ? params.get('sort')
+    : defaultSort;
+
+  const filters = {};
+  params.forEach((value, key) => {
+    if (RESERVED_PARAMS.includes(key) || !filterableCodes.includes(key) || !value) return;
+    filters[key] = value.split(',').filter(Boolean);
+  });
+
+  return { search, page, sort, filters };
+};
+
+/**
+ * Build a query string from product list state
+ * Default values are left out to keep URLs short.
+ * @param {Object} state - { search, page, sort, filters }
+ * @returns {string} Query string including the leading "?" (or empty)
+ */
+export const buildProductListQuery = ({ search = '', page = 1, sort = '', filters = {} }) => {
+  const params = new URLSearchParams();
+
+  if (search) params.set('q', search);
+
+  Object.keys(filters).sort().forEach(code => {
+    if (filters[code] && filters[code].length > 0) {
+      params.set(code, filters[code].join(','));
+    }
+  });
+
+  const defaultSort = search ? 'relevance' : 'position';
+  if (sort && sort !== defaultSort) params.set('sort', sort);
+  if (page > 1) params.set('page', String(page));
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+/**
+ * Toggle a filter value, returning a new filters object
+ * @param {Object<string, string[]>} filters - Active filters
+ * @param {string} code - Attribute code
+ * @param {string} value - Option value
+ * @returns {Object<string, string[]>} Updated filters
+ */
+export const toggleFilterValue = (filters, code, value) => {
+  const current = filters[code] || [];
+  let next;
+
+  if (current.includes(value)) {
+    next = current.filter(v => v !== value);
+  } else if (SINGLE_VALUE_FILTERS.includes(code)) {
+    next = [value];
+  } else {
+    next = [...current, value];
+  }
+
+  const updated = { ...filters };
+  if (next.length > 0) {
+    updated[code] = next;
+  } else {
+    delete updated[code];
+  }
+  return updated;
+};
+
+/**
+ * Convert URL filters into Magento's ProductAttributeFilterInput
+ * Price ranges use Magento's aggregation format "from_to" where "*" means open-ended.
+ * @param {Object<string, string[]>} filters - Active filters
+ * @returns {Object} ProductAttributeFilterInput
+ */
+export const toMagentoFilter = (filters) => {
+  const filter = {};
+
+  Object.entries(filters).forEach(([code, values]) => {
+    if (code === 'price') {
+      const [from, to] = values[0].split('_');
+      filter.price = {};
+      if (from && from !== '*') filter.price.from = from;
+      if (to && to !== '*') filter.price.to = to;
+    } else if (values.length === 1) {
+      filter[code] = { eq: values[0] };
+    } else {
+      filter[code] = { in: values };
+    }
+  });
+
+  return filter;
+};
+
+/**
+ * Convert a sort option value into Magento's ProductAttributeSortInput
+ * @param {string} sortValue - Sort option value
+ * @returns {Object} ProductAttributeSortInput
+ */
+export const toMagentoSort = (sortValue) => {
+  const option = SORT_OPTIONS.find(o => o.value === sortValue);
+  return option ? option.sort : {};
+};
+
+export default {
+  SORT_OPTIONS,
+  getSortOptions,
+  parseProductListParams,
+  buildProductListQuery,
+  toggleFilterValue,
+  toMagentoFilter,
+  toMagentoSort,
+};
@@ -0,0 +1,18 @@
+/**
+ * Storefront product URLs
+ * Products with a URL key link to their SEO URL (e.g. /joust-duffle-bag.html),
+ * resolved by the catch-all route; the rest fall back to /product/:sku.
+ */
+
+/**
+ * Link to a product page
+ * @param {Object} product - Product with sku and, from GraphQL, url_key and url_suffix
+ * @returns {string} Product page path
+ */
+export const getProductUrl = ({ sku, url_key: urlKey, url_suffix: urlSuffix }) => (
+  urlKey ? `/${urlKey}${urlSuffix || ''}` : `/product/${encodeURIComponent(sku)}`
+);
+
+export default {
+  getProductUrl,
+};
@@ -0,0 +1,63 @@
+/**
+ * Runtime configuration
+ * Build-time defaults come from the MAGENTO_* environment variables injected
+ * by webpack (see webpack.config.js). An optional /config.json deployed next
+ * to index.html overrides them per environment without a rebuild.
+ */
+
+const CONFIG_URL = '/config.json';
+
+let config = {
+  // Magento base URL, relative (proxied) or absolute
+  magentoBaseUrl: process.env.MAGENTO_BASE_URL,
+  graphqlPath: process.env.MAGENTO_GRAPHQL_PATH,
+  restPath: process.env.MAGENTO_REST_PATH,
+  // Store view sent in the `Store` header when the shopper has not picked one
+  storeCode: process.env.MAGENTO_STORE_CODE,
+  useCorsProxy: process.env.MAGENTO_USE_CORS_PROXY === 'true',
+  // Whether the media server resizes images from a ?width= parameter:
+  // true, false, or 'auto' to probe it (see utils/imageUrl.js)
+  imageResizing: process.env.MAGENTO_IMAGE_RESIZING === 'auto'
+    ? 'auto'
+    : process.env.MAGENTO_IMAGE_RESIZING === 'true',
+};
+
+/**
+ * Load /config.json and merge it over the build-time defaults
+ * A missing or invalid file is ignored.
+ * @returns {Promise<Object>} The effective configuration
+ */
+export const loadRuntimeConfig = async () => {
+  try {
+    const response = await fetch(CONFIG_URL, { headers: { Accept: 'application/json' } });
+    if (response.ok) {
+      const overrides = await response.json();
+      config = { ...config, ...overrides };
+    }
+  } catch (error) {
+    // The dev server answers with index.html, which is not JSON
+    console.info('No runtime config.json, using build defaults');
+  }
+  return config;
+};
+
+/**
+ * Get the current configuration
+ * @returns {Object} Configuration
+ */
+export const getRuntimeConfig = () => config;
+
+/**
+ * Build the Magento endpoint URLs from a configuration
+ * @param {Object} options - Configuration (default: current)
+ * @returns {{ baseUrl: string, graphqlEndpoint: string, restEndpoint: string, mediaUrl: string }}
+ */
+export const getMagentoEndpoints = (options = config) => {
+  const baseUrl = options.magentoBaseUrl.replace(/\/$/, '');
+  return {
+    baseUrl,
+    graphqlEndpoint: `${baseUrl}${options.graphqlPath}`,
+    restEndpoint: `${baseUrl}${options.restPath}`,
+    mediaUrl: `${baseUrl}/media/catalog/product`,
+  };
+};
@@ -1,11 +1,34 @@
 const path = require('path');
+const webpack = require('webpack');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
+const CopyWebpackPlugin = require('copy-webpack-plugin');
+const { InjectManifest } = require('workbox-webpack-plugin');
 
-module.exports = {
+// Build-time Magento settings; public/config.json can override them at runtime
+const MAGENTO_ENV = {
+  MAGENTO_BASE_URL: '/magento2/pub',
+  MAGENTO_GRAPHQL_PATH: '/graphql',
+  MAGENTO_REST_PATH: '/rest/V1',
+  MAGENTO_STORE_CODE: '',
+  MAGENTO_USE_CORS_PROXY: 'false',
+  // Append ?width= to product image URLs for srcset: 'auto' probes the media server once,
+  // 'true' forces it (Fastly IO or a resizing proxy), 'false' always loads the original files
+  MAGENTO_IMAGE_RESIZING: 'auto',
+  // Only used by the dev server proxy
+  MAGENTO_BACKEND_URL: 'http://localhost:8080',
+};
+
+// Proxy the first path segment of a relative base URL, e.g. /magento2
+const baseUrl = process.env.MAGENTO_BASE_URL || MAGENTO_ENV.MAGENTO_BASE_URL;
+const proxyContext = baseUrl.startsWith('/') ? `/${baseUrl.split('/')[1]}` : null;
+
+module.exports = (env, argv) => ({
   entry: './src/index.js',
   output: {
     path: path.resolve(__dirname, 'dist'),
     filename: 'bundle.js',
+    // Absolute so the bundle loads from nested URLs like /women/tops.html
+    publicPath: '/',
     clean: true,
   },
   module: {
@@ -30,24 +53,50 @@ module.exports = {
     new HtmlWebpackPlugin({
       template: './public/index.html',
     }),
+    new webpack.EnvironmentPlugin(MAGENTO_ENV),
+    new CopyWebpackPlugin({
+      patterns: [
+        {
+          from: 'public',
+          globOptions: { ignore: ['**/index.html'] },
+        },
+      ],
+    }),
+    // The dev server rebuilds constantly, so only production gets a service worker
+    ...(argv.mode === 'production'
+      ? [
+          new InjectManifest({
+            swSrc: './src/sw.js',
+            swDest: 'sw.js',
+            maximumFileSizeToCacheInBytes: 5 * 1024 * 1024,
+            // The service worker reads the Magento base URL like the page does
+            webpackCompilationPlugins: [new webpack.EnvironmentPlugin(MAGENTO_ENV)],
+          }),
+        ]
+      : []),
   ],
   devServer: {
     static: {
       directory: path.join(__dirname, 'public'),
     },
     compress: true,
+    // Serve index.html for every app route so deep links resolve client-side
+    historyApiFallback: true,
     port: 3001,
     open: true,
-    proxy: [
-      {
-        context: ['/magento2'],
-        target: 'http://localhost:8080',
-        changeOrigin: true,
-        secure: false,
-      },
-    ],
+    // Absolute base URLs are called directly and need no proxy
+    proxy: proxyContext
+      ? [
+          {
+            context: [proxyContext],
+            target: process.env.MAGENTO_BACKEND_URL || MAGENTO_ENV.MAGENTO_BACKEND_URL,
+            changeOrigin: true,
+            secure: false,
+          },
+        ]
+      : [],
   },
   resolve: {
     extensions: ['.js', '.jsx'],
   },
-};
\ No newline at end of file
+});